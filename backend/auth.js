@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { getDb } = require('./db');
+
+const DEFAULT_TOKEN_EXPIRES_IN = '7d';
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+
+// Tokens signed with a random secret stop working when the server restarts,
+// so production must set JWT_SECRET.
+let generatedSecret = null;
+function getJwtSecret() {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+  if (!generatedSecret) {
+    console.warn('⚠️ JWT_SECRET not set – using a temporary secret, tokens will not survive a restart');
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return generatedSecret;
+}
+
+let schemaReady = false;
+
+function ensureSchema() {
+  if (schemaReady) return;
+  getDb().exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      email TEXT NOT NULL UNIQUE,
+      name TEXT NOT NULL,
+      password_hash TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+  `);
+  schemaReady = true;
+}
+
+// Passwords are stored as scrypt$<salt>$<hash>
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function rowToUser(row) {
+  return { id: row.id, email: row.email, name: row.name, createdAt: row.created_at };
+}
+
+function getUserById(id) {
+  ensureSchema();
+  const row = getDb().prepare('SELECT * FROM users WHERE id = ?').get(id);
+  return row ? rowToUser(row) : null;
+}
+
+function issueToken(user) {
+  return jwt.sign({ sub: user.id, email: user.email }, getJwtSecret(), { expiresIn: process.env.JWT_EXPIRES_IN || DEFAULT_TOKEN_EXPIRES_IN });
+}
+
+function readBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+function verifyToken(token) {
+  const payload = jwt.verify(token, getJwtSecret());
+  return getUserById(payload.sub);
+}
+
+// Attach req.user when a valid token is sent; anonymous requests pass through
+function optionalAuth(req, res, next) {
+  const token = readBearerToken(req);
+  if (token) {
+    try {
+      req.user = verifyToken(token) || undefined;
+    } catch (error) {
+      req.user = undefined;
+    }
+  }
+  next();
+}
+
+// Routes that need an identity opt in with this middleware
+function requireAuth(req, res, next) {
+  const token = readBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required', message: 'Send an Authorization: Bearer <token> header' });
+  }
+
+  try {
+    const user = verifyToken(token);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid token', message: 'User no longer exists' });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    const expired = error.name === 'TokenExpiredError';
+    res.status(401).json({
+      error: expired ? 'Token expired' : 'Invalid token',
+      message: expired ? 'Please log in again' : error.message
+    });
+  }
+}
+
+// Admins are configured by email in ADMIN_EMAILS (comma separated)
+function isAdmin(user) {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+  return Boolean(user && adminEmails.includes(user.email));
+}
+
+function requireAdmin(req, res, next) {
+  requireAuth(req, res, () => {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+  });
+}
+
+// Rate limits and audit logs are keyed per user when logged in, per IP otherwise
+function getRequesterKey(req) {
+  if (req.user) return `user:${req.user.id}`;
+  return `ip:${req.ip || req.headers['x-forwarded-for'] || 'unknown'}`;
+}
+
+const router = express.Router();
+
+router.post('/register', (req, res) => {
+  try {
+    const { email, password, name } = req.body || {};
+    const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    ensureSchema();
+    const existing = getDb().prepare('SELECT id FROM users WHERE email = ?').get(normalizedEmail);
+    if (existing) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const user = {
+      id: crypto.randomUUID(),
+      email: normalizedEmail,
+      name: (typeof name === 'string' && name.trim()) || normalizedEmail.split('@')[0],
+      createdAt: new Date().toISOString()
+    };
+    getDb().prepare(`
+      INSERT INTO users (id, email, name, password_hash, created_at)
+      VALUES (@id, @email, @name, @passwordHash, @createdAt)
+    `).run({ ...user, passwordHash: hashPassword(password) });
+
+    console.log(`👤 User registered: ${user.email}`);
+    res.status(201).json({ success: true, user, token: issueToken(user) });
+  } catch (error) {
+    console.error('Auth API error:', error.message);
+    res.status(500).json({ error: 'Failed to register', message: error.message });
+  }
+});
+
+router.post('/login', (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Missing required parameters: email, password' });
+    }
+
+    ensureSchema();
+    const row = getDb().prepare('SELECT * FROM users WHERE email = ?').get(String(email).trim().toLowerCase());
+    if (!row || !verifyPassword(String(password), row.password_hash)) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    const user = rowToUser(row);
+    res.json({ success: true, user, token: issueToken(user) });
+  } catch (error) {
+    console.error('Auth API error:', error.message);
+    res.status(500).json({ error: 'Failed to log in', message: error.message });
+  }
+});
+
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ success: true, user: { ...req.user, isAdmin: isAdmin(req.user) } });
+});
+
+module.exports = {
+  router,
+  optionalAuth,
+  requireAuth,
+  requireAdmin,
+  isAdmin,
+  getRequesterKey,
+  getUserById
+};
@@ -0,0 +1,402 @@
+const crypto = require('crypto');
+const express = require('express');
+const { getDb, addColumnIfMissing } = require('./db');
+const { requireAuth } = require('./auth');
+
+const BOOKING_TYPES = ['hotel', 'activity'];
+const MAX_GUESTS = { hotel: 12, activity: 30 };
+
+// Allowed status transitions; cancelled is final
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['modified', 'cancelled'],
+  modified: ['confirmed', 'modified', 'cancelled'],
+  cancelled: []
+};
+
+// Fields a client may change after the booking was created
+const EDITABLE_FIELDS = ['itemName', 'location', 'checkIn', 'checkOut', 'guests', 'price', 'currency', 'contactName', 'contactEmail', 'notes'];
+// Optional free-text fields; they must be strings when given
+const TEXT_FIELDS = ['location', 'currency', 'contactName', 'contactEmail', 'notes'];
+
+let schemaReady = false;
+
+function ensureSchema() {
+  if (schemaReady) return;
+  getDb().exec(`
+    CREATE TABLE IF NOT EXISTS bookings (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      item_name TEXT NOT NULL,
+      location TEXT,
+      check_in TEXT NOT NULL,
+      check_out TEXT,
+      guests INTEGER NOT NULL,
+      price REAL,
+      currency TEXT NOT NULL DEFAULT 'INR',
+      contact_name TEXT,
+      contact_email TEXT,
+      notes TEXT,
+      status TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS booking_audit (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      booking_id TEXT NOT NULL REFERENCES bookings(id),
+      action TEXT NOT NULL,
+      from_status TEXT,
+      to_status TEXT,
+      changes TEXT,
+      reason TEXT,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_booking_audit_booking ON booking_audit(booking_id);
+  `);
+  // Bookings and audit entries are owned by / attributed to a user account
+  addColumnIfMissing('bookings', 'user_id', 'TEXT');
+  addColumnIfMissing('booking_audit', 'user_id', 'TEXT');
+  getDb().exec('CREATE INDEX IF NOT EXISTS idx_bookings_user ON bookings(user_id)');
+  schemaReady = true;
+}
+
+function rowToBooking(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    itemName: row.item_name,
+    location: row.location,
+    checkIn: row.check_in,
+    checkOut: row.check_out,
+    guests: row.guests,
+    price: row.price,
+    currency: row.currency,
+    contactName: row.contact_name,
+    contactEmail: row.contact_email,
+    notes: row.notes,
+    status: row.status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function rowToAuditEntry(row) {
+  return {
+    action: row.action,
+    fromStatus: row.from_status,
+    toStatus: row.to_status,
+    changes: row.changes ? JSON.parse(row.changes) : null,
+    reason: row.reason,
+    userId: row.user_id,
+    timestamp: row.created_at
+  };
+}
+
+// Dates are plain calendar days (YYYY-MM-DD)
+function parseDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value ? null : date;
+}
+
+// checkPast: false skips the "not in the past" rule, e.g. for updates that keep the stored checkIn
+function validateBooking(booking, { checkPast = true } = {}) {
+  const errors = [];
+
+  if (!BOOKING_TYPES.includes(booking.type)) {
+    errors.push(`type must be one of: ${BOOKING_TYPES.join(', ')}`);
+  }
+  if (!booking.itemName || typeof booking.itemName !== 'string') {
+    errors.push('itemName is required');
+  }
+
+  const checkIn = parseDate(booking.checkIn);
+  const today = new Date(new Date().toISOString().slice(0, 10) + 'T00:00:00Z');
+  if (!checkIn) {
+    errors.push('checkIn must be a valid date (YYYY-MM-DD)');
+  } else if (checkPast && checkIn < today) {
+    errors.push('checkIn cannot be in the past');
+  }
+
+  if (booking.type === 'hotel') {
+    const checkOut = parseDate(booking.checkOut);
+    if (!checkOut) {
+      errors.push('checkOut must be a valid date (YYYY-MM-DD) for hotel bookings');
+    } else if (checkIn && checkOut <= checkIn) {
+      errors.push('checkOut must be after checkIn');
+    }
+  } else if (booking.checkOut != null) {
+    const checkOut = parseDate(booking.checkOut);
+    if (!checkOut) {
+      errors.push('checkOut must be a valid date (YYYY-MM-DD)');
+    } else if (checkIn && checkOut < checkIn) {
+      errors.push('checkOut cannot be before checkIn');
+    }
+  }
+
+  const maxGuests = MAX_GUESTS[booking.type] || MAX_GUESTS.activity;
+  if (!Number.isInteger(booking.guests) || booking.guests < 1 || booking.guests > maxGuests) {
+    errors.push(`guests must be a whole number between 1 and ${maxGuests}`);
+  }
+
+  if (booking.price != null && (typeof booking.price !== 'number' || booking.price < 0)) {
+    errors.push('price must be a non-negative number');
+  }
+  for (const field of TEXT_FIELDS) {
+    if (booking[field] != null && typeof booking[field] !== 'string') {
+      errors.push(`${field} must be text`);
+    }
+  }
+  if (typeof booking.contactEmail === 'string' && booking.contactEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(booking.contactEmail)) {
+    errors.push('contactEmail is not a valid email address');
+  }
+
+  return errors;
+}
+
+function recordAudit(bookingId, { action, userId = null, fromStatus = null, toStatus = null, changes = null, reason = null }) {
+  getDb().prepare(`
+    INSERT INTO booking_audit (booking_id, action, user_id, from_status, to_status, changes, reason, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(bookingId, action, userId, fromStatus, toStatus, changes && JSON.stringify(changes), reason, new Date().toISOString());
+}
+
+// A booking is only visible to the user who made it
+function getBooking(id, userId) {
+  ensureSchema();
+  const row = getDb().prepare('SELECT * FROM bookings WHERE id = ? AND user_id = ?').get(id, userId);
+  return row ? rowToBooking(row) : null;
+}
+
+function getAuditTrail(id) {
+  ensureSchema();
+  return getDb()
+    .prepare('SELECT * FROM booking_audit WHERE booking_id = ? ORDER BY id')
+    .all(id)
+    .map(rowToAuditEntry);
+}
+
+function listBookings({ userId, status, type }) {
+  ensureSchema();
+  const clauses = ['user_id = ?'];
+  const params = [userId];
+  if (status) {
+    clauses.push('status = ?');
+    params.push(status);
+  }
+  if (type) {
+    clauses.push('type = ?');
+    params.push(type);
+  }
+  return getDb()
+    .prepare(`SELECT * FROM bookings WHERE ${clauses.join(' AND ')} ORDER BY check_in, created_at`)
+    .all(...params)
+    .map(rowToBooking);
+}
+
+function createBooking(userId, input) {
+  ensureSchema();
+  const now = new Date().toISOString();
+  const booking = {
+    id: crypto.randomUUID(),
+    type: input.type,
+    itemName: input.itemName,
+    location: input.location || null,
+    checkIn: input.checkIn,
+    checkOut: input.checkOut || null,
+    guests: input.guests,
+    price: input.price ?? null,
+    currency: input.currency || 'INR',
+    contactName: input.contactName || null,
+    contactEmail: input.contactEmail || null,
+    notes: input.notes || null,
+    status: 'pending',
+    createdAt: now,
+    updatedAt: now
+  };
+
+  const db = getDb();
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO bookings (id, user_id, type, item_name, location, check_in, check_out, guests, price, currency,
+        contact_name, contact_email, notes, status, created_at, updated_at)
+      VALUES (@id, @userId, @type, @itemName, @location, @checkIn, @checkOut, @guests, @price, @currency,
+        @contactName, @contactEmail, @notes, @status, @createdAt, @updatedAt)
+    `).run({ ...booking, userId });
+    recordAudit(booking.id, { action: 'created', userId, toStatus: 'pending' });
+  })();
+
+  return booking;
+}
+
+// Apply field changes and/or a status change, keeping an audit entry for each update
+function updateBooking(existing, { userId, changes = {}, status, reason }) {
+  ensureSchema();
+  const changed = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (changes[field] !== undefined && changes[field] !== existing[field]) {
+      changed[field] = { from: existing[field], to: changes[field] };
+    }
+  }
+
+  const hasChanges = Object.keys(changed).length > 0;
+  if (!hasChanges && (!status || status === existing.status)) {
+    return existing;
+  }
+
+  // Changing a confirmed booking turns it into a modified one, whatever status the client sent
+  let nextStatus = status || existing.status;
+  if (hasChanges && nextStatus !== 'cancelled' && ['confirmed', 'modified'].includes(existing.status)) {
+    nextStatus = 'modified';
+  }
+
+  const updated = { ...existing, ...Object.fromEntries(Object.entries(changed).map(([field, diff]) => [field, diff.to])) };
+  updated.status = nextStatus;
+  updated.updatedAt = new Date().toISOString();
+
+  const db = getDb();
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE bookings SET item_name = @itemName, location = @location, check_in = @checkIn, check_out = @checkOut,
+        guests = @guests, price = @price, currency = @currency, contact_name = @contactName,
+        contact_email = @contactEmail, notes = @notes, status = @status, updated_at = @updatedAt
+      WHERE id = @id
+    `).run(updated);
+    recordAudit(existing.id, {
+      action: nextStatus === 'cancelled' ? 'cancelled' : hasChanges ? 'modified' : 'status_changed',
+      userId,
+      fromStatus: existing.status,
+      toStatus: nextStatus,
+      changes: hasChanges ? changed : null,
+      reason
+    });
+  })();
+
+  return updated;
+}
+
+const router = express.Router();
+
+// Bookings belong to a user account
+router.use(requireAuth);
+
+// List bookings, optionally filtered by status and type
+router.get('/', (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const bookings = listBookings({ userId: req.user.id, status, type });
+    res.json({ success: true, bookings, total: bookings.length });
+  } catch (error) {
+    console.error('Bookings API error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch bookings', message: error.message });
+  }
+});
+
+// Booking details with its audit trail
+router.get('/:id', (req, res) => {
+  try {
+    const booking = getBooking(req.params.id, req.user.id);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    res.json({ success: true, booking, auditTrail: getAuditTrail(booking.id) });
+  } catch (error) {
+    console.error('Bookings API error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch booking', message: error.message });
+  }
+});
+
+// Create a new booking (starts as pending)
+router.post('/', (req, res) => {
+  try {
+    const input = req.body || {};
+    const errors = validateBooking(input);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid booking', details: errors });
+    }
+
+    const booking = createBooking(req.user.id, input);
+    console.log(`🏨 Booking created: ${booking.id} (${booking.type} – ${booking.itemName})`);
+    res.status(201).json({ success: true, booking });
+  } catch (error) {
+    console.error('Bookings API error:', error.message);
+    res.status(500).json({ error: 'Failed to create booking', message: error.message });
+  }
+});
+
+// Update booking details and/or move it to a new status
+router.put('/:id', (req, res) => {
+  try {
+    const existing = getBooking(req.params.id, req.user.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const { status, reason, ...changes } = req.body || {};
+
+    if (existing.status === 'cancelled') {
+      return res.status(409).json({ error: 'Booking is cancelled and can no longer be changed' });
+    }
+    if (status && (typeof status !== 'string' || !Object.hasOwn(STATUS_TRANSITIONS, status))) {
+      return res.status(400).json({ error: `Unknown status: ${status}` });
+    }
+    if (reason != null && typeof reason !== 'string') {
+      return res.status(400).json({ error: 'reason must be text' });
+    }
+    if (status && status !== existing.status && !STATUS_TRANSITIONS[existing.status].includes(status)) {
+      return res.status(409).json({
+        error: `Cannot change booking status from ${existing.status} to ${status}`,
+        allowed: STATUS_TRANSITIONS[existing.status]
+      });
+    }
+
+    const checkInChanged = changes.checkIn !== undefined && changes.checkIn !== existing.checkIn;
+    const errors = Object.keys(changes).length
+      ? validateBooking({ ...existing, ...changes, type: existing.type }, { checkPast: checkInChanged })
+      : [];
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid booking', details: errors });
+    }
+
+    const booking = updateBooking(existing, { userId: req.user.id, changes, status, reason });
+    res.json({ success: true, booking, auditTrail: getAuditTrail(booking.id) });
+  } catch (error) {
+    console.error('Bookings API error:', error.message);
+    res.status(500).json({ error: 'Failed to update booking', message: error.message });
+  }
+});
+
+// Cancel a booking; the record and its history are kept
+router.delete('/:id', (req, res) => {
+  try {
+    const existing = getBooking(req.params.id, req.user.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+    if (existing.status === 'cancelled') {
+      return res.status(409).json({ error: 'Booking is already cancelled' });
+    }
+
+    const reason = req.body?.reason || null;
+    if (reason !== null && typeof reason !== 'string') {
+      return res.status(400).json({ error: 'reason must be text' });
+    }
+
+    const booking = updateBooking(existing, { userId: req.user.id, status: 'cancelled', reason });
+    console.log(`🏨 Booking cancelled: ${booking.id}`);
+    res.json({ success: true, booking, auditTrail: getAuditTrail(booking.id) });
+  } catch (error) {
+    console.error('Bookings API error:', error.message);
+    res.status(500).json({ error: 'Failed to cancel booking', message: error.message });
+  }
+});
+
+module.exports = {
+  router,
+  getBooking,
+  listBookings,
+  createBooking,
+  validateBooking,
+  parseDate,
+  STATUS_TRANSITIONS
+};
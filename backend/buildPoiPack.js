@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { runOverpassQuery } = require('./overpass');
+const { PLACE_CATEGORIES, categoryTagFilters } = require('./placeCategories');
+const { parsePackSource, importPoiPack, getPoiPackInfo } = require('./poiPack');
+const { GOA_BBOX } = require('./geocoding');
+
+// Builds the offline Goa POI pack in the database (DATABASE_PATH).
+//
+//   node buildPoiPack.js                     download every taxonomy category in Goa from Overpass
+//   node buildPoiPack.js --save goa.json     ...and keep the Overpass dump for later rebuilds
+//   node buildPoiPack.js --input goa.json    load a saved Overpass dump or a GeoJSON export of an
+//                                            OSM extract (osmium export goa-latest.osm.pbf -f geojson)
+
+dotenv.config();
+
+// The whole of Goa in one query takes a while on the public mirrors
+const DOWNLOAD_TIMEOUT_MS = 180000;
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    if (!['--input', '--save'].includes(flag)) throw new Error(`Unknown argument: ${flag}`);
+    if (!value) throw new Error(`${flag} needs a file`);
+    options[flag.slice(2)] = value;
+  }
+  return options;
+}
+
+// Every taxonomy category inside Goa's bounding box
+function buildGoaQuery() {
+  const { south, west, north, east } = GOA_BBOX;
+  const selectors = categoryTagFilters(PLACE_CATEGORIES.map(category => category.id))
+    .map(tag => `node[${tag}];way[${tag}];`)
+    .join('\n');
+  return `[out:json][timeout:${DOWNLOAD_TIMEOUT_MS / 1000}][bbox:${south},${west},${north},${east}];(${selectors});out body center;`;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  let data;
+  let source;
+
+  if (options.input) {
+    console.log(`📦 Reading ${options.input}`);
+    data = JSON.parse(fs.readFileSync(options.input, 'utf8'));
+    source = path.basename(options.input);
+  } else {
+    console.log('📦 Downloading Goa points of interest from Overpass...');
+    data = { elements: await runOverpassQuery(buildGoaQuery(), { timeoutMs: DOWNLOAD_TIMEOUT_MS }) };
+    source = 'overpass';
+    if (options.save) {
+      fs.writeFileSync(options.save, JSON.stringify(data));
+      console.log(`💾 Saved the Overpass dump to ${options.save}`);
+    }
+  }
+
+  const { count, skipped } = importPoiPack(parsePackSource(data), { source });
+  const info = getPoiPackInfo();
+  console.log(`✅ Offline POI pack built: ${count} places (${skipped} unnamed or uncategorized elements skipped), ${info.builtAt}`);
+}
+
+main().catch(error => {
+  console.error('❌ Failed to build the POI pack:', error.message);
+  process.exitCode = 1;
+});
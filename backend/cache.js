@@ -0,0 +1,158 @@
+// Shared response cache for weather, places, geocoding, routing and translation lookups.
+// In-memory by default; set CACHE_BACKEND=redis (and REDIS_URL) to share it
+// between server instances through any Redis-compatible store.
+
+const crypto = require('crypto');
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+// Per-route TTLs in ms, overridable with CACHE_TTL_<ROUTE>_MS
+const DEFAULT_TTLS = {
+  weather: 10 * 60 * 1000,
+  forecast: 30 * 60 * 1000,
+  places: 60 * 60 * 1000,
+  geocode: 24 * 60 * 60 * 1000,
+  route: 6 * 60 * 60 * 1000,
+  translate: 24 * 60 * 60 * 1000
+};
+
+function getCacheTtl(route) {
+  return Number(process.env[`CACHE_TTL_${route.toUpperCase()}_MS`]) || DEFAULT_TTLS[route];
+}
+
+function createMemoryBackend(maxEntries = DEFAULT_MAX_ENTRIES) {
+  const store = new Map(); // key -> { entry, expiresAt }
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const item = store.get(key);
+      if (!item) return null;
+      if (Date.now() > item.expiresAt) {
+        store.delete(key);
+        return null;
+      }
+      return item.entry;
+    },
+    async set(key, entry, ttlMs) {
+      store.delete(key);
+      store.set(key, { entry, expiresAt: Date.now() + ttlMs });
+      // Evict the oldest entries once the cache is full (Map keeps insertion order)
+      while (store.size > maxEntries) {
+        store.delete(store.keys().next().value);
+      }
+    },
+    async clear() {
+      store.clear();
+    }
+  };
+}
+
+function createRedisBackend(url) {
+  const Redis = require('ioredis');
+  const client = new Redis(url, { lazyConnect: true, maxRetriesPerRequest: 1 });
+  client.on('error', error => console.log('Redis cache error:', error.message));
+  const prefix = process.env.CACHE_KEY_PREFIX || 'tourgenious:';
+
+  return {
+    name: 'redis',
+    async get(key) {
+      const raw = await client.get(prefix + key);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async set(key, entry, ttlMs) {
+      await client.set(prefix + key, JSON.stringify(entry), 'PX', ttlMs);
+    },
+    async clear() {
+      const keys = await client.keys(`${prefix}*`);
+      if (keys.length) await client.del(...keys);
+    }
+  };
+}
+
+let backend = null;
+
+function getCacheBackend() {
+  if (backend) return backend;
+  if ((process.env.CACHE_BACKEND || '').toLowerCase() === 'redis') {
+    backend = createRedisBackend(process.env.REDIS_URL || 'redis://localhost:6379');
+  } else {
+    backend = createMemoryBackend(Number(process.env.CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES);
+  }
+  console.log(`🗄️ Response cache backend: ${backend.name}`);
+  return backend;
+}
+
+// Swap the backend (e.g. a fresh memory cache in tests)
+function setCacheBackend(nextBackend) {
+  backend = nextBackend;
+}
+
+// Build a cache key from normalized parts: case, extra whitespace and undefined values are ignored
+function cacheKey(namespace, ...parts) {
+  const normalized = parts
+    .filter(part => part !== undefined && part !== null && part !== '')
+    .map(part => String(part).trim().replace(/\s+/g, ' ').toLowerCase());
+  return [namespace, ...normalized].join('|');
+}
+
+// Digest of exact text for keys where case and spacing matter (e.g. the text being translated)
+function textDigest(text) {
+  return crypto.createHash('sha256').update(String(text)).digest('hex');
+}
+
+// Snap a coordinate to a grid cell so nearby lookups share a cache entry
+function roundCoordinate(value, cellDegrees = 0.01) {
+  return Number((Math.round(Number(value) / cellDegrees) * cellDegrees).toFixed(6));
+}
+
+// Read one entry; resolves to { value, cache } on a hit and null on a miss.
+// A broken cache must never break the route, so errors count as misses.
+async function readCache(key, ttlMs) {
+  try {
+    const entry = await getCacheBackend().get(key);
+    if (entry) {
+      return {
+        value: entry.value,
+        cache: { hit: true, ageMs: Date.now() - entry.storedAt, ttlMs }
+      };
+    }
+  } catch (error) {
+    console.log(`Cache read failed for ${key}:`, error.message);
+  }
+  return null;
+}
+
+async function writeCache(key, value, ttlMs) {
+  try {
+    await getCacheBackend().set(key, { value, storedAt: Date.now() }, ttlMs);
+  } catch (error) {
+    console.log(`Cache write failed for ${key}:`, error.message);
+  }
+}
+
+// Return the cached value for `key` or load and store it.
+// Resolves to { value, cache } where cache is the hit metadata for the response.
+async function withCache(key, ttlMs, loader, { shouldCache = () => true } = {}) {
+  const cached = await readCache(key, ttlMs);
+  if (cached) return cached;
+
+  const value = await loader();
+  if (shouldCache(value)) {
+    await writeCache(key, value, ttlMs);
+  }
+
+  return { value, cache: { hit: false, ageMs: 0, ttlMs } };
+}
+
+module.exports = {
+  getCacheTtl,
+  cacheKey,
+  textDigest,
+  roundCoordinate,
+  withCache,
+  readCache,
+  writeCache,
+  createMemoryBackend,
+  setCacheBackend
+};
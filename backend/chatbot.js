@@ -0,0 +1,401 @@
+const axios = require('axios');
+const guide = require('./goaGuide');
+
+const OPENROUTER_URL = 'https://openrouter.ai/api/v1/chat/completions';
+const OPENROUTER_FREE_MODEL = 'mistralai/mistral-7b-instruct:free';
+const GEMINI_MODEL = 'gemini-1.5-flash';
+
+const SYSTEM_PROMPT = 'You are a Goa Tourism AI Assistant for TourGenious. Only answer about Goa travel and TourGenious app features. Be concise and helpful.';
+const FREE_MODEL_SYSTEM_PROMPT = 'You are a helpful Goa Tourism Assistant. Provide information about Goa beaches, culture, food, and attractions. Keep responses concise and helpful.';
+
+// Offline chatbot fallback so users always get a response
+// (live data lines, when there are any, are appended so the answer stays grounded)
+function generateOfflineChatbotResponse(message = '', liveData = '') {
+  const lower = message.toLowerCase();
+  const canned = [];
+
+  if (lower.includes('beach')) {
+    canned.push(`Top Goa beaches: ${guide.BEACH_HIGHLIGHTS.map(beach => `${beach.name} (${beach.highlight})`).join(', ')}. ${guide.BEACH_TIP}`);
+  }
+  if (lower.includes('hotel') || lower.includes('stay') || lower.includes('resort')) {
+    canned.push('For stays: North Goa = nightlife (Baga/Calangute), Candolim/Sinquerim = quieter, Anjuna/Vagator = cafes. South Goa = peaceful (Palolem/Agonda/Colva). Book via TourGenious lodging to see verified listings.');
+  }
+  if (lower.includes('weather')) {
+    canned.push(`Goa weather: ${guide.SEASONS.map(season => `${season.label} ${season.summary}`).join(', ')}. ${guide.MONSOON_TIP}`);
+  }
+  if (lower.includes('food') || lower.includes('restaurant') || lower.includes('eat')) {
+    canned.push(`Try Goan dishes: ${guide.GOAN_DISHES.join(', ')}. ${guide.FOOD_TIP}`);
+  }
+  if (lower.includes('transport') || lower.includes('taxi') || lower.includes('cab') || lower.includes('scooter')) {
+    canned.push(`Getting around: ${guide.SCOOTER_TIP} ${guide.TAXI_TIP} ${guide.NIGHT_SAFETY_TIP}`);
+  }
+  if (lower.includes('emergency') || lower.includes('help')) {
+    canned.push(`Emergency: ${guide.EMERGENCY_TIP} Keep a copy of your ID. In TourGenious, open Smart Assist → Emergency for quick contacts and location sharing.`);
+  }
+
+  if (!canned.length) {
+    canned.push('I am your Goa Tourism assistant. Ask me about beaches, stays, food, transport, weather, or how to use TourGenious features (booking, translator, smart assist).');
+  }
+
+  const liveFacts = liveData.split('\n').filter(line => line.startsWith('- ')).map(line => line.slice(2));
+  return [...canned, ...liveFacts].join(' ');
+}
+
+function buildGeminiPrompt(message, liveData = '') {
+  return `You are a Goa Tourism AI Assistant for TourGenious app. You can ONLY help with:
+    1. Goa tourism, destinations, attractions, beaches, culture, food, weather, and travel tips
+    2. TourGenious app features like booking, emergency services, translator, events, and smart assist modules
+    \nIf someone asks about anything outside of Goa tourism or app features, politely respond: "I'm a Goa Tourism AI Assistant and can only help with Goa-related travel information and TourGenious app features. How can I assist you with your Goa travel plans?"\nKeep responses helpful, concise, and focused only on Goa or app functionality.\n${liveData ? `${liveData}\n` : ''}User message: "${message}"\nResponse:`;
+}
+
+// `history` is the prior conversation as [{ role: 'user' | 'assistant', content }]
+// `liveData` is the grounding block built from weather/places/events lookups
+// `responseFormat` is passed through as OpenRouter's `response_format` (e.g. a JSON schema)
+function buildOpenRouterBody({ model, systemPrompt, history = [], message, liveData, maxTokens, temperature, responseFormat }) {
+  return {
+    model,
+    messages: [
+      { role: 'system', content: systemPrompt },
+      ...(liveData ? [{ role: 'system', content: liveData }] : []),
+      ...history.map(({ role, content }) => ({ role, content })),
+      { role: 'user', content: message }
+    ],
+    max_tokens: maxTokens,
+    temperature,
+    ...(responseFormat && { response_format: responseFormat })
+  };
+}
+
+function openRouterHeaders(title) {
+  return {
+    'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
+    'Content-Type': 'application/json',
+    'HTTP-Referer': 'http://localhost:5001',
+    'X-Title': title
+  };
+}
+
+async function callOpenRouterChat(options) {
+  const response = await axios.post(OPENROUTER_URL, buildOpenRouterBody(options), {
+    headers: openRouterHeaders(options.title)
+  });
+
+  const content = response.data?.choices?.[0]?.message?.content;
+  if (!content) {
+    throw new Error('Invalid chatbot response');
+  }
+  return content.trim();
+}
+
+// Gemini takes prior turns as `contents` with user/model roles
+function buildGeminiBody({ history = [], message, liveData }) {
+  return {
+    contents: [
+      ...history.map(({ role, content }) => ({
+        role: role === 'assistant' ? 'model' : 'user',
+        parts: [ { text: content } ]
+      })),
+      { role: 'user', parts: [ { text: buildGeminiPrompt(message, liveData) } ] }
+    ],
+    generationConfig: { maxOutputTokens: 200, temperature: 0.7 }
+  };
+}
+
+async function callGemini(options) {
+  const response = await axios.post(
+    `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${process.env.GEMINI_API_KEY}`,
+    buildGeminiBody(options),
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+
+  const text = response.data?.candidates?.[0]?.content?.parts?.[0]?.text;
+  if (!text) {
+    throw new Error('Invalid chatbot response');
+  }
+  return text.trim();
+}
+
+// OpenAI-style strict schemas need `additionalProperties: false` on every object
+function strictJsonSchema(schema) {
+  if (schema.type === 'object') {
+    return {
+      ...schema,
+      additionalProperties: false,
+      properties: Object.fromEntries(Object.entries(schema.properties).map(([key, value]) => [key, strictJsonSchema(value)]))
+    };
+  }
+  if (schema.type === 'array') return { ...schema, items: strictJsonSchema(schema.items) };
+  return schema;
+}
+
+// Models sometimes wrap JSON in a ```json fence despite the schema
+function parseJsonReply(text) {
+  return JSON.parse(text.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, ''));
+}
+
+// JSON matching `schema` from OpenRouter, then Gemini. There's no offline step: resolves to
+// null when no provider is configured or none returns valid JSON, and the caller falls back.
+// `schema` may only use type, properties, required, items, enum and description (Gemini's subset).
+async function generateStructuredReply({ systemPrompt, prompt, schema, schemaName, maxTokens = 2000, title }) {
+  if (process.env.OPENROUTER_API_KEY) {
+    const model = process.env.OPENROUTER_DEFAULT_MODEL || 'gpt-5.1-codex-max';
+    try {
+      const reply = await callOpenRouterChat({
+        model,
+        systemPrompt,
+        message: prompt,
+        maxTokens,
+        temperature: 0.4,
+        title,
+        responseFormat: { type: 'json_schema', json_schema: { name: schemaName, strict: true, schema: strictJsonSchema(schema) } }
+      });
+      return { data: parseJsonReply(reply), provider: `openrouter:${model}` };
+    } catch (error) {
+      console.log('OpenRouter structured reply failed, falling back to Gemini:', error.response?.data || error.message);
+    }
+  }
+
+  if (process.env.GEMINI_API_KEY) {
+    try {
+      const response = await axios.post(
+        `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${process.env.GEMINI_API_KEY}`,
+        {
+          contents: [ { role: 'user', parts: [ { text: `${systemPrompt}\n\n${prompt}` } ] } ],
+          generationConfig: { maxOutputTokens: maxTokens, temperature: 0.4, responseMimeType: 'application/json', responseSchema: schema }
+        },
+        { headers: { 'Content-Type': 'application/json' } }
+      );
+      const text = response.data?.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (!text) throw new Error('Invalid structured response');
+      return { data: parseJsonReply(text), provider: GEMINI_MODEL };
+    } catch (error) {
+      console.log('Gemini structured reply failed:', error.response?.data || error.message);
+    }
+  }
+
+  return null;
+}
+
+// Call `onData` with the parsed JSON of every `data:` line of a provider's SSE stream
+async function readSseStream(stream, onData) {
+  let buffer = '';
+  for await (const chunk of stream) {
+    buffer += chunk.toString('utf8');
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      const data = line.trim();
+      if (!data.startsWith('data:')) continue;
+      const payload = data.slice(5).trim();
+      if (!payload || payload === '[DONE]') continue;
+      try {
+        onData(JSON.parse(payload));
+      } catch (error) {
+        // Ignore keep-alive comments and partial frames
+      }
+    }
+  }
+}
+
+// Stream a completion, calling onToken(text) for each chunk; resolves to the full text
+async function streamOpenRouterChat(options, { onToken, signal }) {
+  const response = await axios.post(OPENROUTER_URL, { ...buildOpenRouterBody(options), stream: true }, {
+    headers: openRouterHeaders(options.title),
+    responseType: 'stream',
+    signal
+  });
+
+  let text = '';
+  await readSseStream(response.data, data => {
+    const token = data.choices?.[0]?.delta?.content;
+    if (token) {
+      text += token;
+      onToken(token);
+    }
+  });
+  if (!text.trim()) {
+    throw new Error('Invalid chatbot response');
+  }
+  return text.trim();
+}
+
+async function streamGemini(options, { onToken, signal }) {
+  const response = await axios.post(
+    `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:streamGenerateContent?alt=sse&key=${process.env.GEMINI_API_KEY}`,
+    buildGeminiBody(options),
+    { headers: { 'Content-Type': 'application/json' }, responseType: 'stream', signal }
+  );
+
+  let text = '';
+  await readSseStream(response.data, data => {
+    const token = data.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('');
+    if (token) {
+      text += token;
+      onToken(token);
+    }
+  });
+  if (!text.trim()) {
+    throw new Error('Invalid chatbot response');
+  }
+  return text.trim();
+}
+
+// OpenRouter (configured model) → Gemini → OpenRouter free model → offline guide
+async function generateChatbotReply({ message, history = [], liveData = '' }) {
+  // Primary: OpenRouter GPT-5.1-Codex-Max (configurable)
+  if (process.env.OPENROUTER_API_KEY) {
+    const OPENROUTER_MODEL = process.env.OPENROUTER_DEFAULT_MODEL || 'gpt-5.1-codex-max';
+    try {
+      const reply = await callOpenRouterChat({
+        model: OPENROUTER_MODEL,
+        systemPrompt: SYSTEM_PROMPT,
+        history,
+        message,
+        liveData,
+        maxTokens: 300,
+        temperature: 0.6,
+        title: 'TourGenious Chatbot'
+      });
+      return { message: reply, provider: `openrouter:${OPENROUTER_MODEL}` };
+    } catch (orErr) {
+      console.log('OpenRouter chatbot failed, falling back to Gemini:', orErr.response?.data || orErr.message);
+    }
+  }
+
+  let providerStatus;
+  try {
+    // Fallback: Gemini
+    const reply = await callGemini({ history, message, liveData });
+    return { message: reply, provider: GEMINI_MODEL };
+  } catch (error) {
+    providerStatus = error?.response?.status;
+
+    // Try OpenRouter free models when Gemini fails
+    if ((providerStatus === 429 || providerStatus >= 500) && process.env.OPENROUTER_API_KEY) {
+      console.warn(`Gemini chatbot failed (${providerStatus}). Trying OpenRouter free models...`);
+      try {
+        const reply = await callOpenRouterChat({
+          model: OPENROUTER_FREE_MODEL,
+          systemPrompt: FREE_MODEL_SYSTEM_PROMPT,
+          history,
+          message,
+          liveData,
+          maxTokens: 150,
+          temperature: 0.7,
+          title: 'Goa Tourism Chatbot'
+        });
+        return { message: reply, provider: 'openrouter-llama-free' };
+      } catch (openrouterError) {
+        console.log('OpenRouter chatbot error details:', openrouterError.response?.data || openrouterError.message);
+        console.log('OpenRouter chatbot also failed, using fallback responses...');
+      }
+    }
+
+    if (providerStatus === 429) {
+      console.warn('Chatbot provider rate limit hit (429). Returning fallback response.');
+    } else {
+      console.error('Chatbot API Error:', error.message);
+    }
+  }
+
+  return {
+    message: generateOfflineChatbotResponse(message, liveData),
+    provider: 'offline-goa-guide',
+    fallback: true,
+    rateLimited: providerStatus === 429
+  };
+}
+
+// Streaming version of generateChatbotReply. Tokens go to onToken(text); when a provider
+// fails after it started streaming, onReset(provider) tells the client to discard its partial text.
+// The offline guide is sent as a single token.
+async function streamChatbotReply({ message, history = [], liveData = '' }, { onToken, onReset = () => {}, signal }) {
+  const attempt = async (provider, stream) => {
+    let started = false;
+    try {
+      return await stream(token => {
+        started = true;
+        onToken(token);
+      });
+    } catch (error) {
+      if (started) onReset(provider);
+      throw error;
+    }
+  };
+
+  if (process.env.OPENROUTER_API_KEY) {
+    const OPENROUTER_MODEL = process.env.OPENROUTER_DEFAULT_MODEL || 'gpt-5.1-codex-max';
+    const provider = `openrouter:${OPENROUTER_MODEL}`;
+    try {
+      const reply = await attempt(provider, token => streamOpenRouterChat({
+        model: OPENROUTER_MODEL,
+        systemPrompt: SYSTEM_PROMPT,
+        history,
+        message,
+        liveData,
+        maxTokens: 300,
+        temperature: 0.6,
+        title: 'TourGenious Chatbot'
+      }, { onToken: token, signal }));
+      return { message: reply, provider };
+    } catch (orErr) {
+      if (signal?.aborted) throw orErr;
+      console.log('OpenRouter chatbot stream failed, falling back to Gemini:', orErr.message);
+    }
+  }
+
+  let providerStatus;
+  try {
+    const reply = await attempt(GEMINI_MODEL, token => streamGemini({ history, message, liveData }, { onToken: token, signal }));
+    return { message: reply, provider: GEMINI_MODEL };
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    providerStatus = error?.response?.status;
+
+    if ((providerStatus === 429 || providerStatus >= 500) && process.env.OPENROUTER_API_KEY) {
+      console.warn(`Gemini chatbot stream failed (${providerStatus}). Trying OpenRouter free models...`);
+      try {
+        const reply = await attempt('openrouter-llama-free', token => streamOpenRouterChat({
+          model: OPENROUTER_FREE_MODEL,
+          systemPrompt: FREE_MODEL_SYSTEM_PROMPT,
+          history,
+          message,
+          liveData,
+          maxTokens: 150,
+          temperature: 0.7,
+          title: 'Goa Tourism Chatbot'
+        }, { onToken: token, signal }));
+        return { message: reply, provider: 'openrouter-llama-free' };
+      } catch (openrouterError) {
+        if (signal?.aborted) throw openrouterError;
+        console.log('OpenRouter chatbot stream also failed, using fallback responses...', openrouterError.message);
+      }
+    }
+
+    if (providerStatus === 429) {
+      console.warn('Chatbot provider rate limit hit (429). Returning fallback response.');
+    } else {
+      console.error('Chatbot stream API Error:', error.message);
+    }
+  }
+
+  const offlineResponse = generateOfflineChatbotResponse(message, liveData);
+  onToken(offlineResponse);
+  return {
+    message: offlineResponse,
+    provider: 'offline-goa-guide',
+    fallback: true,
+    rateLimited: providerStatus === 429
+  };
+}
+
+module.exports = {
+  generateChatbotReply,
+  streamChatbotReply,
+  generateOfflineChatbotResponse,
+  generateStructuredReply,
+  callOpenRouterChat,
+  callGemini,
+  buildGeminiPrompt,
+  SYSTEM_PROMPT
+};
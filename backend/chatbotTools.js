@@ -0,0 +1,127 @@
+const { getCurrentWeather } = require('./weather');
+const { findNearbyPlaces } = require('./overpass');
+const { getCategory } = require('./placeCategories');
+const { listEvents } = require('./events');
+const { findGoaLocation } = require('./goaLocations');
+
+const PLACES_RADIUS_M = 3000;
+const EVENTS_RADIUS_M = 25000;
+const EVENTS_WINDOW_DAYS = 30;
+const MAX_RESULTS = 5;
+const TOOL_TIMEOUT_MS = 8000; // don't hold the reply hostage to a slow Overpass mirror
+
+// Keywords that route a question to the nearby-places tool, by place category (placeCategories.json)
+const PLACE_INTENTS = [
+  { type: 'restaurant', pattern: /\b(restaurants?|food|eat|eating|dinner|lunch|breakfast|cafes?|shacks?)\b/ },
+  { type: 'hotel', pattern: /\b(hotels?|stays?|resorts?|guest ?houses?|hostels?|accommodation)\b/ },
+  { type: 'hospital', pattern: /\b(hospitals?|clinics?|doctors?)\b/ },
+  { type: 'attraction', pattern: /\b(attractions?|sightseeing|things to do|places to visit|landmarks?)\b/ },
+  { type: 'shopping', pattern: /\b(shops?|shopping|markets?|malls?)\b/ }
+];
+const WEATHER_PATTERN = /\b(weather|temperature|rain|raining|forecast|hot|humid|sunny|monsoon)\b/;
+const EVENTS_PATTERN = /\b(events?|festivals?|concerts?|parties|party|nightlife|carnival|shows?)\b/;
+const NEARBY_PATTERN = /\b(near|nearby|around|close to)\b/;
+
+// Work out which live-data tools a message needs.
+// `location` ({ latitude, longitude }) is the user's position, used for "near me" questions.
+function detectToolCalls(message = '', location) {
+  const lower = message.toLowerCase();
+  const place = findGoaLocation(lower);
+  const point = place
+    ? { latitude: place.lat, longitude: place.lon, name: place.name }
+    : location?.latitude != null && location?.longitude != null
+      ? { latitude: Number(location.latitude), longitude: Number(location.longitude), name: 'your location' }
+      : null;
+  const calls = [];
+
+  if (WEATHER_PATTERN.test(lower)) {
+    calls.push({ tool: 'weather', point: point || { latitude: 15.4909, longitude: 73.8278, name: 'Panaji' } });
+  }
+
+  const placeIntent = PLACE_INTENTS.find(intent => intent.pattern.test(lower));
+  if (placeIntent && point && (place || NEARBY_PATTERN.test(lower))) {
+    calls.push({ tool: 'places', type: placeIntent.type, point });
+  }
+
+  if (EVENTS_PATTERN.test(lower)) {
+    calls.push({ tool: 'events', point });
+  }
+
+  return calls;
+}
+
+async function runWeatherTool({ point }) {
+  const { value: weather } = await getCurrentWeather({ lat: point.latitude, lon: point.longitude });
+  return {
+    type: 'weather',
+    title: `Weather in ${weather.city || point.name}`,
+    data: weather,
+    summary: `Current weather in ${weather.city || point.name}: ${weather.temperature}°C (feels like ${weather.feelsLike}°C), ${weather.description}, humidity ${weather.humidity}%, wind ${weather.windSpeed} m/s.`
+  };
+}
+
+async function runPlacesTool({ type, point }) {
+  const { places } = await findNearbyPlaces({ latitude: point.latitude, longitude: point.longitude, radius: PLACES_RADIUS_M, categories: [type] });
+  const top = places.slice(0, MAX_RESULTS);
+  const label = getCategory(type).label;
+  return {
+    type: 'places',
+    title: `${label} near ${point.name}`,
+    data: top,
+    summary: top.length
+      ? `Nearby ${label.toLowerCase()} around ${point.name} (OpenStreetMap): ${top.map(place => `${place.name} (${place.distance} km${place.openingHours ? `, open ${place.openingHours}` : ''})`).join('; ')}.`
+      : `No ${label.toLowerCase()} found within ${PLACES_RADIUS_M / 1000} km of ${point.name} in OpenStreetMap.`
+  };
+}
+
+async function runEventsTool({ point }) {
+  const from = new Date();
+  const to = new Date(from.getTime() + EVENTS_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const events = listEvents({
+    from,
+    to,
+    ...(point && { latitude: point.latitude, longitude: point.longitude, radius: EVENTS_RADIUS_M })
+  }).slice(0, MAX_RESULTS);
+  return {
+    type: 'events',
+    title: point ? `Upcoming events near ${point.name}` : 'Upcoming events in Goa',
+    data: events,
+    summary: events.length
+      ? `Upcoming TourGenious events in the next ${EVENTS_WINDOW_DAYS} days: ${events.map(event => `${event.title}${event.venue ? ` at ${event.venue}` : ''} (${event.startTime.slice(0, 10)}, ${event.category})`).join('; ')}.`
+      : `No TourGenious events listed in the next ${EVENTS_WINDOW_DAYS} days.`
+  };
+}
+
+const tools = { weather: runWeatherTool, places: runPlacesTool, events: runEventsTool };
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Run the detected tools in parallel; a failing tool is left out rather than failing the reply
+async function gatherSources(message, location) {
+  const calls = detectToolCalls(message, location);
+  const results = await Promise.allSettled(calls.map(call => withTimeout(tools[call.tool](call), TOOL_TIMEOUT_MS)));
+
+  return results.flatMap((result, index) => {
+    if (result.status === 'fulfilled') return [result.value];
+    console.log(`Chatbot ${calls[index].tool} tool failed:`, result.reason?.message);
+    return [];
+  });
+}
+
+// Live data block handed to the providers alongside the user's message
+function buildSourcesContext(sources) {
+  if (!sources.length) return '';
+  return `Live TourGenious data (use it to answer, and say when it does not cover the question):\n${sources.map(source => `- ${source.summary}`).join('\n')}`;
+}
+
+module.exports = {
+  detectToolCalls,
+  gatherSources,
+  buildSourcesContext
+};
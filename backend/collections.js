@@ -0,0 +1,611 @@
+const crypto = require('crypto');
+const express = require('express');
+const { getDb } = require('./db');
+const { requireAuth } = require('./auth');
+const { OSM_TYPES } = require('./overpass');
+const { getPlaceDetails } = require('./placeDetails');
+const { getCategory } = require('./placeCategories');
+const { parseCoordinates } = require('./geo');
+const { toGeoJson, toKml } = require('./mapExport');
+
+// Saved places in named collections. Places from the places API only live as long as the
+// search, so saving one keeps a snapshot (name, coordinates, category, address) next to its
+// OSM id. Every user has a "Favorites" collection, created the first time it's used
+// (`favorites` in place of a collection id). A collection can be shared through a read-only link.
+
+const DEFAULT_COLLECTION_NAME = 'Favorites';
+const MAX_COLLECTIONS = 50;
+const MAX_PLACES_PER_COLLECTION = 500;
+const MAX_NAME_LENGTH = 80;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_NOTES_LENGTH = 1000;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const EXPORT_FORMATS = {
+  geojson: { contentType: 'application/geo+json; charset=utf-8', extension: 'geojson' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8', extension: 'kml' }
+};
+
+let schemaReady = false;
+
+function ensureSchema() {
+  if (schemaReady) return;
+  getDb().exec(`
+    CREATE TABLE IF NOT EXISTS collections (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT,
+      is_default INTEGER NOT NULL DEFAULT 0,
+      share_token TEXT UNIQUE,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS saved_places (
+      id TEXT PRIMARY KEY,
+      collection_id TEXT NOT NULL REFERENCES collections(id) ON DELETE CASCADE,
+      place_id TEXT,
+      name TEXT NOT NULL,
+      latitude REAL NOT NULL,
+      longitude REAL NOT NULL,
+      category TEXT,
+      address TEXT,
+      notes TEXT,
+      tags TEXT NOT NULL DEFAULT '[]',
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      UNIQUE (collection_id, place_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_collections_user ON collections(user_id);
+    CREATE INDEX IF NOT EXISTS idx_saved_places_place ON saved_places(place_id);
+  `);
+  schemaReady = true;
+}
+
+function rowToCollection(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    isDefault: Boolean(row.is_default),
+    shared: Boolean(row.share_token),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function rowToSavedPlace(row) {
+  return {
+    id: row.id,
+    placeId: row.place_id,
+    name: row.name,
+    lat: row.latitude,
+    lon: row.longitude,
+    category: row.category,
+    address: row.address,
+    notes: row.notes,
+    tags: JSON.parse(row.tags),
+    savedAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// "Beach", " beach " → "beach"; deduplicated
+function normalizeTags(tags) {
+  return [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+}
+
+function validateCollection(collection) {
+  const errors = [];
+  if (!collection.name || typeof collection.name !== 'string' || !collection.name.trim()) {
+    errors.push('name is required');
+  } else if (collection.name.length > MAX_NAME_LENGTH) {
+    errors.push(`name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (collection.description != null && (typeof collection.description !== 'string' || collection.description.length > MAX_DESCRIPTION_LENGTH)) {
+    errors.push(`description must be text of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+  return errors;
+}
+
+// Notes and tags, shared by new and edited places
+function validatePlaceFields(place) {
+  const errors = [];
+  if (place.notes != null && (typeof place.notes !== 'string' || place.notes.length > MAX_NOTES_LENGTH)) {
+    errors.push(`notes must be text of at most ${MAX_NOTES_LENGTH} characters`);
+  }
+  if (place.tags != null) {
+    if (!Array.isArray(place.tags) || place.tags.some(tag => typeof tag !== 'string')) {
+      errors.push('tags must be an array of strings');
+    } else if (normalizeTags(place.tags).length > MAX_TAGS || place.tags.some(tag => tag.trim().length > MAX_TAG_LENGTH)) {
+      errors.push(`At most ${MAX_TAGS} tags of up to ${MAX_TAG_LENGTH} characters each`);
+    }
+  }
+  return errors;
+}
+
+function getCollection(id, userId) {
+  ensureSchema();
+  const row = getDb().prepare('SELECT * FROM collections WHERE id = ? AND user_id = ?').get(id, userId);
+  return row ? rowToCollection(row) : null;
+}
+
+function getDefaultCollection(userId) {
+  ensureSchema();
+  const db = getDb();
+  const row = db.prepare('SELECT * FROM collections WHERE user_id = ? AND is_default = 1').get(userId);
+  if (row) return rowToCollection(row);
+  return createCollection(userId, { name: DEFAULT_COLLECTION_NAME }, { isDefault: true });
+}
+
+function listCollections(userId) {
+  ensureSchema();
+  return getDb()
+    .prepare(`
+      SELECT collections.*, COUNT(saved_places.id) AS place_count
+      FROM collections LEFT JOIN saved_places ON saved_places.collection_id = collections.id
+      WHERE collections.user_id = ?
+      GROUP BY collections.id
+      ORDER BY collections.is_default DESC, collections.name COLLATE NOCASE
+    `)
+    .all(userId)
+    .map(row => ({ ...rowToCollection(row), placeCount: row.place_count }));
+}
+
+function createCollection(userId, input, { isDefault = false } = {}) {
+  ensureSchema();
+  const now = new Date().toISOString();
+  const collection = {
+    id: crypto.randomUUID(),
+    name: input.name.trim(),
+    description: input.description || null,
+    isDefault,
+    shared: false,
+    createdAt: now,
+    updatedAt: now
+  };
+  getDb().prepare(`
+    INSERT INTO collections (id, user_id, name, description, is_default, created_at, updated_at)
+    VALUES (@id, @userId, @name, @description, @isDefault, @createdAt, @updatedAt)
+  `).run({ ...collection, userId, isDefault: isDefault ? 1 : 0 });
+  return collection;
+}
+
+function listSavedPlaces(collectionId, { tag } = {}) {
+  ensureSchema();
+  const places = getDb()
+    .prepare('SELECT * FROM saved_places WHERE collection_id = ? ORDER BY created_at')
+    .all(collectionId)
+    .map(rowToSavedPlace);
+  return tag ? places.filter(place => place.tags.includes(tag.trim().toLowerCase())) : places;
+}
+
+// ?tag=beach filters on one tag; a repeated ?tag= arrives as an array and is refused (null)
+function tagFilter(query) {
+  return query.tag == null || typeof query.tag === 'string' ? { tag: query.tag } : null;
+}
+
+function withPlaces(collection, options) {
+  const places = listSavedPlaces(collection.id, options);
+  return { ...collection, places, placeCount: places.length };
+}
+
+function touchCollection(id, now = new Date().toISOString()) {
+  getDb().prepare('UPDATE collections SET updated_at = ? WHERE id = ?').run(now, id);
+}
+
+// Snapshot of the place to save. Without a name and coordinates in the request, they're looked up
+// from the OSM id. Resolves to { snapshot, errors }.
+async function resolveSnapshot(input) {
+  const errors = [];
+  const placeId = input.placeId ?? null;
+  const [, osmType, osmId] = (typeof placeId === 'string' && placeId.match(/^(\w+)\/(\d{1,15})$/)) || [];
+  if (placeId !== null && !OSM_TYPES.includes(osmType)) {
+    errors.push(`placeId must look like "node/123456" (one of: ${OSM_TYPES.join(', ')})`);
+  }
+  for (const field of ['category', 'address']) {
+    if (input[field] != null && typeof input[field] !== 'string') errors.push(`${field} must be text`);
+  }
+  errors.push(...validatePlaceFields(input));
+  if (errors.length) return { snapshot: null, errors };
+
+  let snapshot = {
+    placeId,
+    name: typeof input.name === 'string' ? input.name.trim() : '',
+    coordinates: input.latitude == null && input.longitude == null ? null : parseCoordinates(input.latitude, input.longitude),
+    category: input.category?.trim() || null,
+    address: input.address?.trim() || null
+  };
+  if ((input.latitude != null || input.longitude != null) && !snapshot.coordinates) {
+    return { snapshot: null, errors: ['latitude and longitude must be valid coordinates'] };
+  }
+
+  if (placeId && (!snapshot.name || !snapshot.coordinates)) {
+    try {
+      const { place } = await getPlaceDetails(osmType, osmId);
+      if (!place) return { snapshot: null, errors: [`No OpenStreetMap ${osmType} with id ${osmId}`] };
+      snapshot = {
+        ...snapshot,
+        name: snapshot.name || place.name || '',
+        coordinates: snapshot.coordinates || parseCoordinates(place.lat, place.lon),
+        category: snapshot.category || place.category,
+        address: snapshot.address || place.address.formatted
+      };
+    } catch (error) {
+      console.log(`⚠️ Place lookup for saving failed: ${error.message}`);
+      return { snapshot: null, errors: ['The place could not be looked up; send its name, latitude and longitude'] };
+    }
+  }
+
+  if (!snapshot.name) errors.push('name is required');
+  if (!snapshot.coordinates) errors.push('latitude and longitude are required');
+  if (snapshot.category && !getCategory(snapshot.category) && snapshot.category !== 'place') {
+    errors.push('category must be a place category id (see GET /api/places/categories)');
+  }
+  return { snapshot, errors };
+}
+
+function savePlace(collectionId, snapshot, input) {
+  const now = new Date().toISOString();
+  const id = crypto.randomUUID();
+  const db = getDb();
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO saved_places (id, collection_id, place_id, name, latitude, longitude, category, address, notes, tags, created_at, updated_at)
+      VALUES (@id, @collectionId, @placeId, @name, @latitude, @longitude, @category, @address, @notes, @tags, @createdAt, @updatedAt)
+    `).run({
+      id,
+      collectionId,
+      placeId: snapshot.placeId,
+      name: snapshot.name,
+      latitude: snapshot.coordinates.latitude,
+      longitude: snapshot.coordinates.longitude,
+      category: snapshot.category,
+      address: snapshot.address,
+      notes: input.notes || null,
+      tags: JSON.stringify(normalizeTags(input.tags || [])),
+      createdAt: now,
+      updatedAt: now
+    });
+    touchCollection(collectionId, now);
+  })();
+  return getSavedPlace(collectionId, id);
+}
+
+function getSavedPlace(collectionId, id) {
+  const row = getDb().prepare('SELECT * FROM saved_places WHERE id = ? AND collection_id = ?').get(id, collectionId);
+  return row ? rowToSavedPlace(row) : null;
+}
+
+function findSavedByPlaceId(collectionId, placeId) {
+  return placeId ? getDb().prepare('SELECT id FROM saved_places WHERE collection_id = ? AND place_id = ?').get(collectionId, placeId) : null;
+}
+
+function countPlaces(collectionId) {
+  return getDb().prepare('SELECT COUNT(*) AS count FROM saved_places WHERE collection_id = ?').get(collectionId).count;
+}
+
+// Collections (of this user) holding each OSM place id, for showing which places are saved
+function findSavedPlaces(userId, placeIds) {
+  ensureSchema();
+  const saved = Object.fromEntries(placeIds.map(placeId => [placeId, []]));
+  if (!placeIds.length) return saved;
+  getDb()
+    .prepare(`
+      SELECT saved_places.id, saved_places.place_id, saved_places.collection_id
+      FROM saved_places JOIN collections ON collections.id = saved_places.collection_id
+      WHERE collections.user_id = ? AND saved_places.place_id IN (${placeIds.map(() => '?').join(', ')})
+    `)
+    .all(userId, ...placeIds)
+    .forEach(row => saved[row.place_id].push({ collectionId: row.collection_id, savedPlaceId: row.id }));
+  return saved;
+}
+
+// Export input for mapExport; notes, tags and the OSM link travel as properties
+function exportPlaces(places) {
+  return places.map(place => ({
+    name: place.name,
+    lat: place.lat,
+    lon: place.lon,
+    category: place.category,
+    description: place.notes,
+    properties: {
+      placeId: place.placeId,
+      address: place.address,
+      tags: place.tags,
+      osmUrl: place.placeId ? `https://www.openstreetmap.org/${place.placeId}` : null
+    }
+  }));
+}
+
+function sendExport(res, collection, format) {
+  const places = exportPlaces(listSavedPlaces(collection.id));
+  const fileName = collection.name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'collection';
+  res.set('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.set('Content-Disposition', `attachment; filename="${fileName}.${EXPORT_FORMATS[format].extension}"`);
+  res.send(format === 'kml'
+    ? toKml({ name: collection.name, description: collection.description, places })
+    : JSON.stringify(toGeoJson({ name: collection.name, places }), null, 2));
+}
+
+function getSharedCollection(token) {
+  ensureSchema();
+  const row = getDb().prepare('SELECT * FROM collections WHERE share_token = ?').get(token);
+  return row ? rowToCollection(row) : null;
+}
+
+function shareUrl(req, token) {
+  return `${req.protocol}://${req.get('host')}/api/collections/shared/${token}`;
+}
+
+const router = express.Router();
+
+// Shared links are public and read-only; they don't reveal the owner or internal ids
+router.get('/shared/:token', (req, res) => {
+  const filter = tagFilter(req.query);
+  if (!filter) {
+    return res.status(400).json({ error: 'tag must be a single tag' });
+  }
+  try {
+    const collection = getSharedCollection(req.params.token);
+    if (!collection) {
+      return res.status(404).json({ error: 'Shared collection not found', message: 'The link is invalid or sharing was turned off' });
+    }
+    const { id, isDefault, shared, places, ...visible } = withPlaces(collection, filter);
+    res.json({ success: true, collection: { ...visible, places: places.map(({ id: savedPlaceId, ...place }) => place) } });
+  } catch (error) {
+    console.error('Collections API error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch shared collection', message: error.message });
+  }
+});
+
+router.get('/shared/:token/export.:format', (req, res) => {
+  if (!Object.hasOwn(EXPORT_FORMATS, req.params.format)) {
+    return res.status(404).json({ error: `Export format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  try {
+    const collection = getSharedCollection(req.params.token);
+    if (!collection) {
+      return res.status(404).json({ error: 'Shared collection not found', message: 'The link is invalid or sharing was turned off' });
+    }
+    sendExport(res, collection, req.params.format);
+  } catch (error) {
+    console.error('Collection export error:', error.message);
+    res.status(500).json({ error: 'Failed to export collection', message: error.message });
+  }
+});
+
+// Everything else belongs to a user account
+router.use(requireAuth);
+
+// Load the user's collection for /:id routes; "favorites" is their default collection
+router.param('id', (req, res, next, id) => {
+  try {
+    req.collection = id === 'favorites' ? getDefaultCollection(req.user.id) : getCollection(id, req.user.id);
+    if (!req.collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/', (req, res) => {
+  try {
+    const collections = listCollections(req.user.id);
+    res.json({ success: true, collections, total: collections.length });
+  } catch (error) {
+    console.error('Collections API error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch collections', message: error.message });
+  }
+});
+
+// GET /api/collections/saved?placeIds=node/1,way/2 - which collections hold these places
+router.get('/saved', (req, res) => {
+  const placeIds = String(req.query.placeIds || '').split(',').map(placeId => placeId.trim()).filter(Boolean);
+  if (!placeIds.length || placeIds.length > 100) {
+    return res.status(400).json({ error: 'placeIds must list 1 to 100 place ids, comma-separated' });
+  }
+  try {
+    res.json({ success: true, saved: findSavedPlaces(req.user.id, [...new Set(placeIds)]) });
+  } catch (error) {
+    console.error('Collections API error:', error.message);
+    res.status(500).json({ error: 'Failed to look up saved places', message: error.message });
+  }
+});
+
+router.post('/', (req, res) => {
+  try {
+    const input = req.body || {};
+    const errors = validateCollection(input);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid collection', details: errors });
+    }
+    if (listCollections(req.user.id).length >= MAX_COLLECTIONS) {
+      return res.status(409).json({ error: `You can have at most ${MAX_COLLECTIONS} collections` });
+    }
+    const collection = createCollection(req.user.id, input);
+    console.log(`📌 Collection created: ${collection.id} (${collection.name})`);
+    res.status(201).json({ success: true, collection: withPlaces(collection) });
+  } catch (error) {
+    console.error('Collections API error:', error.message);
+    res.status(500).json({ error: 'Failed to create collection', message: error.message });
+  }
+});
+
+router.get('/:id', (req, res) => {
+  const filter = tagFilter(req.query);
+  if (!filter) {
+    return res.status(400).json({ error: 'tag must be a single tag' });
+  }
+  try {
+    res.json({ success: true, collection: withPlaces(req.collection, filter) });
+  } catch (error) {
+    console.error('Collections API error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch collection', message: error.message });
+  }
+});
+
+router.put('/:id', (req, res) => {
+  try {
+    const changes = req.body || {};
+    const updated = {
+      ...req.collection,
+      ...(changes.name !== undefined && { name: changes.name }),
+      ...(changes.description !== undefined && { description: changes.description }),
+      updatedAt: new Date().toISOString()
+    };
+    const errors = validateCollection(updated);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid collection', details: errors });
+    }
+    updated.name = updated.name.trim();
+    getDb().prepare('UPDATE collections SET name = @name, description = @description, updated_at = @updatedAt WHERE id = @id').run(updated);
+    res.json({ success: true, collection: withPlaces(updated) });
+  } catch (error) {
+    console.error('Collections API error:', error.message);
+    res.status(500).json({ error: 'Failed to update collection', message: error.message });
+  }
+});
+
+// Deleting the default collection empties it; a new one is created when it's next used
+router.delete('/:id', (req, res) => {
+  try {
+    getDb().prepare('DELETE FROM collections WHERE id = ?').run(req.collection.id);
+    res.json({ success: true, deleted: req.collection.id });
+  } catch (error) {
+    console.error('Collections API error:', error.message);
+    res.status(500).json({ error: 'Failed to delete collection', message: error.message });
+  }
+});
+
+// Save a place: { placeId, name, latitude, longitude, category, address, notes, tags }
+router.post('/:id/places', async (req, res) => {
+  try {
+    const input = req.body || {};
+    const { snapshot, errors } = await resolveSnapshot(input);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid place', details: errors });
+    }
+    const existing = findSavedByPlaceId(req.collection.id, snapshot.placeId);
+    if (existing) {
+      return res.status(409).json({ error: 'Place already saved in this collection', savedPlaceId: existing.id });
+    }
+    if (countPlaces(req.collection.id) >= MAX_PLACES_PER_COLLECTION) {
+      return res.status(409).json({ error: `A collection can hold at most ${MAX_PLACES_PER_COLLECTION} places` });
+    }
+    const place = savePlace(req.collection.id, snapshot, input);
+    res.status(201).json({ success: true, collectionId: req.collection.id, place });
+  } catch (error) {
+    console.error('Collections API error:', error.message);
+    res.status(500).json({ error: 'Failed to save place', message: error.message });
+  }
+});
+
+// Edit notes and tags, or move the place with { collectionId }
+router.put('/:id/places/:placeId', (req, res) => {
+  try {
+    const existing = getSavedPlace(req.collection.id, req.params.placeId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Saved place not found' });
+    }
+    const changes = req.body || {};
+    const errors = validatePlaceFields(changes);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid place', details: errors });
+    }
+
+    let target = req.collection;
+    if (changes.collectionId !== undefined && changes.collectionId !== req.collection.id) {
+      if (typeof changes.collectionId !== 'string') {
+        return res.status(400).json({ error: 'Invalid place', details: ['collectionId must be one of your collections'] });
+      }
+      target = changes.collectionId === 'favorites' ? getDefaultCollection(req.user.id) : getCollection(changes.collectionId, req.user.id);
+      if (!target) {
+        return res.status(400).json({ error: 'Invalid place', details: ['collectionId must be one of your collections'] });
+      }
+      if (findSavedByPlaceId(target.id, existing.placeId)) {
+        return res.status(409).json({ error: 'Place already saved in that collection' });
+      }
+      if (countPlaces(target.id) >= MAX_PLACES_PER_COLLECTION) {
+        return res.status(409).json({ error: `A collection can hold at most ${MAX_PLACES_PER_COLLECTION} places` });
+      }
+    }
+
+    const now = new Date().toISOString();
+    const db = getDb();
+    db.transaction(() => {
+      db.prepare('UPDATE saved_places SET collection_id = ?, notes = ?, tags = ?, updated_at = ? WHERE id = ?').run(
+        target.id,
+        changes.notes !== undefined ? changes.notes || null : existing.notes,
+        JSON.stringify(changes.tags !== undefined ? normalizeTags(changes.tags || []) : existing.tags),
+        now,
+        existing.id
+      );
+      touchCollection(req.collection.id, now);
+      if (target.id !== req.collection.id) touchCollection(target.id, now);
+    })();
+    res.json({ success: true, collectionId: target.id, place: getSavedPlace(target.id, existing.id) });
+  } catch (error) {
+    console.error('Collections API error:', error.message);
+    res.status(500).json({ error: 'Failed to update saved place', message: error.message });
+  }
+});
+
+router.delete('/:id/places/:placeId', (req, res) => {
+  try {
+    const existing = getSavedPlace(req.collection.id, req.params.placeId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Saved place not found' });
+    }
+    getDb().prepare('DELETE FROM saved_places WHERE id = ?').run(existing.id);
+    touchCollection(req.collection.id);
+    res.json({ success: true, deleted: existing.id });
+  } catch (error) {
+    console.error('Collections API error:', error.message);
+    res.status(500).json({ error: 'Failed to remove saved place', message: error.message });
+  }
+});
+
+// Turn on the read-only link (the same link if it's already on)
+router.post('/:id/share', (req, res) => {
+  try {
+    const db = getDb();
+    let { share_token: token } = db.prepare('SELECT share_token FROM collections WHERE id = ?').get(req.collection.id);
+    if (!token) {
+      token = crypto.randomBytes(18).toString('base64url');
+      db.prepare('UPDATE collections SET share_token = ? WHERE id = ?').run(token, req.collection.id);
+    }
+    res.json({ success: true, shareToken: token, shareUrl: shareUrl(req, token) });
+  } catch (error) {
+    console.error('Collections API error:', error.message);
+    res.status(500).json({ error: 'Failed to share collection', message: error.message });
+  }
+});
+
+// Turn the link off; sharing again creates a new one
+router.delete('/:id/share', (req, res) => {
+  try {
+    getDb().prepare('UPDATE collections SET share_token = NULL WHERE id = ?').run(req.collection.id);
+    res.json({ success: true, shared: false });
+  } catch (error) {
+    console.error('Collections API error:', error.message);
+    res.status(500).json({ error: 'Failed to stop sharing collection', message: error.message });
+  }
+});
+
+// GET /api/collections/:id/export.geojson or export.kml
+router.get('/:id/export.:format', (req, res) => {
+  if (!Object.hasOwn(EXPORT_FORMATS, req.params.format)) {
+    return res.status(404).json({ error: `Export format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  try {
+    sendExport(res, req.collection, req.params.format);
+  } catch (error) {
+    console.error('Collection export error:', error.message);
+    res.status(500).json({ error: 'Failed to export collection', message: error.message });
+  }
+});
+
+module.exports = { router, getCollection, getDefaultCollection, listSavedPlaces, findSavedPlaces };
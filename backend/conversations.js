@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const express = require('express');
+const { getDb } = require('./db');
+const { requireAuth } = require('./auth');
+
+const DEFAULT_HISTORY_TOKEN_BUDGET = 1500;
+const TITLE_LENGTH = 60;
+
+let schemaReady = false;
+
+function ensureSchema() {
+  if (schemaReady) return;
+  getDb().exec(`
+    CREATE TABLE IF NOT EXISTS conversations (
+      id TEXT PRIMARY KEY,
+      user_id TEXT,
+      title TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS conversation_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+      role TEXT NOT NULL,
+      content TEXT NOT NULL,
+      provider TEXT,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_conversations_user ON conversations(user_id);
+    CREATE INDEX IF NOT EXISTS idx_conversation_messages_conversation ON conversation_messages(conversation_id);
+  `);
+  schemaReady = true;
+}
+
+// Rough token estimate (~4 characters per token) – good enough for budgeting history
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function getHistoryTokenBudget() {
+  return Number(process.env.CHATBOT_HISTORY_TOKEN_BUDGET) || DEFAULT_HISTORY_TOKEN_BUDGET;
+}
+
+function rowToConversation(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    ...(row.message_count !== undefined && { messageCount: row.message_count })
+  };
+}
+
+function rowToMessage(row) {
+  return {
+    role: row.role,
+    content: row.content,
+    provider: row.provider,
+    timestamp: row.created_at
+  };
+}
+
+// Anonymous conversations are reachable by anyone holding the id;
+// a logged-in user's conversations only by that user
+function getConversation(id, user) {
+  ensureSchema();
+  const row = getDb().prepare('SELECT * FROM conversations WHERE id = ?').get(id);
+  if (!row) return null;
+  if (row.user_id && row.user_id !== user?.id) return null;
+  return rowToConversation(row);
+}
+
+function createConversation(user, firstMessage) {
+  ensureSchema();
+  const now = new Date().toISOString();
+  const title = firstMessage.length > TITLE_LENGTH ? `${firstMessage.slice(0, TITLE_LENGTH - 1)}…` : firstMessage;
+  const conversation = { id: crypto.randomUUID(), title, createdAt: now, updatedAt: now };
+  getDb().prepare(`
+    INSERT INTO conversations (id, user_id, title, created_at, updated_at)
+    VALUES (@id, @userId, @title, @createdAt, @updatedAt)
+  `).run({ ...conversation, userId: user?.id || null });
+  return conversation;
+}
+
+function getMessages(conversationId) {
+  ensureSchema();
+  return getDb()
+    .prepare('SELECT * FROM conversation_messages WHERE conversation_id = ? ORDER BY id')
+    .all(conversationId)
+    .map(rowToMessage);
+}
+
+// Most recent messages that fit in the token budget, oldest first
+function getHistoryForPrompt(conversationId, tokenBudget = getHistoryTokenBudget()) {
+  const messages = getMessages(conversationId);
+  const history = [];
+  let used = 0;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const tokens = estimateTokens(messages[i].content);
+    if (used + tokens > tokenBudget) break;
+    history.unshift({ role: messages[i].role, content: messages[i].content });
+    used += tokens;
+  }
+
+  // Providers expect the history to start with a user turn
+  while (history.length && history[0].role !== 'user') {
+    history.shift();
+  }
+  return history;
+}
+
+function appendMessages(conversationId, messages) {
+  ensureSchema();
+  const db = getDb();
+  const now = new Date().toISOString();
+  const insert = db.prepare(`
+    INSERT INTO conversation_messages (conversation_id, role, content, provider, created_at)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  db.transaction(() => {
+    for (const { role, content, provider = null } of messages) {
+      insert.run(conversationId, role, content, provider, now);
+    }
+    db.prepare('UPDATE conversations SET updated_at = ? WHERE id = ?').run(now, conversationId);
+  })();
+}
+
+function deleteConversation(conversationId) {
+  ensureSchema();
+  const db = getDb();
+  db.transaction(() => {
+    db.prepare('DELETE FROM conversation_messages WHERE conversation_id = ?').run(conversationId);
+    db.prepare('DELETE FROM conversations WHERE id = ?').run(conversationId);
+  })();
+}
+
+const router = express.Router();
+
+// The logged-in user's conversations, most recent first
+router.get('/', requireAuth, (req, res) => {
+  try {
+    ensureSchema();
+    const conversations = getDb().prepare(`
+      SELECT c.*, COUNT(m.id) AS message_count FROM conversations c
+      LEFT JOIN conversation_messages m ON m.conversation_id = c.id
+      WHERE c.user_id = ? GROUP BY c.id ORDER BY c.updated_at DESC
+    `).all(req.user.id).map(rowToConversation);
+    res.json({ success: true, conversations, total: conversations.length });
+  } catch (error) {
+    console.error('Conversations API error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch conversations', message: error.message });
+  }
+});
+
+router.get('/:id', (req, res) => {
+  try {
+    const conversation = getConversation(req.params.id, req.user);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json({ success: true, conversation, messages: getMessages(conversation.id) });
+  } catch (error) {
+    console.error('Conversations API error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch conversation', message: error.message });
+  }
+});
+
+router.delete('/:id', (req, res) => {
+  try {
+    const conversation = getConversation(req.params.id, req.user);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    deleteConversation(conversation.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Conversations API error:', error.message);
+    res.status(500).json({ error: 'Failed to delete conversation', message: error.message });
+  }
+});
+
+module.exports = {
+  router,
+  getConversation,
+  createConversation,
+  getHistoryForPrompt,
+  appendMessages
+};
@@ -0,0 +1,66 @@
+// Minimal RFC 4180 CSV: quoted fields, doubled quotes, CRLF or LF line endings
+
+function escapeField(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  const lines = [columns.map(escapeField).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeField(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// Parse CSV text into objects keyed by the header row; blank lines are skipped
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, ''); // spreadsheet exports often start with a BOM
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(fields => fields.some(value => value.trim()));
+  if (!nonEmpty.length) return [];
+
+  const [header, ...rows] = nonEmpty;
+  const columns = header.map(column => column.trim());
+  return rows.map(fields => Object.fromEntries(columns.map((column, index) => [column, fields[index] ?? ''])));
+}
+
+module.exports = { toCsv, parseCsv };
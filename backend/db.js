@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Embedded SQLite database shared by the bookings, events and user modules.
+// DATABASE_PATH=:memory: keeps everything in memory (handy for tests).
+const DEFAULT_DATABASE_PATH = path.join(__dirname, 'data', 'tourgenious.db');
+
+let db = null;
+
+function getDb() {
+  if (db) return db;
+
+  const databasePath = process.env.DATABASE_PATH || DEFAULT_DATABASE_PATH;
+  if (databasePath !== ':memory:') {
+    fs.mkdirSync(path.dirname(databasePath), { recursive: true });
+  }
+
+  db = new Database(databasePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  return db;
+}
+
+// Lightweight migration for tables created by an older version of a module
+function addColumnIfMissing(table, column, definition) {
+  const columns = getDb().prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(existing => existing.name === column)) {
+    getDb().exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+module.exports = { getDb, addColumnIfMissing };
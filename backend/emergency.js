@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const express = require('express');
+const { getDb } = require('./db');
+const { parseCoordinates } = require('./geo');
+const { buildTagQuery, runOverpassQuery, elementsToPlaces } = require('./overpass');
+const { getEmergencyNotifier } = require('./emergencyNotifiers');
+const { requireAuth } = require('./auth');
+
+// National helplines that work anywhere in India (and in Goa)
+const NATIONAL_EMERGENCY_NUMBERS = [
+  { name: 'National Emergency Number', number: '112', description: 'Police, fire and ambulance' },
+  { name: 'Police', number: '100' },
+  { name: 'Fire', number: '101' },
+  { name: 'Ambulance', number: '108', description: 'Emergency medical services' },
+  { name: 'Women Helpline', number: '1091' },
+  { name: 'Child Helpline', number: '1098' },
+  { name: 'Tourist Helpline', number: '1363', description: 'Multilingual tourist support' },
+  { name: 'Coast Guard', number: '1554', description: 'Sea and beach emergencies' }
+];
+
+// OSM tags for each kind of nearby emergency service
+const SERVICE_TAGS = {
+  police: 'amenity=police',
+  hospitals: 'amenity=hospital',
+  fireStations: 'amenity=fire_station'
+};
+const SERVICE_CATEGORIES = { police: 'police', hospitals: 'hospital', fireStations: 'fire_station' };
+const MAX_SERVICES_PER_TYPE = 5;
+const DEFAULT_SEARCH_RADIUS = 10000;
+const ALERT_TYPES = ['medical', 'police', 'fire', 'accident', 'lost', 'other'];
+const MAX_ALERT_MESSAGE_LENGTH = 500;
+
+let schemaReady = false;
+
+function ensureSchema() {
+  if (schemaReady) return;
+  getDb().exec(`
+    CREATE TABLE IF NOT EXISTS emergency_contacts (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      phone TEXT,
+      email TEXT,
+      relationship TEXT,
+      created_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS emergency_alerts (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      message TEXT NOT NULL,
+      latitude REAL NOT NULL,
+      longitude REAL NOT NULL,
+      accuracy REAL,
+      notifications TEXT,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_emergency_contacts_user ON emergency_contacts(user_id);
+  `);
+  schemaReady = true;
+}
+
+function rowToContact(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    phone: row.phone,
+    email: row.email,
+    relationship: row.relationship,
+    createdAt: row.created_at
+  };
+}
+
+function listSavedContacts(userId) {
+  ensureSchema();
+  return getDb()
+    .prepare('SELECT * FROM emergency_contacts WHERE user_id = ? ORDER BY created_at')
+    .all(userId)
+    .map(rowToContact);
+}
+
+// Nearest police stations, hospitals and fire stations (one Overpass round trip)
+async function findNearbyServices({ latitude, longitude, radius }) {
+  const osmQuery = Object.values(SERVICE_TAGS)
+    .map(tag => buildTagQuery(tag, radius, latitude, longitude))
+    .join('\n');
+  const elements = await runOverpassQuery(`[out:json][timeout:15];(${osmQuery});out body center 100;`);
+  const places = elementsToPlaces(elements, { latitude, longitude, radius, categories: Object.values(SERVICE_CATEGORIES) });
+
+  return Object.fromEntries(
+    Object.entries(SERVICE_CATEGORIES).map(([key, category]) => [
+      key,
+      places.filter(place => place.category === category).slice(0, MAX_SERVICES_PER_TYPE)
+    ])
+  );
+}
+
+// Send the alert to every saved contact; one failed delivery doesn't stop the rest
+async function notifyContacts(contacts, alert) {
+  const notifier = getEmergencyNotifier();
+  return Promise.all(contacts.map(async contact => {
+    try {
+      const result = await notifier.notify({ contact, alert });
+      return { contactId: contact.id, name: contact.name, notifier: notifier.name, ...result };
+    } catch (error) {
+      console.error(`Emergency notification to ${contact.name} failed:`, error.message);
+      return { contactId: contact.id, name: contact.name, notifier: notifier.name, delivered: false, error: error.message };
+    }
+  }));
+}
+
+const router = express.Router();
+
+// National helplines plus the nearest emergency services when ?lat=&lon= are given
+router.get('/contacts', async (req, res) => {
+  const { lat, lon, radius } = req.query;
+
+  if (lat == null && lon == null) {
+    return res.json({ success: true, national: NATIONAL_EMERGENCY_NUMBERS, nearby: null });
+  }
+
+  const coordinates = parseCoordinates(lat, lon);
+  if (!coordinates) {
+    return res.status(400).json({ error: 'lat and lon must be valid coordinates' });
+  }
+
+  try {
+    const nearby = await findNearbyServices({ ...coordinates, radius: parseInt(radius, 10) || DEFAULT_SEARCH_RADIUS });
+    res.json({ success: true, national: NATIONAL_EMERGENCY_NUMBERS, nearby });
+  } catch (error) {
+    // Never leave the user without numbers to call
+    console.error('Emergency services lookup failed:', error.message);
+    res.json({
+      success: true,
+      national: NATIONAL_EMERGENCY_NUMBERS,
+      nearby: null,
+      fallback: true,
+      message: 'Nearby services are temporarily unavailable. Dial 112 for any emergency.'
+    });
+  }
+});
+
+// Saved emergency contacts for the logged-in user
+router.get('/saved-contacts', requireAuth, (req, res) => {
+  try {
+    const contacts = listSavedContacts(req.user.id);
+    res.json({ success: true, contacts, total: contacts.length });
+  } catch (error) {
+    console.error('Emergency API error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch emergency contacts', message: error.message });
+  }
+});
+
+router.post('/saved-contacts', requireAuth, (req, res) => {
+  const { name, phone, email, relationship } = req.body || {};
+  if (!name || (!phone && !email)) {
+    return res.status(400).json({ error: 'Missing required parameters: name and a phone or email' });
+  }
+  try {
+    ensureSchema();
+    const contact = {
+      id: crypto.randomUUID(),
+      name,
+      phone: phone || null,
+      email: email || null,
+      relationship: relationship || null,
+      createdAt: new Date().toISOString()
+    };
+    getDb().prepare(`
+      INSERT INTO emergency_contacts (id, user_id, name, phone, email, relationship, created_at)
+      VALUES (@id, @userId, @name, @phone, @email, @relationship, @createdAt)
+    `).run({ ...contact, userId: req.user.id });
+    res.status(201).json({ success: true, contact });
+  } catch (error) {
+    console.error('Emergency API error:', error.message);
+    res.status(500).json({ error: 'Failed to save emergency contact', message: error.message });
+  }
+});
+
+router.delete('/saved-contacts/:id', requireAuth, (req, res) => {
+  try {
+    ensureSchema();
+    const { changes } = getDb()
+      .prepare('DELETE FROM emergency_contacts WHERE id = ? AND user_id = ?')
+      .run(req.params.id, req.user.id);
+    if (!changes) {
+      return res.status(404).json({ error: 'Emergency contact not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Emergency API error:', error.message);
+    res.status(500).json({ error: 'Failed to delete emergency contact', message: error.message });
+  }
+});
+
+// Record an emergency alert with the user's location and notify their saved contacts
+router.post('/alert', requireAuth, async (req, res) => {
+  const { latitude, longitude, accuracy, type = 'other', message } = req.body || {};
+  const userId = req.user.id;
+
+  const coordinates = parseCoordinates(latitude, longitude);
+  if (!coordinates) {
+    return res.status(400).json({ error: 'latitude and longitude must be valid coordinates' });
+  }
+  if (!ALERT_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${ALERT_TYPES.join(', ')}` });
+  }
+  if (accuracy != null && !(typeof accuracy === 'number' && Number.isFinite(accuracy) && accuracy >= 0)) {
+    return res.status(400).json({ error: 'accuracy must be a non-negative number of meters' });
+  }
+  if (message != null && (typeof message !== 'string' || message.length > MAX_ALERT_MESSAGE_LENGTH)) {
+    return res.status(400).json({ error: `message must be text of at most ${MAX_ALERT_MESSAGE_LENGTH} characters` });
+  }
+
+  try {
+    ensureSchema();
+    const alert = {
+      id: crypto.randomUUID(),
+      userId,
+      type,
+      message: message?.trim() || `Emergency (${type}) – I need help at this location.`,
+      ...coordinates,
+      accuracy: accuracy ?? null,
+      createdAt: new Date().toISOString()
+    };
+
+    // Record the alert before anyone is notified, so a sent SMS always has an alert behind it
+    const db = getDb();
+    db.prepare(`
+      INSERT INTO emergency_alerts (id, user_id, type, message, latitude, longitude, accuracy, notifications, created_at)
+      VALUES (@id, @userId, @type, @message, @latitude, @longitude, @accuracy, NULL, @createdAt)
+    `).run(alert);
+
+    const contacts = listSavedContacts(userId);
+    const notifications = await notifyContacts(contacts, alert);
+    db.prepare('UPDATE emergency_alerts SET notifications = ? WHERE id = ?').run(JSON.stringify(notifications), alert.id);
+
+    console.log(`🚨 Emergency alert ${alert.id} recorded (${type}), ${notifications.filter(n => n.delivered).length}/${contacts.length} contacts notified`);
+
+    res.status(201).json({
+      success: true,
+      alert,
+      notifications,
+      national: NATIONAL_EMERGENCY_NUMBERS.slice(0, 1),
+      ...(!contacts.length && { message: 'No saved emergency contacts to notify. Dial 112 for immediate help.' })
+    });
+  } catch (error) {
+    console.error('Emergency alert error:', error.message);
+    res.status(500).json({
+      error: 'Failed to send emergency alert',
+      message: 'Please dial 112 directly.'
+    });
+  }
+});
+
+module.exports = {
+  router,
+  NATIONAL_EMERGENCY_NUMBERS,
+  findNearbyServices
+};
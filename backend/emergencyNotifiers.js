@@ -0,0 +1,46 @@
+const axios = require('axios');
+
+// Every notifier implements { name, notify({ contact, alert }) } and resolves to
+// { delivered, reference? }, throwing when the message could not be sent.
+const consoleNotifier = {
+  name: 'console',
+  async notify({ contact, alert }) {
+    console.log(`🚨 [emergency] Notify ${contact.name} (${contact.phone || contact.email}): ${alert.message} – https://www.openstreetmap.org/?mlat=${alert.latitude}&mlon=${alert.longitude}#map=17/${alert.latitude}/${alert.longitude}`);
+    return { delivered: true };
+  }
+};
+
+// Posts each notification to EMERGENCY_WEBHOOK_URL (e.g. an SMS/WhatsApp gateway)
+const webhookNotifier = {
+  name: 'webhook',
+  async notify({ contact, alert }) {
+    if (!process.env.EMERGENCY_WEBHOOK_URL) {
+      throw new Error('EMERGENCY_WEBHOOK_URL not set');
+    }
+    const response = await axios.post(
+      process.env.EMERGENCY_WEBHOOK_URL,
+      { contact, alert },
+      { headers: { 'Content-Type': 'application/json' }, timeout: 10000 }
+    );
+    return { delivered: true, reference: response.data?.id };
+  }
+};
+
+const builtInNotifiers = { console: consoleNotifier, webhook: webhookNotifier };
+let overrideNotifier = null;
+
+// Replace the configured notifier (e.g. with a local stub in tests); pass null to restore
+function setEmergencyNotifier(notifier) {
+  if (notifier && typeof notifier.notify !== 'function') {
+    throw new Error('Emergency notifier needs a notify() function');
+  }
+  overrideNotifier = notifier;
+}
+
+function getEmergencyNotifier() {
+  if (overrideNotifier) return overrideNotifier;
+  const name = (process.env.EMERGENCY_NOTIFIER || 'console').toLowerCase();
+  return builtInNotifiers[name] || consoleNotifier;
+}
+
+module.exports = { getEmergencyNotifier, setEmergencyNotifier };
@@ -0,0 +1,390 @@
+const crypto = require('crypto');
+const express = require('express');
+const { getDb } = require('./db');
+const { requireAdmin } = require('./auth');
+const { haversineDistanceKm } = require('./geo');
+const goaEvents = require('./goaEvents');
+
+const EVENT_CATEGORIES = ['music', 'culture', 'food', 'adventure', 'nightlife'];
+const MAX_RSVP_GUESTS = 10;
+
+let schemaReady = false;
+
+function ensureSchema() {
+  if (schemaReady) return;
+  const db = getDb();
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS events (
+      id TEXT PRIMARY KEY,
+      title TEXT NOT NULL,
+      description TEXT,
+      category TEXT NOT NULL,
+      start_time TEXT NOT NULL,
+      end_time TEXT NOT NULL,
+      venue TEXT,
+      latitude REAL NOT NULL,
+      longitude REAL NOT NULL,
+      capacity INTEGER NOT NULL,
+      price REAL NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS event_rsvps (
+      id TEXT PRIMARY KEY,
+      event_id TEXT NOT NULL REFERENCES events(id),
+      name TEXT NOT NULL,
+      email TEXT,
+      guests INTEGER NOT NULL,
+      status TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_events_start ON events(start_time);
+    CREATE INDEX IF NOT EXISTS idx_event_rsvps_event ON event_rsvps(event_id);
+  `);
+
+  // Seed the Goa events calendar on first run
+  const { count } = db.prepare('SELECT COUNT(*) AS count FROM events').get();
+  if (count === 0) {
+    db.transaction(() => goaEvents.forEach(insertEvent))();
+  }
+  schemaReady = true;
+}
+
+function insertEvent(input) {
+  const event = {
+    id: crypto.randomUUID(),
+    title: input.title,
+    description: input.description || null,
+    category: input.category,
+    startTime: new Date(input.startTime).toISOString(),
+    endTime: new Date(input.endTime).toISOString(),
+    venue: input.venue || null,
+    latitude: input.latitude,
+    longitude: input.longitude,
+    capacity: input.capacity,
+    price: input.price || 0,
+    createdAt: new Date().toISOString()
+  };
+  getDb().prepare(`
+    INSERT INTO events (id, title, description, category, start_time, end_time, venue, latitude, longitude, capacity, price, created_at)
+    VALUES (@id, @title, @description, @category, @startTime, @endTime, @venue, @latitude, @longitude, @capacity, @price, @createdAt)
+  `).run(event);
+  return event.id;
+}
+
+function rowToEvent(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    category: row.category,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    venue: row.venue,
+    lat: row.latitude,
+    lon: row.longitude,
+    capacity: row.capacity,
+    price: row.price
+  };
+}
+
+function rowToRsvp(row) {
+  return {
+    id: row.id,
+    eventId: row.event_id,
+    name: row.name,
+    email: row.email,
+    guests: row.guests,
+    status: row.status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function parseDateParam(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+function validateEvent(event) {
+  const errors = [];
+  if (!event.title || typeof event.title !== 'string') {
+    errors.push('title is required');
+  }
+  if (!EVENT_CATEGORIES.includes(event.category)) {
+    errors.push(`category must be one of: ${EVENT_CATEGORIES.join(', ')}`);
+  }
+  const start = parseDateParam(event.startTime);
+  const end = parseDateParam(event.endTime);
+  if (!start) errors.push('startTime must be a valid date-time');
+  if (!end) errors.push('endTime must be a valid date-time');
+  if (start && end && end <= start) errors.push('endTime must be after startTime');
+  if (typeof event.latitude !== 'number' || event.latitude < -90 || event.latitude > 90) {
+    errors.push('latitude must be a number between -90 and 90');
+  }
+  if (typeof event.longitude !== 'number' || event.longitude < -180 || event.longitude > 180) {
+    errors.push('longitude must be a number between -180 and 180');
+  }
+  if (!Number.isInteger(event.capacity) || event.capacity < 1) {
+    errors.push('capacity must be a positive whole number');
+  }
+  if (event.price != null && (typeof event.price !== 'number' || event.price < 0)) {
+    errors.push('price must be a non-negative number');
+  }
+  return errors;
+}
+
+// Seats taken by confirmed RSVPs and people waiting for a seat
+function getAttendance(eventId) {
+  const rows = getDb().prepare(`
+    SELECT status, COALESCE(SUM(guests), 0) AS guests FROM event_rsvps
+    WHERE event_id = ? AND status != 'cancelled' GROUP BY status
+  `).all(eventId);
+  const totals = Object.fromEntries(rows.map(row => [row.status, row.guests]));
+  return { confirmed: totals.confirmed || 0, waitlisted: totals.waitlisted || 0 };
+}
+
+function withAttendance(event) {
+  const attendance = getAttendance(event.id);
+  return {
+    ...event,
+    attendance,
+    seatsLeft: Math.max(event.capacity - attendance.confirmed, 0)
+  };
+}
+
+// Events overlapping [from, to], optionally within `radius` metres of a point
+function listEvents({ category, from, to, latitude, longitude, radius } = {}) {
+  ensureSchema();
+  const clauses = [];
+  const params = [];
+  if (category) {
+    clauses.push('category = ?');
+    params.push(category);
+  }
+  if (from) {
+    clauses.push('end_time >= ?');
+    params.push(from.toISOString());
+  }
+  if (to) {
+    clauses.push('start_time <= ?');
+    params.push(to.toISOString());
+  }
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  let events = getDb()
+    .prepare(`SELECT * FROM events ${where} ORDER BY start_time`)
+    .all(...params)
+    .map(rowToEvent);
+
+  if (latitude != null && longitude != null) {
+    events = events
+      .map(event => ({
+        ...event,
+        distance: Math.round(haversineDistanceKm(latitude, longitude, event.lat, event.lon) * 10) / 10
+      }))
+      .filter(event => !radius || event.distance <= radius / 1000);
+  }
+
+  return events.map(withAttendance);
+}
+
+function getEvent(id) {
+  ensureSchema();
+  const row = getDb().prepare('SELECT * FROM events WHERE id = ?').get(id);
+  return row ? rowToEvent(row) : null;
+}
+
+// Confirm the RSVP while seats remain, otherwise put it on the waitlist.
+// Nobody jumps the queue: once anyone is waitlisted, new RSVPs wait too.
+function createRsvp(event, { name, email, guests }) {
+  const db = getDb();
+  return db.transaction(() => {
+    const { confirmed, waitlisted } = getAttendance(event.id);
+    const status = !waitlisted && confirmed + guests <= event.capacity ? 'confirmed' : 'waitlisted';
+    const now = new Date().toISOString();
+    const rsvp = { id: crypto.randomUUID(), eventId: event.id, name, email: email || null, guests, status, createdAt: now, updatedAt: now };
+    db.prepare(`
+      INSERT INTO event_rsvps (id, event_id, name, email, guests, status, created_at, updated_at)
+      VALUES (@id, @eventId, @name, @email, @guests, @status, @createdAt, @updatedAt)
+    `).run(rsvp);
+    return rsvp;
+  })();
+}
+
+// Cancel an RSVP and move waitlisted guests up, first come first served
+function cancelRsvp(event, rsvpId) {
+  const db = getDb();
+  return db.transaction(() => {
+    const row = db.prepare('SELECT * FROM event_rsvps WHERE id = ? AND event_id = ?').get(rsvpId, event.id);
+    if (!row) return null;
+    if (row.status === 'cancelled') return { rsvp: rowToRsvp(row), promoted: [] };
+
+    const now = new Date().toISOString();
+    db.prepare('UPDATE event_rsvps SET status = ?, updated_at = ? WHERE id = ?').run('cancelled', now, rsvpId);
+
+    const promoted = [];
+    let { confirmed } = getAttendance(event.id);
+    const waitlist = db.prepare(`
+      SELECT * FROM event_rsvps WHERE event_id = ? AND status = 'waitlisted' ORDER BY created_at
+    `).all(event.id);
+    for (const entry of waitlist) {
+      if (confirmed + entry.guests > event.capacity) continue;
+      db.prepare('UPDATE event_rsvps SET status = ?, updated_at = ? WHERE id = ?').run('confirmed', now, entry.id);
+      confirmed += entry.guests;
+      promoted.push(rowToRsvp({ ...entry, status: 'confirmed', updated_at: now }));
+    }
+
+    return { rsvp: rowToRsvp({ ...row, status: 'cancelled', updated_at: now }), promoted };
+  })();
+}
+
+function parseListQuery(query) {
+  const errors = [];
+  const from = parseDateParam(query.from);
+  const to = parseDateParam(query.to);
+  if (from === undefined) errors.push('from must be a valid date');
+  if (to === undefined) errors.push('to must be a valid date');
+
+  let latitude = null;
+  let longitude = null;
+  if (query.lat != null || query.lon != null) {
+    latitude = parseFloat(query.lat);
+    longitude = parseFloat(query.lon);
+    if (Number.isNaN(latitude) || Number.isNaN(longitude)) {
+      errors.push('lat and lon must both be numbers');
+    }
+  }
+  const radius = query.radius ? parseFloat(query.radius) : null;
+  if (radius !== null && (Number.isNaN(radius) || radius <= 0)) {
+    errors.push('radius must be a positive number of metres');
+  }
+
+  return { errors, filters: { from, to, latitude, longitude, radius } };
+}
+
+function sendEventList(req, res, category) {
+  try {
+    if (category && !EVENT_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        error: `Unknown event category: ${category}`,
+        categories: EVENT_CATEGORIES
+      });
+    }
+
+    const { errors, filters } = parseListQuery(req.query);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid event filters', details: errors });
+    }
+
+    const events = listEvents({ ...filters, category });
+    res.json({ success: true, events, total: events.length });
+  } catch (error) {
+    console.error('Events API error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch events', message: error.message });
+  }
+}
+
+const router = express.Router();
+
+// Local events list (?from=&to=&lat=&lon=&radius=&category=)
+router.get('/', (req, res) => sendEventList(req, res, req.query.category));
+
+// Filter by event type
+router.get('/category/:type', (req, res) => sendEventList(req, res, req.params.type));
+
+router.get('/:id', (req, res) => {
+  try {
+    const event = getEvent(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    res.json({ success: true, event: withAttendance(event) });
+  } catch (error) {
+    console.error('Events API error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch event', message: error.message });
+  }
+});
+
+// Add an event to the calendar (admins only)
+router.post('/', requireAdmin, (req, res) => {
+  try {
+    const input = req.body || {};
+    const errors = validateEvent(input);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid event', details: errors });
+    }
+    ensureSchema();
+    const event = getEvent(insertEvent(input));
+    res.status(201).json({ success: true, event: withAttendance(event) });
+  } catch (error) {
+    console.error('Events API error:', error.message);
+    res.status(500).json({ error: 'Failed to create event', message: error.message });
+  }
+});
+
+// RSVP to an event; joins the waitlist when the event is full
+router.post('/:id/rsvp', (req, res) => {
+  try {
+    const event = getEvent(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const { guests = 1 } = req.body || {};
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    const email = req.body?.email || null;
+    if (!name) {
+      return res.status(400).json({ error: 'Missing required parameter: name' });
+    }
+    if (email !== null && (typeof email !== 'string' || !email.includes('@'))) {
+      return res.status(400).json({ error: 'email must be a valid email address' });
+    }
+    if (!Number.isInteger(guests) || guests < 1 || guests > MAX_RSVP_GUESTS) {
+      return res.status(400).json({ error: `guests must be a whole number between 1 and ${MAX_RSVP_GUESTS}` });
+    }
+    if (guests > event.capacity) {
+      return res.status(409).json({ error: `This event only has room for ${event.capacity} guests` });
+    }
+    if (new Date(event.endTime) < new Date()) {
+      return res.status(409).json({ error: 'This event has already ended' });
+    }
+
+    const rsvp = createRsvp(event, { name, email, guests });
+    console.log(`🎉 RSVP ${rsvp.status} for "${event.title}" (${guests} guests)`);
+    res.status(201).json({
+      success: true,
+      rsvp,
+      waitlisted: rsvp.status === 'waitlisted',
+      event: withAttendance(event)
+    });
+  } catch (error) {
+    console.error('Events API error:', error.message);
+    res.status(500).json({ error: 'Failed to RSVP', message: error.message });
+  }
+});
+
+// Cancel an RSVP; frees seats for the waitlist
+router.delete('/:id/rsvp/:rsvpId', (req, res) => {
+  try {
+    const event = getEvent(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    const result = cancelRsvp(event, req.params.rsvpId);
+    if (!result) {
+      return res.status(404).json({ error: 'RSVP not found' });
+    }
+    res.json({ success: true, ...result, event: withAttendance(event) });
+  } catch (error) {
+    console.error('Events API error:', error.message);
+    res.status(500).json({ error: 'Failed to cancel RSVP', message: error.message });
+  }
+});
+
+module.exports = {
+  router,
+  listEvents,
+  getEvent,
+  EVENT_CATEGORIES
+};
@@ -0,0 +1,240 @@
+const axios = require('axios');
+const express = require('express');
+const { withCache, cacheKey, roundCoordinate, getCacheTtl } = require('./cache');
+const { haversineDistanceKm, parseCoordinates } = require('./geo');
+const { goaLocations } = require('./goaLocations');
+
+// Place-name search and reverse geocoding through a Nominatim-compatible service
+// (NOMINATIM_URL, default nominatim.openstreetmap.org). When it can't be reached, names are
+// matched against the bundled Goa locations and the response is marked `fallback: true`.
+
+const DEFAULT_NOMINATIM_URL = 'https://nominatim.openstreetmap.org';
+const DEFAULT_USER_AGENT = 'TourGenious/1.0 (travel assistant)';
+// The public Nominatim usage policy allows one request per second
+const DEFAULT_MIN_INTERVAL_MS = 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+const MAX_QUERY_LENGTH = 200;
+// Offline reverse geocoding only names places this close to a known location
+const OFFLINE_REVERSE_MAX_KM = 15;
+// west, south, east, north
+const GOA_BBOX = { west: 73.65, south: 14.88, east: 74.35, north: 15.81 };
+
+let nextRequestAt = 0;
+
+function getNominatimUrl() {
+  return (process.env.NOMINATIM_URL || DEFAULT_NOMINATIM_URL).replace(/\/+$/, '');
+}
+
+// Space requests out to NOMINATIM_MIN_INTERVAL_MS (set 0 for a self-hosted instance)
+async function throttle() {
+  const configured = Number.parseInt(process.env.NOMINATIM_MIN_INTERVAL_MS, 10);
+  const interval = Number.isNaN(configured) ? DEFAULT_MIN_INTERVAL_MS : configured;
+  const now = Date.now();
+  const wait = Math.max(0, nextRequestAt - now);
+  nextRequestAt = Math.max(now, nextRequestAt) + interval;
+  if (wait) await new Promise(resolve => setTimeout(resolve, wait));
+}
+
+async function callNominatim(path, params) {
+  await throttle();
+  const response = await axios.get(`${getNominatimUrl()}/${path}`, {
+    params: {
+      format: 'jsonv2',
+      addressdetails: 1,
+      ...(process.env.NOMINATIM_EMAIL && { email: process.env.NOMINATIM_EMAIL }),
+      ...params
+    },
+    headers: { 'User-Agent': process.env.NOMINATIM_USER_AGENT || DEFAULT_USER_AGENT },
+    timeout: REQUEST_TIMEOUT_MS
+  });
+  return response.data;
+}
+
+// "73.7,15.4,73.9,15.6" (west,south,east,north) or "goa" → { west, south, east, north }; null when invalid
+function parseBoundingBox(value) {
+  if (String(value).trim().toLowerCase() === 'goa') return GOA_BBOX;
+  const parts = String(value).split(',').map(part => Number(part.trim()));
+  if (parts.length !== 4 || parts.some(Number.isNaN)) return null;
+  const [west, south, east, north] = parts;
+  if (west >= east || south >= north || south < -90 || north > 90 || west < -180 || east > 180) return null;
+  return { west, south, east, north };
+}
+
+function insideBoundingBox({ lat, lon }, bbox) {
+  return lat >= bbox.south && lat <= bbox.north && lon >= bbox.west && lon <= bbox.east;
+}
+
+function formatAddress(address = {}) {
+  return {
+    road: address.road || null,
+    neighbourhood: address.neighbourhood || address.suburb || null,
+    village: address.village || address.hamlet || null,
+    city: address.city || address.town || null,
+    district: address.state_district || address.county || null,
+    state: address.state || null,
+    postcode: address.postcode || null,
+    country: address.country || null,
+    countryCode: address.country_code || null
+  };
+}
+
+// Nominatim jsonv2 result → the shape both endpoints return
+function formatResult(item) {
+  const osmType = ['node', 'way', 'relation'].includes(item.osm_type) ? item.osm_type : null;
+  const [south, north, west, east] = (item.boundingbox || []).map(Number);
+  return {
+    name: item.name || item.display_name.split(',')[0],
+    displayName: item.display_name,
+    lat: Number(item.lat),
+    lon: Number(item.lon),
+    category: item.category || null,
+    type: item.type || null,
+    osmType,
+    osmId: item.osm_id != null ? String(item.osm_id) : null,
+    // Feed into GET /api/places/:osmType/:id for the full profile
+    placePath: osmType && item.osm_id != null ? `/api/places/${osmType}/${item.osm_id}` : null,
+    address: formatAddress(item.address),
+    boundingBox: item.boundingbox ? { west, south, east, north } : null,
+    importance: item.importance ?? null
+  };
+}
+
+function offlineResult(location, extra = {}) {
+  return {
+    name: location.name,
+    displayName: `${location.name}, ${location.region}, Goa, India`,
+    lat: location.lat,
+    lon: location.lon,
+    category: 'place',
+    type: 'locality',
+    osmType: null,
+    osmId: null,
+    placePath: null,
+    address: { ...formatAddress(), district: location.region, state: 'Goa', country: 'India', countryCode: 'in' },
+    boundingBox: null,
+    importance: null,
+    ...extra
+  };
+}
+
+// Bundled Goa locations whose name or alias contains the query (or the other way round)
+function searchOffline(query, { bbox, limit }) {
+  const needle = query.toLowerCase();
+  return goaLocations
+    .map(location => {
+      const labels = [location.name, ...location.aliases].map(label => label.toLowerCase());
+      const exact = labels.includes(needle);
+      const partial = labels.some(label => label.includes(needle) || needle.includes(label));
+      return { location, rank: exact ? 0 : partial ? 1 : null };
+    })
+    .filter(({ location, rank }) => rank !== null && (!bbox || insideBoundingBox(location, bbox)))
+    .sort((a, b) => a.rank - b.rank)
+    .slice(0, limit)
+    .map(({ location }) => offlineResult(location));
+}
+
+// Places matching a name; with `bbox` only results inside it, otherwise biased towards Goa.
+// Resolves to { results, cache, fallback }.
+async function geocode({ query, bbox = null, limit = DEFAULT_LIMIT, language }) {
+  const viewbox = bbox || GOA_BBOX;
+  try {
+    const { value: results, cache } = await withCache(
+      cacheKey('geocode', query, bbox && Object.values(bbox).join(','), limit, language),
+      getCacheTtl('geocode'),
+      async () => {
+        const data = await callNominatim('search', {
+          q: query,
+          limit,
+          viewbox: `${viewbox.west},${viewbox.south},${viewbox.east},${viewbox.north}`,
+          bounded: bbox ? 1 : 0,
+          ...(language && { 'accept-language': language })
+        });
+        return data.map(formatResult);
+      }
+    );
+    return { results, cache, fallback: false };
+  } catch (error) {
+    console.log(`⚠️ Geocoding service unavailable (${error.message}), searching bundled Goa locations`);
+    return { results: searchOffline(query, { bbox, limit }), cache: null, fallback: true };
+  }
+}
+
+// Address of a point; resolves to { result, cache, fallback }, result null when nothing is there
+async function reverseGeocode({ latitude, longitude, language }) {
+  try {
+    const { value: result, cache } = await withCache(
+      // ~11 m grid: finer than the places cache, since the answer is a street address
+      cacheKey('reverse', roundCoordinate(latitude, 0.0001), roundCoordinate(longitude, 0.0001), language),
+      getCacheTtl('geocode'),
+      async () => {
+        const data = await callNominatim('reverse', {
+          lat: latitude,
+          lon: longitude,
+          zoom: 18,
+          ...(language && { 'accept-language': language })
+        });
+        return data && !data.error ? formatResult(data) : null;
+      }
+    );
+    return { result, cache, fallback: false };
+  } catch (error) {
+    console.log(`⚠️ Reverse geocoding service unavailable (${error.message}), using nearest bundled Goa location`);
+    const [nearest] = goaLocations
+      .map(location => ({ location, distance: haversineDistanceKm(latitude, longitude, location.lat, location.lon) }))
+      .sort((a, b) => a.distance - b.distance);
+    const result = nearest && nearest.distance <= OFFLINE_REVERSE_MAX_KM
+      ? offlineResult(nearest.location, { distance: Math.round(nearest.distance * 10) / 10 })
+      : null;
+    return { result, cache: null, fallback: true };
+  }
+}
+
+const router = express.Router();
+
+// GET /api/geocode?q=Fort Aguada - places matching a name, biased towards Goa;
+// &bbox=west,south,east,north (or bbox=goa) restricts the search to that box
+router.get('/geocode', async (req, res) => {
+  const query = String(req.query.q || '').trim();
+  const details = [];
+  if (!query) details.push('q is required');
+  if (query.length > MAX_QUERY_LENGTH) details.push(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+
+  const bbox = req.query.bbox ? parseBoundingBox(req.query.bbox) : null;
+  if (req.query.bbox && !bbox) details.push('bbox must be "west,south,east,north" in degrees, or "goa"');
+
+  const limit = req.query.limit ? Number(req.query.limit) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) details.push(`limit must be an integer from 1 to ${MAX_LIMIT}`);
+
+  if (details.length) {
+    return res.status(400).json({ error: 'Invalid geocoding request', details });
+  }
+
+  const { results, cache, fallback } = await geocode({ query, bbox, limit, language: req.query.lang });
+  res.json({
+    success: true,
+    query,
+    bbox,
+    results,
+    total: results.length,
+    cache,
+    ...(fallback && { fallback: true })
+  });
+});
+
+// GET /api/reverse-geocode?lat=&lon= - address of a point
+router.get('/reverse-geocode', async (req, res) => {
+  const coordinates = parseCoordinates(req.query.lat, req.query.lon);
+  if (!coordinates) {
+    return res.status(400).json({ error: 'lat and lon must be valid coordinates' });
+  }
+
+  const { result, cache, fallback } = await reverseGeocode({ ...coordinates, language: req.query.lang });
+  if (!result) {
+    return res.status(404).json({ error: 'No address found', message: `Nothing found at ${coordinates.latitude},${coordinates.longitude}` });
+  }
+  res.json({ success: true, result, cache, ...(fallback && { fallback: true }) });
+});
+
+module.exports = { router, geocode, reverseGeocode, parseBoundingBox, GOA_BBOX };
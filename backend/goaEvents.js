@@ -0,0 +1,138 @@
+// Seed data for the events module: Goa festivals, concerts and cultural events.
+// Times are local Goa time (IST, +05:30).
+const goaEvents = [
+  {
+    title: 'Feast of St. Francis Xavier',
+    description: 'Goa\'s biggest church feast with a novena, solemn mass at the Basilica of Bom Jesus and a fair along the Old Goa roads.',
+    category: 'culture',
+    startTime: '2026-12-03T06:00:00+05:30',
+    endTime: '2026-12-03T21:00:00+05:30',
+    venue: 'Basilica of Bom Jesus, Old Goa',
+    latitude: 15.5009,
+    longitude: 73.9116,
+    capacity: 5000,
+    price: 0
+  },
+  {
+    title: 'Serendipity Arts Festival',
+    description: 'Multi-disciplinary arts festival with visual art, music, theatre and culinary arts across heritage venues in Panaji.',
+    category: 'culture',
+    startTime: '2026-12-12T10:00:00+05:30',
+    endTime: '2026-12-20T22:00:00+05:30',
+    venue: 'Old GMC Complex, Panaji',
+    latitude: 15.4989,
+    longitude: 73.8278,
+    capacity: 3000,
+    price: 0
+  },
+  {
+    title: 'Sunburn Festival',
+    description: 'Three-day electronic dance music festival with international DJs.',
+    category: 'music',
+    startTime: '2026-12-28T14:00:00+05:30',
+    endTime: '2026-12-30T23:59:00+05:30',
+    venue: 'Vagator, North Goa',
+    latitude: 15.6020,
+    longitude: 73.7335,
+    capacity: 2000,
+    price: 4500
+  },
+  {
+    title: 'Saturday Night Market, Arpora',
+    description: 'Weekly night market with live music, street food and handicraft stalls.',
+    category: 'nightlife',
+    startTime: '2026-11-07T18:00:00+05:30',
+    endTime: '2026-11-08T01:00:00+05:30',
+    venue: 'Arpora, North Goa',
+    latitude: 15.5634,
+    longitude: 73.7637,
+    capacity: 1500,
+    price: 0
+  },
+  {
+    title: 'Goa Food & Cultural Festival',
+    description: 'Goan cuisine stalls, cooking demos and folk performances on Miramar beach.',
+    category: 'food',
+    startTime: '2027-01-15T16:00:00+05:30',
+    endTime: '2027-01-18T22:00:00+05:30',
+    venue: 'Miramar Beach, Panaji',
+    latitude: 15.4816,
+    longitude: 73.8076,
+    capacity: 2500,
+    price: 0
+  },
+  {
+    title: 'Goa Carnival',
+    description: 'Four days of floats, music and dance led by King Momo through the streets of Panaji, Margao and Mapusa.',
+    category: 'culture',
+    startTime: '2027-02-06T15:00:00+05:30',
+    endTime: '2027-02-09T23:00:00+05:30',
+    venue: 'Panaji city streets',
+    latitude: 15.4909,
+    longitude: 73.8278,
+    capacity: 10000,
+    price: 0
+  },
+  {
+    title: 'Shigmo Parade',
+    description: 'Spring festival parade with traditional folk dances, drums and colourful floats.',
+    category: 'culture',
+    startTime: '2027-03-20T16:00:00+05:30',
+    endTime: '2027-03-20T23:00:00+05:30',
+    venue: 'Margao',
+    latitude: 15.2832,
+    longitude: 73.9862,
+    capacity: 8000,
+    price: 0
+  },
+  {
+    title: 'Dudhsagar Waterfall Trek',
+    description: 'Guided day trek through Bhagwan Mahavir Wildlife Sanctuary to the four-tiered Dudhsagar falls.',
+    category: 'adventure',
+    startTime: '2026-11-14T07:00:00+05:30',
+    endTime: '2026-11-14T17:00:00+05:30',
+    venue: 'Dudhsagar Falls, Sanguem',
+    latitude: 15.3144,
+    longitude: 74.3143,
+    capacity: 30,
+    price: 1800
+  },
+  {
+    title: 'Grande Island Scuba Dive',
+    description: 'Beginner-friendly scuba session with certified instructors off Grande Island.',
+    category: 'adventure',
+    startTime: '2026-11-21T08:00:00+05:30',
+    endTime: '2026-11-21T15:00:00+05:30',
+    venue: 'Grande Island, Vasco da Gama',
+    latitude: 15.3540,
+    longitude: 73.7690,
+    capacity: 12,
+    price: 5500
+  },
+  {
+    title: 'Palolem Silent Noise Party',
+    description: 'Headphone party with three DJ channels on Palolem beach.',
+    category: 'nightlife',
+    startTime: '2026-11-28T21:00:00+05:30',
+    endTime: '2026-11-29T04:00:00+05:30',
+    venue: 'Neptune Point, Palolem',
+    latitude: 15.0086,
+    longitude: 74.0232,
+    capacity: 400,
+    price: 1200
+  },
+  {
+    title: 'Goa Jazz Evening',
+    description: 'Live jazz and Konkani fusion by local bands.',
+    category: 'music',
+    startTime: '2027-01-09T19:00:00+05:30',
+    endTime: '2027-01-09T23:00:00+05:30',
+    venue: 'Kala Academy, Panaji',
+    latitude: 15.4870,
+    longitude: 73.8197,
+    capacity: 600,
+    price: 800
+  }
+];
+
+module.exports = goaEvents;
@@ -0,0 +1,94 @@
+const { goaLocations } = require('./goaLocations');
+
+// Offline Goa travel knowledge, shared by the offline chatbot and the rule-based
+// itinerary generator used when no AI provider is available.
+
+// What each beach is best known for
+const BEACH_HIGHLIGHTS = [
+  { name: 'Baga', highlight: 'nightlife' },
+  { name: 'Calangute', highlight: 'water sports' },
+  { name: 'Anjuna', highlight: 'sunsets' },
+  { name: 'Palolem', highlight: 'peaceful' }
+];
+const BEACH_TIP = 'Go early for parking and bring cash for shacks.';
+
+const GOAN_DISHES = ['Fish thali', 'Cafreal', 'Xacuti', 'Vindaloo', 'Bebinca dessert'];
+const FOOD_TIP = 'Ask shacks for today’s fresh catch; avoid plastic waste on beaches.';
+
+// months are 1-12
+const SEASONS = [
+  { label: 'Oct-Feb', months: [10, 11, 12, 1, 2], summary: 'pleasant (22-32°C)' },
+  { label: 'Mar-May', months: [3, 4, 5], summary: 'hot (30-36°C)' },
+  { label: 'Jun-Sep', months: [6, 7, 8, 9], summary: 'monsoon', monsoon: true }
+];
+const MONSOON_TIP = 'Keep a light rain jacket in monsoon and book refundable stays.';
+
+const SCOOTER_TIP = 'Scooters are fastest for short hops; carry license and helmet.';
+const TAXI_TIP = 'For airport → hotel, pre-book a taxi.';
+const NIGHT_SAFETY_TIP = 'Avoid late-night isolated rides; share live location.';
+const EMERGENCY_TIP = 'Dial 112 for police/medical.';
+
+// Sights worth a visit, at the coordinates of the goaLocations entry they're in
+const LANDMARKS = [
+  { name: 'Basilica of Bom Jesus', location: 'Old Goa', category: 'place_of_worship', openingHours: 'Mo-Sa 09:00-18:30; Su 10:30-18:30' },
+  { name: 'Fort Aguada', location: 'Sinquerim', category: 'historic', openingHours: 'Mo-Su 09:30-18:00' },
+  { name: 'Chapora Fort', location: 'Vagator', category: 'historic' },
+  { name: 'Fontainhas Latin Quarter', location: 'Panaji', category: 'attraction' },
+  { name: 'Mapusa Market', location: 'Mapusa', category: 'market' },
+  { name: 'Margao Municipal Market', location: 'Margao', category: 'market' },
+  { name: 'Dudhsagar Falls', location: 'Dudhsagar', category: 'viewpoint' }
+];
+
+function seasonFor(month) {
+  return SEASONS.find(season => season.months.includes(month));
+}
+
+function slug(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Beaches and landmarks as places ({ id: 'guide/<slug>', name, category, lat, lon, openingHours, note })
+function guidePlaces() {
+  const beaches = goaLocations
+    .filter(location => location.aliases.includes(`${location.name.toLowerCase()} beach`))
+    .map(location => {
+      const known = BEACH_HIGHLIGHTS.find(beach => beach.name === location.name);
+      return {
+        id: `guide/${slug(location.name)}-beach`,
+        name: `${location.name} Beach`,
+        category: 'beach',
+        lat: location.lat,
+        lon: location.lon,
+        openingHours: null,
+        note: known ? `Known for ${known.highlight}. ${BEACH_TIP}` : BEACH_TIP
+      };
+    });
+  const landmarks = LANDMARKS.map(landmark => {
+    const location = goaLocations.find(candidate => candidate.name === landmark.location);
+    return {
+      id: `guide/${slug(landmark.name)}`,
+      name: landmark.name,
+      category: landmark.category,
+      lat: location.lat,
+      lon: location.lon,
+      openingHours: landmark.openingHours || null,
+      note: null
+    };
+  });
+  return [...beaches, ...landmarks];
+}
+
+module.exports = {
+  BEACH_HIGHLIGHTS,
+  BEACH_TIP,
+  GOAN_DISHES,
+  FOOD_TIP,
+  SEASONS,
+  MONSOON_TIP,
+  SCOOTER_TIP,
+  TAXI_TIP,
+  NIGHT_SAFETY_TIP,
+  EMERGENCY_TIP,
+  seasonFor,
+  guidePlaces
+};
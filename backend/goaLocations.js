@@ -0,0 +1,37 @@
+// Well-known Goa towns, beaches and landmarks with coordinates.
+// `aliases` are alternative spellings users type.
+const goaLocations = [
+  { name: 'Panaji', aliases: ['panjim', 'ponjim'], region: 'North Goa', lat: 15.4909, lon: 73.8278 },
+  { name: 'Margao', aliases: ['madgaon'], region: 'South Goa', lat: 15.2832, lon: 73.9862 },
+  { name: 'Mapusa', aliases: [], region: 'North Goa', lat: 15.5937, lon: 73.8142 },
+  { name: 'Vasco da Gama', aliases: ['vasco'], region: 'South Goa', lat: 15.3860, lon: 73.8440 },
+  { name: 'Old Goa', aliases: ['velha goa'], region: 'North Goa', lat: 15.5009, lon: 73.9116 },
+  { name: 'Ponda', aliases: [], region: 'North Goa', lat: 15.4027, lon: 74.0078 },
+  { name: 'Baga', aliases: ['baga beach'], region: 'North Goa', lat: 15.5553, lon: 73.7517 },
+  { name: 'Calangute', aliases: ['calangute beach'], region: 'North Goa', lat: 15.5439, lon: 73.7553 },
+  { name: 'Candolim', aliases: ['candolim beach'], region: 'North Goa', lat: 15.5180, lon: 73.7626 },
+  { name: 'Sinquerim', aliases: ['fort aguada', 'aguada'], region: 'North Goa', lat: 15.4920, lon: 73.7690 },
+  { name: 'Anjuna', aliases: ['anjuna beach'], region: 'North Goa', lat: 15.5733, lon: 73.7407 },
+  { name: 'Vagator', aliases: ['vagator beach', 'chapora'], region: 'North Goa', lat: 15.6020, lon: 73.7335 },
+  { name: 'Arambol', aliases: ['arambol beach'], region: 'North Goa', lat: 15.6866, lon: 73.7044 },
+  { name: 'Morjim', aliases: ['morjim beach'], region: 'North Goa', lat: 15.6295, lon: 73.7296 },
+  { name: 'Colva', aliases: ['colva beach'], region: 'South Goa', lat: 15.2797, lon: 73.9220 },
+  { name: 'Benaulim', aliases: ['benaulim beach'], region: 'South Goa', lat: 15.2530, lon: 73.9283 },
+  { name: 'Palolem', aliases: ['palolem beach'], region: 'South Goa', lat: 15.0100, lon: 74.0232 },
+  { name: 'Agonda', aliases: ['agonda beach'], region: 'South Goa', lat: 15.0444, lon: 73.9866 },
+  { name: 'Canacona', aliases: [], region: 'South Goa', lat: 15.0030, lon: 74.0500 },
+  { name: 'Dudhsagar', aliases: ['dudhsagar falls', 'dudhsagar waterfall'], region: 'South Goa', lat: 15.3144, lon: 74.3143 }
+];
+
+// Find the first known location mentioned in free text
+function findGoaLocation(text = '') {
+  const lower = text.toLowerCase();
+  const matches = goaLocations
+    .flatMap(location => [location.name, ...location.aliases].map(label => ({ location, label: label.toLowerCase() })))
+    .filter(({ label }) => new RegExp(`\\b${label.replace(/\s+/g, '\\s+')}\\b`).test(lower))
+    // Prefer the longest label ("old goa" over "goa")
+    .sort((a, b) => b.label.length - a.label.length);
+  return matches.length ? matches[0].location : null;
+}
+
+module.exports = { goaLocations, findGoaLocation };
@@ -0,0 +1,74 @@
+// Minimal RFC 5545 iCalendar: VEVENTs with escaped text and lines folded at 75 octets
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Continuation lines start with a space; never split a multi-byte character
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length ? 74 : 75;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// Date → 20261020T033000Z
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// "2026-10-20" → 20261020
+function formatDate(value) {
+  return value.replace(/-/g, '');
+}
+
+// events: [{ uid, title, start, end (Dates), or allDay: 'YYYY-MM-DD', location, description, lat, lon, url }]
+function toICalendar({ name, events, productId = '-//TourGenious//Itinerary//EN' }) {
+  const stamp = formatUtc(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${productId}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : [])
+  ];
+
+  for (const event of events) {
+    lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`);
+    if (event.allDay) {
+      const next = new Date(`${event.allDay}T00:00:00Z`);
+      next.setUTCDate(next.getUTCDate() + 1);
+      lines.push(`DTSTART;VALUE=DATE:${formatDate(event.allDay)}`, `DTEND;VALUE=DATE:${formatDate(next.toISOString().slice(0, 10))}`);
+    } else {
+      lines.push(`DTSTART:${formatUtc(event.start)}`, `DTEND:${formatUtc(event.end)}`);
+    }
+    lines.push(`SUMMARY:${escapeText(event.title)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.lat != null && event.lon != null) lines.push(`GEO:${event.lat};${event.lon}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = { toICalendar };
@@ -0,0 +1,648 @@
+const crypto = require('crypto');
+const express = require('express');
+const { getDb } = require('./db');
+const { requireAuth } = require('./auth');
+const { getBooking, parseDate } = require('./bookings');
+const { getEvent } = require('./events');
+const { getCategory } = require('./placeCategories');
+const { TRAVEL_MODES } = require('./routing');
+const { goaLocalTime } = require('./openingHours');
+const { planDay, parseTime, formatTime, goaDateTime } = require('./itineraryPlanner');
+const { parseCoordinates } = require('./geo');
+const { toICalendar } = require('./ical');
+
+// Trip itineraries: one day per date in the trip, each with an ordered list of stops.
+// A stop is a place (from the places API), one of the user's bookings, a calendar event
+// or a custom entry; its name, coordinates and opening hours are copied when it's added.
+
+const STOP_TYPES = ['place', 'booking', 'event', 'custom'];
+const MAX_TRIP_DAYS = 30;
+const MAX_STOPS_PER_DAY = 12;
+const DEFAULT_DURATION_MINUTES = 60;
+const MAX_DURATION_MINUTES = 12 * 60;
+const MAX_TITLE_LENGTH = 120;
+const MAX_NOTES_LENGTH = 2000;
+// Stops that are outdoors unless the client says otherwise
+const OUTDOOR_PLACE_GROUPS = ['nature'];
+const OUTDOOR_PLACE_CATEGORIES = ['attraction', 'historic'];
+const OUTDOOR_EVENT_CATEGORIES = ['music', 'adventure'];
+// Fields a client may change on a stop
+const EDITABLE_STOP_FIELDS = ['date', 'startTime', 'durationMinutes', 'fixed', 'outdoor', 'notes'];
+
+let schemaReady = false;
+
+function ensureSchema() {
+  if (schemaReady) return;
+  getDb().exec(`
+    CREATE TABLE IF NOT EXISTS itineraries (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      title TEXT NOT NULL,
+      start_date TEXT NOT NULL,
+      end_date TEXT NOT NULL,
+      notes TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS itinerary_stops (
+      id TEXT PRIMARY KEY,
+      itinerary_id TEXT NOT NULL REFERENCES itineraries(id) ON DELETE CASCADE,
+      date TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      ref_id TEXT,
+      name TEXT NOT NULL,
+      latitude REAL,
+      longitude REAL,
+      category TEXT,
+      opening_hours TEXT,
+      start_time TEXT,
+      duration_minutes INTEGER NOT NULL,
+      fixed INTEGER NOT NULL DEFAULT 0,
+      outdoor INTEGER NOT NULL DEFAULT 0,
+      notes TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_itineraries_user ON itineraries(user_id);
+    CREATE INDEX IF NOT EXISTS idx_itinerary_stops_day ON itinerary_stops(itinerary_id, date, position);
+  `);
+  schemaReady = true;
+}
+
+function rowToItinerary(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    startDate: row.start_date,
+    endDate: row.end_date,
+    notes: row.notes,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function rowToStop(row) {
+  const start = parseTime(row.start_time);
+  return {
+    id: row.id,
+    date: row.date,
+    position: row.position,
+    type: row.type,
+    refId: row.ref_id,
+    name: row.name,
+    lat: row.latitude,
+    lon: row.longitude,
+    category: row.category,
+    openingHours: row.opening_hours,
+    startTime: row.start_time,
+    endTime: start !== null ? formatTime(start + row.duration_minutes) : null,
+    durationMinutes: row.duration_minutes,
+    fixed: Boolean(row.fixed),
+    outdoor: Boolean(row.outdoor),
+    notes: row.notes
+  };
+}
+
+// Every date from start to end, inclusive
+function tripDates(startDate, endDate) {
+  const dates = [];
+  for (let date = new Date(`${startDate}T00:00:00Z`); date.toISOString().slice(0, 10) <= endDate; date.setUTCDate(date.getUTCDate() + 1)) {
+    dates.push(date.toISOString().slice(0, 10));
+  }
+  return dates;
+}
+
+function validateItinerary(itinerary) {
+  const errors = [];
+  if (!itinerary.title || typeof itinerary.title !== 'string' || !itinerary.title.trim()) {
+    errors.push('title is required');
+  } else if (itinerary.title.length > MAX_TITLE_LENGTH) {
+    errors.push(`title must be at most ${MAX_TITLE_LENGTH} characters`);
+  }
+
+  const startDate = parseDate(itinerary.startDate);
+  const endDate = parseDate(itinerary.endDate);
+  if (!startDate) errors.push('startDate must be a valid date (YYYY-MM-DD)');
+  if (!endDate) errors.push('endDate must be a valid date (YYYY-MM-DD)');
+  if (startDate && endDate) {
+    const days = (endDate - startDate) / (24 * 60 * 60 * 1000) + 1;
+    if (days < 1) errors.push('endDate cannot be before startDate');
+    else if (days > MAX_TRIP_DAYS) errors.push(`A trip can span at most ${MAX_TRIP_DAYS} days`);
+  }
+
+  if (itinerary.notes != null && (typeof itinerary.notes !== 'string' || itinerary.notes.length > MAX_NOTES_LENGTH)) {
+    errors.push(`notes must be text of at most ${MAX_NOTES_LENGTH} characters`);
+  }
+  return errors;
+}
+
+// Field checks shared by new and edited stops
+function validateStopFields(stop, itinerary) {
+  const errors = [];
+  if (!parseDate(stop.date)) {
+    errors.push('date must be a valid date (YYYY-MM-DD)');
+  } else if (stop.date < itinerary.startDate || stop.date > itinerary.endDate) {
+    errors.push(`date must be within the trip (${itinerary.startDate} to ${itinerary.endDate})`);
+  }
+  if (stop.startTime != null && parseTime(stop.startTime) === null) {
+    errors.push('startTime must be a time (HH:MM)');
+  }
+  if (!Number.isInteger(stop.durationMinutes) || stop.durationMinutes < 5 || stop.durationMinutes > MAX_DURATION_MINUTES) {
+    errors.push(`durationMinutes must be a whole number from 5 to ${MAX_DURATION_MINUTES}`);
+  }
+  if (stop.fixed && stop.startTime == null) {
+    errors.push('A fixed stop needs a startTime');
+  }
+  if (stop.notes != null && (typeof stop.notes !== 'string' || stop.notes.length > MAX_NOTES_LENGTH)) {
+    errors.push(`notes must be text of at most ${MAX_NOTES_LENGTH} characters`);
+  }
+  return errors;
+}
+
+function isOutdoorPlace(category) {
+  const known = getCategory(category);
+  return Boolean(known && (OUTDOOR_PLACE_CATEGORIES.includes(known.id) || OUTDOOR_PLACE_GROUPS.includes(known.group)));
+}
+
+// Coordinates given with the stop, if any; undefined when they're invalid
+function inputCoordinates(input) {
+  if (input.latitude == null && input.longitude == null) return null;
+  return parseCoordinates(input.latitude, input.longitude) || undefined;
+}
+
+// Build a stop from the request, copying details from the booking or event it refers to.
+// Resolves to { stop, errors }.
+function resolveStop(userId, itinerary, input) {
+  const errors = [];
+  if (!STOP_TYPES.includes(input.type)) {
+    return { stop: null, errors: [`type must be one of: ${STOP_TYPES.join(', ')}`] };
+  }
+
+  const coordinates = inputCoordinates(input);
+  if (coordinates === undefined) errors.push('latitude and longitude must be valid coordinates');
+
+  let stop = {
+    type: input.type,
+    refId: null,
+    name: typeof input.name === 'string' ? input.name.trim() : '',
+    lat: coordinates ? coordinates.latitude : null,
+    lon: coordinates ? coordinates.longitude : null,
+    category: input.category || null,
+    openingHours: input.openingHours || null,
+    date: input.date,
+    startTime: input.startTime ?? null,
+    durationMinutes: input.durationMinutes ?? DEFAULT_DURATION_MINUTES,
+    fixed: Boolean(input.fixed),
+    outdoor: null,
+    notes: input.notes ?? null
+  };
+
+  if (input.type === 'place') {
+    // osmType/id from the places API, e.g. "node/123456"
+    if (input.placeId != null && !/^(node|way|relation)\/\d+$/.test(input.placeId)) {
+      errors.push('placeId must look like "node/123456"');
+    }
+    if (!coordinates) errors.push('latitude and longitude are required for a place');
+    stop.refId = input.placeId || null;
+    stop.outdoor = isOutdoorPlace(stop.category);
+  } else if (input.type === 'booking') {
+    const booking = input.bookingId ? getBooking(input.bookingId, userId) : null;
+    if (!booking) {
+      errors.push('bookingId must be one of your bookings');
+    } else {
+      stop = {
+        ...stop,
+        refId: booking.id,
+        name: stop.name || booking.itemName,
+        category: stop.category || booking.type,
+        date: stop.date || booking.checkIn,
+        notes: stop.notes ?? (booking.location ? `Booking at ${booking.location}` : null)
+      };
+    }
+    stop.outdoor = false;
+  } else if (input.type === 'event') {
+    const event = input.eventId ? getEvent(input.eventId) : null;
+    if (!event) {
+      errors.push('eventId must be an event from the events calendar');
+    } else {
+      const start = goaLocalTime(new Date(event.startTime));
+      const minutes = Math.round((Date.parse(event.endTime) - Date.parse(event.startTime)) / 60000);
+      stop = {
+        ...stop,
+        refId: event.id,
+        name: stop.name || event.title,
+        lat: stop.lat ?? event.lat,
+        lon: stop.lon ?? event.lon,
+        category: stop.category || event.category,
+        date: stop.date || start.date,
+        startTime: stop.startTime ?? formatTime(start.minute),
+        durationMinutes: input.durationMinutes ?? Math.min(Math.max(minutes, 5), MAX_DURATION_MINUTES),
+        fixed: input.fixed ?? true,
+        notes: stop.notes ?? event.venue,
+        outdoor: OUTDOOR_EVENT_CATEGORIES.includes(event.category)
+      };
+    }
+  } else {
+    stop.outdoor = false;
+  }
+
+  if (!stop.name) errors.push('name is required');
+  if (typeof input.outdoor === 'boolean') stop.outdoor = input.outdoor;
+  errors.push(...validateStopFields(stop, itinerary));
+  return { stop, errors };
+}
+
+// An itinerary is only visible to the user who made it
+function getItinerary(id, userId) {
+  ensureSchema();
+  const row = getDb().prepare('SELECT * FROM itineraries WHERE id = ? AND user_id = ?').get(id, userId);
+  return row ? rowToItinerary(row) : null;
+}
+
+function listStops(itineraryId, date) {
+  ensureSchema();
+  const clauses = ['itinerary_id = ?'];
+  const params = [itineraryId];
+  if (date) {
+    clauses.push('date = ?');
+    params.push(date);
+  }
+  return getDb()
+    .prepare(`SELECT * FROM itinerary_stops WHERE ${clauses.join(' AND ')} ORDER BY date, position`)
+    .all(...params)
+    .map(rowToStop);
+}
+
+// The itinerary with a `days` entry for every trip date
+function withDays(itinerary) {
+  const stops = listStops(itinerary.id);
+  return {
+    ...itinerary,
+    days: tripDates(itinerary.startDate, itinerary.endDate).map(date => ({
+      date,
+      stops: stops.filter(stop => stop.date === date)
+    }))
+  };
+}
+
+function listItineraries(userId) {
+  ensureSchema();
+  return getDb()
+    .prepare(`
+      SELECT itineraries.*, COUNT(itinerary_stops.id) AS stop_count
+      FROM itineraries LEFT JOIN itinerary_stops ON itinerary_stops.itinerary_id = itineraries.id
+      WHERE itineraries.user_id = ?
+      GROUP BY itineraries.id
+      ORDER BY itineraries.start_date, itineraries.created_at
+    `)
+    .all(userId)
+    .map(row => ({ ...rowToItinerary(row), stopCount: row.stop_count }));
+}
+
+function createItinerary(userId, input) {
+  ensureSchema();
+  const now = new Date().toISOString();
+  const itinerary = {
+    id: crypto.randomUUID(),
+    title: input.title.trim(),
+    startDate: input.startDate,
+    endDate: input.endDate,
+    notes: input.notes || null,
+    createdAt: now,
+    updatedAt: now
+  };
+  getDb().prepare(`
+    INSERT INTO itineraries (id, user_id, title, start_date, end_date, notes, created_at, updated_at)
+    VALUES (@id, @userId, @title, @startDate, @endDate, @notes, @createdAt, @updatedAt)
+  `).run({ ...itinerary, userId });
+  return itinerary;
+}
+
+function updateItinerary(existing, changes) {
+  const updated = {
+    ...existing,
+    ...Object.fromEntries(['title', 'startDate', 'endDate', 'notes'].filter(field => changes[field] !== undefined).map(field => [field, changes[field]])),
+    updatedAt: new Date().toISOString()
+  };
+  getDb().prepare(`
+    UPDATE itineraries SET title = @title, start_date = @startDate, end_date = @endDate, notes = @notes, updated_at = @updatedAt
+    WHERE id = @id
+  `).run(updated);
+  return updated;
+}
+
+function countStopsOn(itineraryId, date) {
+  return getDb().prepare('SELECT COUNT(*) AS count FROM itinerary_stops WHERE itinerary_id = ? AND date = ?').get(itineraryId, date).count;
+}
+
+// Positions 0..n-1 in the given order
+function renumberDay(stopIds) {
+  const update = getDb().prepare('UPDATE itinerary_stops SET position = ? WHERE id = ?');
+  stopIds.forEach((id, position) => update.run(position, id));
+}
+
+function insertStop(itineraryId, stop) {
+  const now = new Date().toISOString();
+  const id = crypto.randomUUID();
+  const db = getDb();
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO itinerary_stops (id, itinerary_id, date, position, type, ref_id, name, latitude, longitude, category,
+        opening_hours, start_time, duration_minutes, fixed, outdoor, notes, created_at, updated_at)
+      VALUES (@id, @itineraryId, @date, @position, @type, @refId, @name, @lat, @lon, @category,
+        @openingHours, @startTime, @durationMinutes, @fixed, @outdoor, @notes, @createdAt, @updatedAt)
+    `).run({
+      ...stop,
+      id,
+      itineraryId,
+      position: countStopsOn(itineraryId, stop.date),
+      fixed: stop.fixed ? 1 : 0,
+      outdoor: stop.outdoor ? 1 : 0,
+      createdAt: now,
+      updatedAt: now
+    });
+    db.prepare('UPDATE itineraries SET updated_at = ? WHERE id = ?').run(now, itineraryId);
+  })();
+  return listStops(itineraryId).find(candidate => candidate.id === id);
+}
+
+// Apply field changes; `position` moves the stop within its (new) day
+function updateStop(itineraryId, existing, changes) {
+  const updated = {
+    ...existing,
+    ...Object.fromEntries(EDITABLE_STOP_FIELDS.filter(field => changes[field] !== undefined).map(field => [field, changes[field]]))
+  };
+  const now = new Date().toISOString();
+  const db = getDb();
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE itinerary_stops SET date = @date, start_time = @startTime, duration_minutes = @durationMinutes,
+        fixed = @fixed, outdoor = @outdoor, notes = @notes, updated_at = @updatedAt
+      WHERE id = @id
+    `).run({ ...updated, fixed: updated.fixed ? 1 : 0, outdoor: updated.outdoor ? 1 : 0, updatedAt: now });
+
+    const others = listStops(itineraryId, updated.date).filter(stop => stop.id !== existing.id).map(stop => stop.id);
+    const position = Number.isInteger(changes.position) ? Math.min(Math.max(changes.position, 0), others.length) : others.length;
+    if (updated.date === existing.date && !Number.isInteger(changes.position)) {
+      renumberDay(listStops(itineraryId, updated.date).map(stop => stop.id));
+    } else {
+      others.splice(position, 0, existing.id);
+      renumberDay(others);
+      if (updated.date !== existing.date) renumberDay(listStops(itineraryId, existing.date).map(stop => stop.id));
+    }
+    db.prepare('UPDATE itineraries SET updated_at = ? WHERE id = ?').run(now, itineraryId);
+  })();
+  return listStops(itineraryId).find(stop => stop.id === existing.id);
+}
+
+function deleteStop(itineraryId, stop) {
+  const db = getDb();
+  db.transaction(() => {
+    db.prepare('DELETE FROM itinerary_stops WHERE id = ?').run(stop.id);
+    renumberDay(listStops(itineraryId, stop.date).map(remaining => remaining.id));
+    db.prepare('UPDATE itineraries SET updated_at = ? WHERE id = ?').run(new Date().toISOString(), itineraryId);
+  })();
+}
+
+// Save a planned order and times for a day. Fixed stops keep their stored time even when the plan
+// arrives late (the plan reports that as a `late` conflict), so a later run still sees it.
+function applyDayPlan(itineraryId, plannedStops) {
+  const db = getDb();
+  const update = db.prepare(`
+    UPDATE itinerary_stops SET position = ?, start_time = CASE WHEN fixed = 1 THEN start_time ELSE ? END, updated_at = ?
+    WHERE id = ?
+  `);
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    plannedStops.forEach((stop, position) => update.run(position, stop.startTime, now, stop.id));
+    db.prepare('UPDATE itineraries SET updated_at = ? WHERE id = ?').run(now, itineraryId);
+  })();
+}
+
+// iCalendar events for every stop; stops without a start time become all-day entries
+function itineraryToICalendar(itinerary) {
+  const events = listStops(itinerary.id).map(stop => {
+    const start = parseTime(stop.startTime);
+    const details = [stop.category && getCategory(stop.category)?.label, stop.notes].filter(Boolean).join('\n');
+    return {
+      uid: `${stop.id}@tourgenious`,
+      title: stop.name,
+      ...(start !== null
+        ? { start: goaDateTime(stop.date, start), end: goaDateTime(stop.date, start + stop.durationMinutes) }
+        : { allDay: stop.date }),
+      location: stop.name,
+      lat: stop.lat,
+      lon: stop.lon,
+      description: details || null,
+      url: stop.type === 'place' && stop.refId ? `https://www.openstreetmap.org/${stop.refId}` : null
+    };
+  });
+  return toICalendar({ name: itinerary.title, events });
+}
+
+const router = express.Router();
+
+// Itineraries belong to a user account
+router.use(requireAuth);
+
+// Load the user's itinerary for /:id routes (404 when it isn't theirs)
+router.param('id', (req, res, next, id) => {
+  try {
+    req.itinerary = getItinerary(id, req.user.id);
+    if (!req.itinerary) {
+      return res.status(404).json({ error: 'Itinerary not found' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/', (req, res) => {
+  try {
+    const itineraries = listItineraries(req.user.id);
+    res.json({ success: true, itineraries, total: itineraries.length });
+  } catch (error) {
+    console.error('Itineraries API error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch itineraries', message: error.message });
+  }
+});
+
+router.post('/', (req, res) => {
+  try {
+    const input = req.body || {};
+    const errors = validateItinerary(input);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid itinerary', details: errors });
+    }
+    const itinerary = createItinerary(req.user.id, input);
+    console.log(`🗓️ Itinerary created: ${itinerary.id} (${itinerary.title})`);
+    res.status(201).json({ success: true, itinerary: withDays(itinerary) });
+  } catch (error) {
+    console.error('Itineraries API error:', error.message);
+    res.status(500).json({ error: 'Failed to create itinerary', message: error.message });
+  }
+});
+
+router.get('/:id', (req, res) => {
+  res.json({ success: true, itinerary: withDays(req.itinerary) });
+});
+
+// Update title, notes or dates; dates can't shrink past days that still have stops
+router.put('/:id', (req, res) => {
+  try {
+    const changes = req.body || {};
+    const next = { ...req.itinerary, ...changes };
+    const errors = validateItinerary(next);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid itinerary', details: errors });
+    }
+    const stranded = listStops(req.itinerary.id).filter(stop => stop.date < next.startDate || stop.date > next.endDate);
+    if (stranded.length) {
+      return res.status(409).json({
+        error: 'Some stops fall outside the new dates',
+        message: `Move or delete ${stranded.length} stop(s) first`,
+        stops: stranded.map(stop => ({ id: stop.id, name: stop.name, date: stop.date }))
+      });
+    }
+    const itinerary = updateItinerary(req.itinerary, changes);
+    res.json({ success: true, itinerary: withDays(itinerary) });
+  } catch (error) {
+    console.error('Itineraries API error:', error.message);
+    res.status(500).json({ error: 'Failed to update itinerary', message: error.message });
+  }
+});
+
+router.delete('/:id', (req, res) => {
+  try {
+    getDb().prepare('DELETE FROM itineraries WHERE id = ?').run(req.itinerary.id);
+    res.json({ success: true, deleted: req.itinerary.id });
+  } catch (error) {
+    console.error('Itineraries API error:', error.message);
+    res.status(500).json({ error: 'Failed to delete itinerary', message: error.message });
+  }
+});
+
+// Add a stop at the end of its day
+router.post('/:id/stops', (req, res) => {
+  try {
+    const { stop, errors } = resolveStop(req.user.id, req.itinerary, req.body || {});
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid stop', details: errors });
+    }
+    if (countStopsOn(req.itinerary.id, stop.date) >= MAX_STOPS_PER_DAY) {
+      return res.status(409).json({ error: `A day can have at most ${MAX_STOPS_PER_DAY} stops` });
+    }
+    res.status(201).json({ success: true, stop: insertStop(req.itinerary.id, stop) });
+  } catch (error) {
+    console.error('Itineraries API error:', error.message);
+    res.status(500).json({ error: 'Failed to add stop', message: error.message });
+  }
+});
+
+router.put('/:id/stops/:stopId', (req, res) => {
+  try {
+    const existing = listStops(req.itinerary.id).find(stop => stop.id === req.params.stopId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Stop not found' });
+    }
+    const changes = req.body || {};
+    const errors = validateStopFields({ ...existing, ...changes }, req.itinerary);
+    if (changes.position !== undefined && !Number.isInteger(changes.position)) {
+      errors.push('position must be a whole number');
+    }
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid stop', details: errors });
+    }
+    if (changes.date && changes.date !== existing.date && countStopsOn(req.itinerary.id, changes.date) >= MAX_STOPS_PER_DAY) {
+      return res.status(409).json({ error: `A day can have at most ${MAX_STOPS_PER_DAY} stops` });
+    }
+    res.json({ success: true, stop: updateStop(req.itinerary.id, existing, changes) });
+  } catch (error) {
+    console.error('Itineraries API error:', error.message);
+    res.status(500).json({ error: 'Failed to update stop', message: error.message });
+  }
+});
+
+router.delete('/:id/stops/:stopId', (req, res) => {
+  try {
+    const existing = listStops(req.itinerary.id).find(stop => stop.id === req.params.stopId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Stop not found' });
+    }
+    deleteStop(req.itinerary.id, existing);
+    res.json({ success: true, deleted: existing.id });
+  } catch (error) {
+    console.error('Itineraries API error:', error.message);
+    res.status(500).json({ error: 'Failed to delete stop', message: error.message });
+  }
+});
+
+// Reorder a day's stops to cut travel time and set their start times; reports opening-hours,
+// timing and weather conflicts. { "apply": false } previews the plan without saving it.
+router.post('/:id/days/:date/optimize', async (req, res) => {
+  const { date } = req.params;
+  const { startTime = '09:00', start, apply = true } = req.body || {};
+  const mode = typeof req.body?.mode === 'string' ? req.body.mode.trim().toLowerCase() : req.body?.mode ?? 'car';
+  const details = [];
+  if (!parseDate(date) || date < req.itinerary.startDate || date > req.itinerary.endDate) {
+    details.push(`date must be a day of the trip (${req.itinerary.startDate} to ${req.itinerary.endDate})`);
+  }
+  if (!Object.hasOwn(TRAVEL_MODES, mode)) details.push(`mode must be one of: ${Object.keys(TRAVEL_MODES).join(', ')}`);
+  if (parseTime(startTime) === null) details.push('startTime must be a time (HH:MM)');
+  if (typeof apply !== 'boolean') details.push('apply must be true or false');
+  const origin = start ? parseCoordinates(start.latitude, start.longitude) : null;
+  if (start && !origin) details.push('start must have valid latitude and longitude');
+  if (details.length) {
+    return res.status(400).json({ error: 'Invalid optimize request', details });
+  }
+
+  try {
+    const stops = listStops(req.itinerary.id, date);
+    if (!stops.length) {
+      return res.json({ success: true, date, applied: false, stops: [], travel: null, conflicts: [], weather: null });
+    }
+    const plan = await planDay({ stops, date, mode, dayStart: startTime, origin });
+    if (apply) applyDayPlan(req.itinerary.id, plan.stops);
+    res.json({
+      success: true,
+      date,
+      mode,
+      applied: apply,
+      stops: plan.stops.map((stop, position) => ({ ...stop, position })),
+      travel: { ...plan.travel, savedMinutes: Math.max(0, plan.travel.beforeMinutes - plan.travel.afterMinutes) },
+      conflicts: plan.conflicts,
+      weather: plan.weather
+    });
+  } catch (error) {
+    console.error('Itinerary optimize error:', error.message);
+    res.status(500).json({ error: 'Failed to optimize day', message: error.message });
+  }
+});
+
+// iCalendar export for calendar apps
+router.get('/:id/export.ics', (req, res) => {
+  try {
+    const fileName = req.itinerary.title.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'itinerary';
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${fileName}.ics"`);
+    res.send(itineraryToICalendar(req.itinerary));
+  } catch (error) {
+    console.error('Itinerary export error:', error.message);
+    res.status(500).json({ error: 'Failed to export itinerary', message: error.message });
+  }
+});
+
+module.exports = {
+  router,
+  getItinerary,
+  createItinerary,
+  resolveStop,
+  insertStop,
+  withDays,
+  validateItinerary,
+  isOutdoorPlace,
+  tripDates,
+  STOP_TYPES
+};
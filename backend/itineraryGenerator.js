@@ -0,0 +1,577 @@
+const express = require('express');
+const { getDb } = require('./db');
+const { generateStructuredReply, SYSTEM_PROMPT } = require('./chatbot');
+const { findNearbyPlaces, PRICE_LEVELS } = require('./overpass');
+const { getForecast } = require('./weather');
+const { goaLocations, findGoaLocation } = require('./goaLocations');
+const { getCategory } = require('./placeCategories');
+const { haversineDistanceKm } = require('./geo');
+const { TRAVEL_MODES } = require('./routing');
+const { parseDate } = require('./bookings');
+const { planDay, parseTime } = require('./itineraryPlanner');
+const { createItinerary, resolveStop, insertStop, withDays, isOutdoorPlace, tripDates } = require('./itineraries');
+const guide = require('./goaGuide');
+
+// Day-by-day trip plans. The AI providers pick places from a list of real ones near the area
+// (OpenStreetMap, the offline POI pack or the offline guide's beaches and landmarks); anything
+// that doesn't check out is dropped, and every day is then scheduled by the itinerary planner
+// (travel times, opening hours, weather). Without an AI provider the plan comes from the
+// offline guide's rules.
+
+const MAX_GENERATED_DAYS = 7;
+const MAX_STOPS_PER_DAY = 8;
+const MAX_TITLE_LENGTH = 120;
+const DAY_START = '09:00';
+const GROUP_TYPES = ['solo', 'couple', 'family', 'friends'];
+// PRICE_LEVELS without 'free'
+const BUDGETS = ['budget', 'moderate', 'expensive'];
+const INTERESTS = {
+  beaches: ['beach'],
+  culture: ['historic', 'museum', 'place_of_worship', 'attraction'],
+  food: ['restaurant', 'cafe'],
+  nature: ['viewpoint', 'beach'],
+  nightlife: ['bar', 'nightclub'],
+  shopping: ['market', 'shops']
+};
+const DEFAULT_INTERESTS = ['beaches', 'culture', 'food'];
+const MEAL_CATEGORIES = ['restaurant', 'cafe'];
+const NIGHTLIFE_CATEGORIES = ['bar', 'nightclub'];
+// Search circles; a town or beach name searches LOCATION_RADIUS_M around it instead
+const AREAS = {
+  north: { label: 'North Goa', latitude: 15.56, longitude: 73.77, radius: 18000 },
+  central: { label: 'Central Goa', latitude: 15.49, longitude: 73.86, radius: 12000 },
+  south: { label: 'South Goa', latitude: 15.17, longitude: 73.96, radius: 20000 }
+};
+const LOCATION_RADIUS_M = 10000;
+const CANDIDATES_PER_CATEGORY = 8;
+const SIGHTS_PER_DAY = { solo: 3, couple: 3, friends: 3, family: 2 };
+const VISIT_MINUTES = {
+  beach: 120,
+  attraction: 90,
+  museum: 90,
+  market: 90,
+  shops: 90,
+  historic: 75,
+  viewpoint: 60,
+  place_of_worship: 45,
+  restaurant: 75,
+  cafe: 45,
+  bar: 90,
+  nightclub: 120
+};
+const DEFAULT_VISIT_MINUTES = 60;
+const MEAL_TIMES = { lunch: '13:00', dinner: '20:00' };
+const SUNSET_BEACH_TIME = '16:30';
+const NIGHTLIFE_TIME = '21:45';
+// A day's sights, meals and nightlife stay within this distance of its first sight
+const NEARBY_KM = 10;
+const MAX_SAME_CATEGORY_PER_DAY = 2;
+const WET_ADVISORIES = ['heavy-rain', 'thunderstorm'];
+
+const PLAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string', description: 'Two sentences about the trip' },
+    days: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          date: { type: 'string', description: 'YYYY-MM-DD' },
+          theme: { type: 'string' },
+          stops: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                placeId: { type: 'string', description: 'id from the places list' },
+                startTime: { type: 'string', description: 'HH:MM, Goa time' },
+                durationMinutes: { type: 'integer' },
+                note: { type: 'string' }
+              },
+              required: ['placeId', 'startTime', 'durationMinutes', 'note']
+            }
+          }
+        },
+        required: ['date', 'theme', 'stops']
+      }
+    },
+    tips: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['summary', 'days', 'tips']
+};
+
+function parseList(value) {
+  const items = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+  return items.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+}
+
+// "north", "South Goa" or a town/beach name → { label, latitude, longitude, radius }
+function resolveArea(value) {
+  const key = String(value).trim().toLowerCase().replace(/\s+goa$/, '');
+  if (Object.hasOwn(AREAS, key)) return AREAS[key];
+  const location = findGoaLocation(key);
+  return location ? { label: location.name, latitude: location.lat, longitude: location.lon, radius: LOCATION_RADIUS_M } : null;
+}
+
+// Validate the body of POST /generate; resolves the area and fills in defaults
+function parseGenerateRequest(body) {
+  const errors = [];
+  const startDate = body.startDate;
+  const endDate = body.endDate ?? body.startDate;
+  const start = parseDate(startDate);
+  const end = parseDate(endDate);
+  if (!start) errors.push('startDate must be a valid date (YYYY-MM-DD)');
+  if (!end) errors.push('endDate must be a valid date (YYYY-MM-DD)');
+  if (start && end) {
+    const days = (end - start) / (24 * 60 * 60 * 1000) + 1;
+    if (days < 1) errors.push('endDate cannot be before startDate');
+    else if (days > MAX_GENERATED_DAYS) errors.push(`Plans can cover at most ${MAX_GENERATED_DAYS} days`);
+  }
+
+  const area = resolveArea(body.area ?? 'north');
+  if (!area) errors.push(`area must be one of: ${Object.keys(AREAS).join(', ')}, or a Goa town or beach`);
+
+  const budget = String(body.budget ?? 'moderate').trim().toLowerCase();
+  if (!BUDGETS.includes(budget)) errors.push(`budget must be one of: ${BUDGETS.join(', ')}`);
+
+  const interests = body.interests == null ? DEFAULT_INTERESTS : [...new Set(parseList(body.interests))];
+  const unknownInterests = interests.filter(interest => !Object.hasOwn(INTERESTS, interest));
+  if (!interests.length || unknownInterests.length) {
+    errors.push(`interests must be some of: ${Object.keys(INTERESTS).join(', ')}`);
+  }
+
+  const group = String(body.group ?? 'couple').trim().toLowerCase();
+  if (!GROUP_TYPES.includes(group)) errors.push(`group must be one of: ${GROUP_TYPES.join(', ')}`);
+
+  // Families get a car by default; everyone else a scooter
+  const mode = String(body.mode ?? (group === 'family' ? 'car' : 'scooter')).trim().toLowerCase();
+  if (!Object.hasOwn(TRAVEL_MODES, mode)) errors.push(`mode must be one of: ${Object.keys(TRAVEL_MODES).join(', ')}`);
+
+  if (body.title != null && (typeof body.title !== 'string' || !body.title.trim() || body.title.length > MAX_TITLE_LENGTH)) {
+    errors.push(`title must be text of at most ${MAX_TITLE_LENGTH} characters`);
+  }
+
+  return {
+    request: { startDate, endDate, area, budget, interests, group, mode, title: typeof body.title === 'string' ? body.title.trim() : null, save: body.save === true },
+    errors
+  };
+}
+
+function distanceKm(a, b) {
+  return haversineDistanceKm(a.lat, a.lon, b.lat, b.lon);
+}
+
+function nearest(places, from) {
+  return places.reduce((best, place) => (!best || distanceKm(from, place) < distanceKm(from, best) ? place : best), null);
+}
+
+function withinBudget(place, budget) {
+  return !place.priceLevel || PRICE_LEVELS.indexOf(place.priceLevel) <= PRICE_LEVELS.indexOf(budget);
+}
+
+function tripCategories(request) {
+  const ids = new Set([...request.interests.flatMap(interest => INTERESTS[interest]), ...MEAL_CATEGORIES]);
+  if (request.group === 'family') NIGHTLIFE_CATEGORIES.forEach(id => ids.delete(id));
+  return [...ids];
+}
+
+// Real places the plan may use: the offline guide's beaches and landmarks in the area, then
+// up to CANDIDATES_PER_CATEGORY nearby places per category. Resolves to { candidates, source }
+async function findCandidates(request) {
+  const { area } = request;
+  const categories = tripCategories(request);
+  let places = [];
+  let source = 'openstreetmap';
+  try {
+    const result = await findNearbyPlaces({ latitude: area.latitude, longitude: area.longitude, radius: area.radius, categories });
+    places = result.places;
+    if (result.fallback) source = 'offline-pack';
+  } catch (error) {
+    console.log(`⚠️ Places lookup for the itinerary failed (${error.message}), using the offline guide`);
+    source = 'offline-guide';
+  }
+
+  const nearby = categories
+    .flatMap(category => places.filter(place => place.category === category && withinBudget(place, request.budget)).slice(0, CANDIDATES_PER_CATEGORY))
+    .map(place => ({
+      id: `${place.osmType}/${place.id}`,
+      name: place.name,
+      category: place.category,
+      lat: place.lat,
+      lon: place.lon,
+      openingHours: place.openingHours || null,
+      priceLevel: place.priceLevel,
+      note: null
+    }));
+  const names = new Set(nearby.map(place => place.name.toLowerCase()));
+  const fromGuide = guide.guidePlaces().filter(place =>
+    categories.includes(place.category) &&
+    !names.has(place.name.toLowerCase()) &&
+    haversineDistanceKm(area.latitude, area.longitude, place.lat, place.lon) * 1000 <= area.radius
+  );
+  return { candidates: [...fromGuide, ...nearby], source };
+}
+
+// Forecast for the area by date ({ description, advisories }); empty when unavailable
+async function tripWeather(area) {
+  try {
+    const { value: forecast } = await getForecast({ lat: area.latitude, lon: area.longitude });
+    return new Map(forecast.days.map(day => [day.date, {
+      description: day.description,
+      advisories: forecast.advisories.filter(advisory => advisory.date === day.date)
+    }]));
+  } catch (error) {
+    console.log(`⚠️ Weather for the itinerary unavailable: ${error.message}`);
+    return new Map();
+  }
+}
+
+function placeStop(place, { startTime = null, fixed = false, note = place.note, durationMinutes } = {}) {
+  return {
+    type: 'place',
+    placeId: place.id,
+    name: place.name,
+    lat: place.lat,
+    lon: place.lon,
+    category: place.category,
+    openingHours: place.openingHours,
+    startTime,
+    durationMinutes: durationMinutes || VISIT_MINUTES[place.category] || DEFAULT_VISIT_MINUTES,
+    fixed,
+    note
+  };
+}
+
+// The nearest unused restaurant or cafe, or else a meal break where the day is, with a dish to try
+function mealStop(meal, near, candidates, used, dish) {
+  const note = `Try ${dish}.`;
+  const place = nearest(candidates.filter(candidate => MEAL_CATEGORIES.includes(candidate.category) && !used.has(candidate.id)), near);
+  if (place && distanceKm(near, place) <= NEARBY_KM) {
+    used.add(place.id);
+    return placeStop(place, { startTime: MEAL_TIMES[meal], fixed: true, note });
+  }
+  return {
+    type: 'custom',
+    placeId: null,
+    name: `${meal[0].toUpperCase()}${meal.slice(1)} near ${near.name}`,
+    lat: near.lat,
+    lon: near.lon,
+    category: 'restaurant',
+    openingHours: null,
+    startTime: MEAL_TIMES[meal],
+    durationMinutes: VISIT_MINUTES.restaurant,
+    fixed: true,
+    note
+  };
+}
+
+function nearestTown(place) {
+  return nearest(goaLocations, place).name;
+}
+
+// One day from the offline rules: sights close to the day's first pick (indoor ones on rainy
+// days, a different interest leading each day, at most two of a kind), lunch and dinner nearby, a beach for the
+// sunset and, for nightlife, a bar or club after dinner. Null when no sights are left.
+function ruleDay({ date, dayIndex, candidates, used, request, weather }) {
+  const wet = Boolean(weather?.advisories.some(advisory => WET_ADVISORIES.includes(advisory.type)));
+  const sights = candidates.filter(place =>
+    !used.has(place.id) && !MEAL_CATEGORIES.includes(place.category) && !NIGHTLIFE_CATEGORIES.includes(place.category)
+  );
+  const indoor = sights.filter(place => !isOutdoorPlace(place.category));
+  const pool = wet && indoor.length ? indoor : sights;
+  if (!pool.length) return null;
+
+  const sightInterests = request.interests.filter(interest => interest !== 'food' && interest !== 'nightlife');
+  const lead = sightInterests.length ? INTERESTS[sightInterests[dayIndex % sightInterests.length]] : [];
+  const anchor = pool.find(place => lead.includes(place.category)) || pool[0];
+  const picked = [anchor];
+  while (picked.length < SIGHTS_PER_DAY[request.group]) {
+    const rest = pool.filter(place =>
+      !picked.includes(place) &&
+      distanceKm(anchor, place) <= NEARBY_KM &&
+      picked.filter(other => other.category === place.category).length < MAX_SAME_CATEGORY_PER_DAY
+    );
+    if (!rest.length) break;
+    const fresh = rest.filter(place => !picked.some(other => other.category === place.category));
+    picked.push(nearest(fresh.length ? fresh : rest, anchor));
+  }
+  picked.forEach(place => used.add(place.id));
+
+  const beach = !wet && picked.find(place => place.category === 'beach');
+  const stops = picked.map(place => (place === beach
+    ? placeStop(place, { startTime: SUNSET_BEACH_TIME, fixed: true, note: `Stay for the sunset. ${place.note || guide.BEACH_TIP}` })
+    : placeStop(place)));
+  const dishes = guide.GOAN_DISHES;
+  stops.push(mealStop('lunch', anchor, candidates, used, dishes[(dayIndex * 2) % dishes.length]));
+  stops.push(mealStop('dinner', beach || picked[picked.length - 1], candidates, used, dishes[(dayIndex * 2 + 1) % dishes.length]));
+
+  if (request.interests.includes('nightlife') && request.group !== 'family') {
+    const dinner = stops[stops.length - 1];
+    const venue = nearest(candidates.filter(place => NIGHTLIFE_CATEGORIES.includes(place.category) && !used.has(place.id)), dinner);
+    if (venue && distanceKm(dinner, venue) <= NEARBY_KM) {
+      used.add(venue.id);
+      stops.push(placeStop(venue, { startTime: NIGHTLIFE_TIME, fixed: true, note: guide.NIGHT_SAFETY_TIP }));
+    }
+  }
+
+  const labels = [...new Set(picked.map(place => getCategory(place.category)?.label || place.category))].slice(0, 2);
+  return { date, theme: `${labels.join(', ')} around ${nearestTown(anchor)}`, stops };
+}
+
+// Season, transport and safety tips from the offline guide
+function guideTips(request) {
+  const season = guide.seasonFor(Number(request.startDate.slice(5, 7)));
+  const tips = [`${season.label} in Goa is ${season.summary}.${season.monsoon ? ` ${guide.MONSOON_TIP}` : ''}`];
+  if (request.mode === 'scooter') tips.push(guide.SCOOTER_TIP);
+  tips.push(guide.TAXI_TIP);
+  if (request.interests.includes('beaches')) tips.push(guide.BEACH_TIP);
+  if (request.interests.includes('food')) tips.push(guide.FOOD_TIP);
+  if (request.interests.includes('nightlife')) tips.push(guide.NIGHT_SAFETY_TIP);
+  tips.push(`Emergency: ${guide.EMERGENCY_TIP}`);
+  return tips;
+}
+
+function buildPrompt(request, dates, candidates, weather) {
+  const season = guide.seasonFor(Number(request.startDate.slice(5, 7)));
+  const weatherLines = dates.map(date => {
+    const day = weather.get(date);
+    if (!day) return `- ${date}: no forecast yet; ${season.label} is usually ${season.summary}`;
+    const warnings = day.advisories.map(advisory => advisory.message).join('; ');
+    return `- ${date}: ${day.description}${warnings ? ` (warnings: ${warnings})` : ''}`;
+  });
+  const placeLines = candidates.map(place => [
+    place.id,
+    place.name,
+    getCategory(place.category)?.label || place.category,
+    place.openingHours || 'hours unknown',
+    ...(place.priceLevel ? [place.priceLevel] : [])
+  ].join(' | '));
+
+  return [
+    `Plan ${dates.length} day(s) in ${request.area.label}, Goa, from ${dates[0]} to ${dates[dates.length - 1]}.`,
+    `Group: ${request.group}. Budget: ${request.budget}. Interests: ${request.interests.join(', ')}. Getting around by ${request.mode}.`,
+    '',
+    'Weather:',
+    ...weatherLines,
+    '',
+    'Rules:',
+    `- Use only places from the list below, by id, and never the same place twice. Up to ${SIGHTS_PER_DAY[request.group]} sights a day plus lunch and dinner.`,
+    '- Give each stop a startTime (HH:MM, Goa time) and durationMinutes, respect opening hours and keep each day\'s places close together.',
+    '- Prefer indoor places on days with rain or storm warnings.',
+    ...(request.group === 'family' ? ['- This is a family with children: no bars or nightclubs.'] : []),
+    '',
+    'Places (id | name | category | opening hours | price):',
+    ...placeLines
+  ].join('\n');
+}
+
+// Keep only what checks out: known places (each once), trip dates, valid times and durations,
+// and no outdoor places on days with rain or storm warnings (they stay free for the rules to
+// use on a dry day). Meals and nightlife keep their time when the day is scheduled.
+// Resolves to { days, warnings }.
+function validatePlan(data, { dates, candidates, used, weather = new Map() }) {
+  if (!data || !Array.isArray(data.days)) throw new Error('The plan has no days');
+  const byId = new Map(candidates.map(place => [place.id, place]));
+  const warnings = [];
+
+  const days = dates.map(date => {
+    const entry = data.days.find(day => day?.date === date);
+    const wet = Boolean(weather.get(date)?.advisories.some(advisory => WET_ADVISORIES.includes(advisory.type)));
+    const stops = [];
+    for (const stop of Array.isArray(entry?.stops) ? entry.stops : []) {
+      const place = byId.get(stop?.placeId);
+      if (!place) {
+        warnings.push(`${date}: dropped "${stop?.placeId}", which isn't one of the places found`);
+      } else if (used.has(place.id)) {
+        warnings.push(`${date}: dropped ${place.name}, which is already in the plan`);
+      } else if (wet && isOutdoorPlace(place.category)) {
+        warnings.push(`${date}: dropped ${place.name}, an outdoor place on a day with rain or storm warnings`);
+      } else if (stops.length >= MAX_STOPS_PER_DAY) {
+        warnings.push(`${date}: dropped ${place.name}, more than ${MAX_STOPS_PER_DAY} stops`);
+      } else {
+        used.add(place.id);
+        const startTime = parseTime(stop.startTime) !== null ? stop.startTime : null;
+        const durationMinutes = Number.isInteger(stop.durationMinutes) && stop.durationMinutes >= 15 && stop.durationMinutes <= 360
+          ? stop.durationMinutes
+          : undefined;
+        const timed = [...MEAL_CATEGORIES, ...NIGHTLIFE_CATEGORIES].includes(place.category);
+        stops.push(placeStop(place, {
+          startTime,
+          fixed: timed && startTime !== null,
+          note: typeof stop.note === 'string' && stop.note.trim() ? stop.note.trim() : place.note,
+          durationMinutes
+        }));
+      }
+    }
+    return { date, theme: typeof entry?.theme === 'string' ? entry.theme : null, stops };
+  });
+
+  const outside = data.days.filter(day => !dates.includes(day?.date)).length;
+  if (outside) warnings.push(`Dropped ${outside} day(s) outside the trip dates`);
+  return { days, warnings };
+}
+
+// Plan the trip. Resolves to { provider, fallback?, trip, summary, days, tips, warnings, sources }
+async function generateItinerary(request) {
+  const dates = tripDates(request.startDate, request.endDate);
+  const [{ candidates, source }, weather] = await Promise.all([findCandidates(request), tripWeather(request.area)]);
+  const used = new Set();
+  let warnings = [];
+  let days = null;
+  let summary = null;
+  let tips = null;
+  let provider = 'offline-goa-guide';
+
+  const reply = candidates.length
+    ? await generateStructuredReply({
+      systemPrompt: `${SYSTEM_PROMPT} You plan day-by-day Goa trips and reply with JSON only.`,
+      prompt: buildPrompt(request, dates, candidates, weather),
+      schema: PLAN_SCHEMA,
+      schemaName: 'goa_itinerary',
+      maxTokens: 2500,
+      title: 'TourGenious Itinerary'
+    })
+    : null;
+  if (reply) {
+    try {
+      ({ days, warnings } = validatePlan(reply.data, { dates, candidates, used, weather }));
+      summary = typeof reply.data.summary === 'string' ? reply.data.summary : null;
+      tips = Array.isArray(reply.data.tips) ? reply.data.tips.filter(tip => typeof tip === 'string').slice(0, 8) : null;
+      provider = reply.provider;
+    } catch (error) {
+      console.log(`⚠️ AI itinerary unusable (${error.message}), planning from the offline guide`);
+      used.clear();
+      warnings = ['The AI plan could not be used, so this plan comes from the offline guide'];
+    }
+  }
+  const fallback = provider === 'offline-goa-guide';
+
+  // Fill the days the AI plan left empty (or all of them) from the rules
+  days = (days || dates.map(date => ({ date, theme: null, stops: [] }))).map((day, dayIndex) => {
+    if (day.stops.length) return day;
+    const planned = ruleDay({ date: day.date, dayIndex, candidates, used, request, weather: weather.get(day.date) });
+    if (!planned) {
+      warnings.push(`${day.date}: no places left to visit in ${request.area.label}`);
+      return day;
+    }
+    if (!fallback) warnings.push(`${day.date}: planned from the offline guide because the AI plan had no usable stops`);
+    return planned;
+  });
+
+  // One day at a time: each one makes its own travel-time requests
+  const scheduled = [];
+  for (const day of days) {
+    if (!day.stops.length) {
+      scheduled.push({ ...day, travel: null, conflicts: [], weather: null });
+      continue;
+    }
+    const plan = await planDay({
+      stops: day.stops.map((stop, index) => ({ ...stop, id: `${day.date}-${index + 1}`, outdoor: isOutdoorPlace(stop.category) })),
+      date: day.date,
+      mode: request.mode,
+      dayStart: DAY_START
+    });
+    scheduled.push({
+      date: day.date,
+      theme: day.theme,
+      stops: plan.stops.map(({ id, ...stop }) => stop),
+      travel: plan.travel,
+      conflicts: plan.conflicts.map(({ stopId, ...conflict }) => conflict),
+      weather: plan.weather
+    });
+  }
+
+  return {
+    provider,
+    ...(fallback && { fallback: true }),
+    trip: {
+      startDate: request.startDate,
+      endDate: request.endDate,
+      area: request.area.label,
+      budget: request.budget,
+      interests: request.interests,
+      group: request.group,
+      mode: request.mode
+    },
+    summary: summary || `${dates.length}-day ${request.group} trip in ${request.area.label} for ${request.interests.join(', ')}.`,
+    days: scheduled,
+    tips: tips?.length ? tips : guideTips(request),
+    warnings,
+    sources: { places: source, candidates: candidates.length }
+  };
+}
+
+// Save a generated plan as an itinerary (see itineraries.js) in one transaction; stops that
+// don't pass its checks are skipped with a warning
+function saveGeneratedPlan(userId, request, plan) {
+  return getDb().transaction(() => {
+    const itinerary = createItinerary(userId, {
+      title: request.title || `${plan.trip.area} trip`,
+      startDate: request.startDate,
+      endDate: request.endDate,
+      notes: plan.summary.slice(0, 2000)
+    });
+    const warnings = [];
+    for (const day of plan.days) {
+      for (const stop of day.stops) {
+        const { stop: resolved, errors } = resolveStop(userId, itinerary, {
+          type: stop.type,
+          name: stop.name,
+          latitude: stop.lat,
+          longitude: stop.lon,
+          placeId: /^(node|way|relation)\//.test(stop.placeId) ? stop.placeId : undefined,
+          category: stop.category,
+          openingHours: stop.openingHours,
+          date: day.date,
+          startTime: stop.startTime,
+          durationMinutes: stop.durationMinutes,
+          fixed: stop.fixed,
+          outdoor: stop.outdoor,
+          notes: stop.note
+        });
+        if (errors.length) {
+          warnings.push(`${day.date}: ${stop.name} was not saved (${errors.join('; ')})`);
+          continue;
+        }
+        insertStop(itinerary.id, resolved);
+      }
+    }
+    return { itinerary: withDays(itinerary), warnings };
+  })();
+}
+
+const router = express.Router();
+
+// POST /api/itinerary/generate
+// { startDate, endDate, area, budget, interests, group, mode?, save?, title? }
+router.post('/generate', async (req, res) => {
+  const { request, errors } = parseGenerateRequest(req.body || {});
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid itinerary request', details: errors });
+  }
+  if (request.save && !req.user) {
+    return res.status(401).json({ error: 'Authentication required', message: 'Log in to save the generated itinerary' });
+  }
+
+  try {
+    const plan = await generateItinerary(request);
+    let itinerary = null;
+    if (request.save) {
+      const saved = saveGeneratedPlan(req.user.id, request, plan);
+      itinerary = saved.itinerary;
+      plan.warnings.push(...saved.warnings);
+    }
+    console.log(`🧭 Itinerary generated: ${plan.days.length} day(s) in ${plan.trip.area} (${plan.provider})`);
+    res.json({
+      success: true,
+      ...plan,
+      ...(itinerary && { itinerary })
+    });
+  } catch (error) {
+    console.error('Itinerary generator error:', error.message);
+    res.status(500).json({ error: 'Failed to generate itinerary', message: error.message });
+  }
+});
+
+module.exports = { router, generateItinerary, parseGenerateRequest, validatePlan, INTERESTS, GROUP_TYPES, BUDGETS };
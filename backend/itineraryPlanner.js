@@ -0,0 +1,246 @@
+const { getTravelMatrix } = require('./routing');
+const { getForecast } = require('./weather');
+const { parseOpeningHours, openIntervalsOn, DAYS, GOA_UTC_OFFSET_MINUTES } = require('./openingHours');
+const { goaLocations } = require('./goaLocations');
+
+// Orders and schedules one itinerary day: stops with a fixed time (events, pinned stops) keep
+// it, the rest are reordered to cut travel time (nearest neighbour, then 2-opt) and fitted in
+// between. Every stop is checked against its opening hours, and outdoor stops against the
+// weather advisories for the day.
+
+const MINUTES_PER_DAY = 24 * 60;
+// Advisories that rule out an outdoor stop; strong wind only matters on the beach
+const WEATHER_CONFLICTS = {
+  'heavy-rain': () => true,
+  thunderstorm: () => true,
+  'beach-unsafe-wind': stop => stop.category === 'beach'
+};
+const DEFAULT_WEATHER_POINT = goaLocations.find(location => location.name === 'Panaji');
+
+// "09:30" → 570; null when invalid
+function parseTime(value) {
+  const match = typeof value === 'string' && value.match(/^(\d{2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function formatTime(minute) {
+  const clamped = Math.min(Math.max(Math.round(minute), 0), MINUTES_PER_DAY - 1);
+  return `${String(Math.floor(clamped / 60)).padStart(2, '0')}:${String(clamped % 60).padStart(2, '0')}`;
+}
+
+// Goa-local date and minute → Date (UTC instant)
+function goaDateTime(date, minute) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + (minute - GOA_UTC_OFFSET_MINUTES) * 60 * 1000);
+}
+
+function weekday(date) {
+  return DAYS[(new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7];
+}
+
+function hasLocation(stop) {
+  return stop.lat != null && stop.lon != null;
+}
+
+// minutes[i][j] between every pair of points; travel to or from a point without coordinates counts as 0
+async function travelMatrix(points, mode) {
+  const located = points.map((point, index) => ({ point, index })).filter(({ point }) => point);
+  const matrix = points.map(() => points.map(() => 0));
+  let estimated = false;
+
+  const rows = await getTravelMatrix(located.map(({ point }) => point), mode);
+  rows.forEach((row, rowIndex) => {
+    row.forEach((travel, columnIndex) => {
+      matrix[located[rowIndex].index][located[columnIndex].index] = travel.durationMinutes;
+      if (travel.source !== 'osrm') estimated = true;
+    });
+  });
+  return { matrix, estimated };
+}
+
+function pathCost(order, matrix, origin) {
+  let cost = origin != null && order.length ? matrix[origin][order[0]] : 0;
+  for (let i = 1; i < order.length; i++) cost += matrix[order[i - 1]][order[i]];
+  return cost;
+}
+
+// Nearest neighbour from the origin (or the first stop), improved with 2-opt segment reversals
+function orderByTravel(indices, matrix, origin) {
+  if (indices.length < 3 && origin == null) return indices;
+  const remaining = [...indices];
+  const order = [];
+  let current = origin;
+  if (current == null) {
+    current = remaining.shift();
+    order.push(current);
+  }
+  while (remaining.length) {
+    remaining.sort((a, b) => matrix[current][a] - matrix[current][b]);
+    current = remaining.shift();
+    order.push(current);
+  }
+
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < order.length - 1; i++) {
+      for (let j = i + 1; j < order.length; j++) {
+        const candidate = [...order.slice(0, i), ...order.slice(i, j + 1).reverse(), ...order.slice(j + 1)];
+        if (pathCost(candidate, matrix, origin) < pathCost(order, matrix, origin)) {
+          order.splice(0, order.length, ...candidate);
+          improved = true;
+        }
+      }
+    }
+  }
+  return order;
+}
+
+// Start minute for a visit of `duration` at or after `arrival`, waiting for opening time if
+// needed; { start, waited } or null when the place isn't open long enough that day
+function fitOpeningHours(intervals, arrival, duration) {
+  for (const interval of intervals) {
+    const start = Math.max(arrival, interval.open);
+    if (start + duration <= interval.close) return { start, waited: start > arrival };
+  }
+  return null;
+}
+
+function isOpenFor(intervals, start, duration) {
+  return intervals.some(interval => start >= interval.open && start + duration <= interval.close);
+}
+
+// Forecast advisories for the day near the first located stop; { available, advisories, message? }
+async function dayWeather(stops, date) {
+  const located = stops.find(hasLocation);
+  const point = located ? { lat: located.lat, lon: located.lon } : { lat: DEFAULT_WEATHER_POINT.lat, lon: DEFAULT_WEATHER_POINT.lon };
+  try {
+    const { value: forecast } = await getForecast(point);
+    const day = forecast.days.find(entry => entry.date === date);
+    if (!day) {
+      return { available: false, advisories: [], message: 'The forecast only covers the next 5 days' };
+    }
+    return {
+      available: true,
+      description: day.description,
+      minTemp: day.minTemp,
+      maxTemp: day.maxTemp,
+      rainProbability: day.rainProbability,
+      advisories: forecast.advisories.filter(advisory => advisory.date === date)
+    };
+  } catch (error) {
+    console.log(`⚠️ Weather check for itinerary skipped: ${error.message}`);
+    return { available: false, advisories: [], message: 'Weather forecast unavailable' };
+  }
+}
+
+// Plan a day. stops: [{ id, name, lat, lon, category, openingHours, startTime, durationMinutes, fixed, outdoor }]
+// in their current order; `origin` ({ latitude, longitude }) is where the day starts (e.g. the hotel).
+// Resolves to { stops (scheduled, new order), travel: { beforeMinutes, afterMinutes, estimated }, conflicts, weather }.
+async function planDay({ stops, date, mode = 'car', dayStart = '09:00', origin = null }) {
+  const points = stops.map(stop => (hasLocation(stop) ? { latitude: stop.lat, longitude: stop.lon } : null));
+  const originIndex = origin ? points.push({ latitude: origin.latitude, longitude: origin.longitude }) - 1 : null;
+  const { matrix, estimated } = await travelMatrix(points, mode);
+  const travel = (from, to) => (from == null ? 0 : matrix[from][to]);
+
+  const fixed = stops
+    .map((stop, index) => ({ stop, index }))
+    .filter(({ stop }) => stop.fixed && parseTime(stop.startTime) !== null)
+    .sort((a, b) => parseTime(a.stop.startTime) - parseTime(b.stop.startTime));
+  const fixedIndices = new Set(fixed.map(({ index }) => index));
+  const flexible = orderByTravel(stops.map((_, index) => index).filter(index => !fixedIndices.has(index)), matrix, originIndex);
+
+  const day = weekday(date);
+  const conflicts = [];
+  const scheduled = [];
+  const visitOrder = [];
+  let time = parseTime(dayStart) ?? parseTime('09:00');
+  let previous = originIndex;
+
+  const visit = index => {
+    const stop = stops[index];
+    const travelMinutes = travel(previous, index);
+    const arrival = time + travelMinutes;
+    const parsedHours = parseOpeningHours(stop.openingHours);
+    const intervals = parsedHours ? openIntervalsOn(parsedHours, day) : null;
+    let start = arrival;
+    let waited = false;
+
+    if (fixedIndices.has(index)) {
+      start = Math.max(arrival, parseTime(stop.startTime));
+      if (arrival > parseTime(stop.startTime)) {
+        conflicts.push({
+          type: 'late',
+          stopId: stop.id,
+          stopName: stop.name,
+          message: `Arrives at ${formatTime(arrival)}, ${Math.round(arrival - parseTime(stop.startTime))} min after ${stop.name} starts`
+        });
+      }
+    } else if (intervals) {
+      const fit = fitOpeningHours(intervals, arrival, stop.durationMinutes);
+      if (fit) ({ start, waited } = fit);
+    }
+
+    if (intervals && !isOpenFor(intervals, start, stop.durationMinutes)) {
+      conflicts.push({
+        type: 'closed',
+        stopId: stop.id,
+        stopName: stop.name,
+        message: `${stop.name} is not open from ${formatTime(start)} to ${formatTime(start + stop.durationMinutes)} on ${day} (hours: ${stop.openingHours})`
+      });
+    }
+    if (!hasLocation(stop)) {
+      conflicts.push({ type: 'no-location', stopId: stop.id, stopName: stop.name, message: `${stop.name} has no coordinates, so travel to it isn't counted` });
+    }
+
+    scheduled.push({
+      ...stop,
+      startTime: formatTime(start),
+      endTime: formatTime(start + stop.durationMinutes),
+      travelMinutesFromPrevious: travelMinutes,
+      ...(waited && { waitsForOpening: true })
+    });
+    time = start + stop.durationMinutes;
+    previous = index;
+    visitOrder.push(index);
+  };
+
+  const pending = [...fixed];
+  for (const index of flexible) {
+    // Go to a fixed-time stop first when this one wouldn't leave time to reach it
+    while (pending.length) {
+      const next = pending[0].index;
+      const finish = time + travel(previous, index) + stops[index].durationMinutes + travel(index, next);
+      if (finish <= parseTime(stops[next].startTime)) break;
+      visit(pending.shift().index);
+    }
+    visit(index);
+  }
+  pending.forEach(({ index }) => visit(index));
+
+  if (time > MINUTES_PER_DAY) {
+    conflicts.push({ type: 'overrun', stopId: null, stopName: null, message: `The day runs past midnight (${Math.round(time - MINUTES_PER_DAY)} min over)` });
+  }
+
+  const weather = await dayWeather(stops, date);
+  for (const stop of scheduled.filter(candidate => candidate.outdoor)) {
+    for (const advisory of weather.advisories) {
+      if (WEATHER_CONFLICTS[advisory.type]?.(stop)) {
+        conflicts.push({ type: 'weather', stopId: stop.id, stopName: stop.name, severity: advisory.severity, message: `${stop.name} is outdoors: ${advisory.message}` });
+      }
+    }
+  }
+
+  return {
+    stops: scheduled,
+    travel: {
+      beforeMinutes: Math.round(pathCost(stops.map((_, index) => index), matrix, originIndex)),
+      afterMinutes: Math.round(pathCost(visitOrder, matrix, originIndex)),
+      estimated
+    },
+    conflicts,
+    weather
+  };
+}
+
+module.exports = { planDay, parseTime, formatTime, goaDateTime };
@@ -0,0 +1,73 @@
+const { tokenize, getVocabulary } = require('./offlineTranslator');
+const { languages } = require('./translationGrammar');
+
+// Offline source-language detection. Latin script is English; Devanagari text is scored
+// against the Hindi, Marathi and Konkani word lists the offline translator already uses.
+// A word known in several languages counts for less than one only a single language uses
+// ("आहे" is Marathi, "आसा" Konkani, "ते" could be either).
+
+const DEVANAGARI_LANGUAGES = Object.keys(languages);
+const DEVANAGARI = /[ऀ-ॿ]/;
+// With no known words, Devanagari text is most likely Hindi
+const DEFAULT_DEVANAGARI_LANGUAGE = 'Hindi';
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function detectEnglish(words) {
+  const vocabulary = getVocabulary('English');
+  const known = words.filter(word => vocabulary.has(word)).length;
+  return {
+    language: 'English',
+    confidence: round(0.6 + 0.4 * (known / words.length)),
+    method: 'script'
+  };
+}
+
+function detectDevanagari(words) {
+  const vocabularies = DEVANAGARI_LANGUAGES.map(language => [language, getVocabulary(language)]);
+  const scores = Object.fromEntries(DEVANAGARI_LANGUAGES.map(language => [language, 0]));
+  let matched = 0;
+
+  for (const word of words) {
+    const knownIn = vocabularies.filter(([, vocabulary]) => vocabulary.has(word)).map(([language]) => language);
+    if (!knownIn.length) continue;
+    matched++;
+    knownIn.forEach(language => {
+      scores[language] += 1 / knownIn.length;
+    });
+  }
+
+  const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+  if (!total) {
+    return { language: DEFAULT_DEVANAGARI_LANGUAGE, confidence: 0.3, method: 'script', scores };
+  }
+
+  const [language, best] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  const coverage = matched / words.length;
+  return {
+    language,
+    confidence: round((best / total) * (0.5 + 0.5 * coverage)),
+    method: 'lexicon',
+    scores: Object.fromEntries(Object.entries(scores).map(([name, score]) => [name, round(score)]))
+  };
+}
+
+// Resolves to { language, confidence (0-1), method: script|lexicon, scores? }; language is null for empty text
+function detectLanguage(text) {
+  const words = tokenize(String(text || ''))
+    .filter(token => token.type === 'word' && !/^\p{N}+$/u.test(token.text))
+    .map(token => token.text.toLowerCase());
+  if (!words.length) {
+    return { language: null, confidence: 0, method: 'script' };
+  }
+
+  const devanagari = words.filter(word => DEVANAGARI.test(word));
+  if (devanagari.length * 2 < words.length) {
+    return detectEnglish(words.filter(word => !DEVANAGARI.test(word)));
+  }
+  return detectDevanagari(devanagari);
+}
+
+module.exports = { detectLanguage };
@@ -0,0 +1,54 @@
+// GeoJSON (RFC 7946) and KML 2.2 for importing saved places into other map apps
+
+// places: [{ name, lat, lon, category, description, properties }]
+function toGeoJson({ name, places }) {
+  return {
+    type: 'FeatureCollection',
+    name,
+    features: places.map(place => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [place.lon, place.lat] },
+      properties: { name: place.name, category: place.category, description: place.description, ...place.properties }
+    }))
+  };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Same input as toGeoJson; `properties` become ExtendedData
+function toKml({ name, description, places }) {
+  const placemarks = places.map(place => {
+    const data = Object.entries({ category: place.category, ...place.properties })
+      .filter(([, value]) => value != null && value !== '' && !(Array.isArray(value) && !value.length))
+      .map(([key, value]) => `        <Data name="${escapeXml(key)}"><value>${escapeXml(Array.isArray(value) ? value.join(', ') : value)}</value></Data>`);
+    return [
+      '    <Placemark>',
+      `      <name>${escapeXml(place.name)}</name>`,
+      ...(place.description ? [`      <description>${escapeXml(place.description)}</description>`] : []),
+      ...(data.length ? ['      <ExtendedData>', ...data, '      </ExtendedData>'] : []),
+      `      <Point><coordinates>${place.lon},${place.lat},0</coordinates></Point>`,
+      '    </Placemark>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(name)}</name>`,
+    ...(description ? [`    <description>${escapeXml(description)}</description>`] : []),
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+module.exports = { toGeoJson, toKml };
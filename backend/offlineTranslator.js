@@ -0,0 +1,611 @@
+const { getPhraseTable, PHRASE_LANGUAGES } = require('./phrasebook');
+const {
+  SUBJECT_PRONOUNS,
+  OBJECT_PRONOUNS,
+  BE_VERBS,
+  ARTICLES,
+  CONTRACTIONS,
+  DATIVE_VERBS,
+  QUESTION_WORDS,
+  PREPOSITIONS,
+  VERBS,
+  languages,
+  findVerb
+} = require('./translationGrammar');
+
+// Confidence contributed by each source word, by how it was translated
+const WEIGHTS = { phrase: 1, grammar: 0.9, word: 0.8, unknown: 0 };
+// A clause translated word by word keeps English word order, which is usually wrong
+const WORD_ORDER_PENALTY = 0.75;
+
+// Words (letters, combining marks, digits, inner apostrophes) or single punctuation marks
+const TOKEN_PATTERN = /[\p{L}\p{M}\p{N}]+(?:'[\p{L}\p{M}]+)*|[^\s\p{L}\p{M}\p{N}]/gu;
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]/u;
+const NUMBER_PATTERN = /^\p{N}+$/u;
+const END_PUNCTUATION = /[\s?.!।]+$/;
+
+function tokenize(text) {
+  return (text.replace(/[‘’]/g, "'").match(TOKEN_PATTERN) || []).map(token => (
+    WORD_PATTERN.test(token) ? { type: 'word', text: token } : { type: 'punctuation', text: token }
+  ));
+}
+
+// Lower-case words with contractions expanded: "Where's" → ["where", "is"]
+function toWords(tokens) {
+  return tokens.flatMap(token => {
+    const key = token.text.toLowerCase();
+    if (CONTRACTIONS[key]) {
+      return CONTRACTIONS[key].split(' ').map(word => ({ key: word, text: word }));
+    }
+    return [{ key, text: token.text }];
+  });
+}
+
+function normalizePhrase(text) {
+  return toWords(tokenize(text).filter(token => token.type === 'word'))
+    .map(word => word.key)
+    .join(' ');
+}
+
+// Lookup tables are built from the phrasebook and rebuilt when its version changes
+const lexicons = new Map();
+
+function cachedLexicon(name, build) {
+  const { version, entries } = getPhraseTable();
+  const cached = lexicons.get(name);
+  if (cached?.version === version) return cached.lexicon;
+  const lexicon = build(entries);
+  lexicons.set(name, { version, lexicon });
+  return lexicon;
+}
+
+// English → language table keyed by normalized English; the grammar lexicon wins over the phrasebook
+function getLexicon(toLanguage) {
+  return cachedLexicon(`English-${toLanguage}`, entries => buildLexicon(entries, toLanguage));
+}
+
+function buildLexicon(entries, toLanguage) {
+  const phrases = new Map();
+  const field = PHRASE_LANGUAGES[toLanguage];
+  for (const entry of entries) {
+    const key = normalizePhrase(entry.english);
+    if (key && entry[field]) phrases.set(key, entry[field].replace(END_PUNCTUATION, ''));
+  }
+  for (const [english, translation] of Object.entries(languages[toLanguage]?.lexicon || {})) {
+    phrases.set(english, translation);
+  }
+
+  return {
+    phrases,
+    maxWords: Math.max(1, ...[...phrases.keys()].map(key => key.split(' ').length))
+  };
+}
+
+// A translated fragment: target text plus the confidence of each source word it consumed.
+// Grammar words (pronouns, verbs, "is", "do", prepositions) carry no scores of their own;
+// they are counted at WEIGHTS.grammar when the clause is scored.
+function piece(text, scores = [], unknown = []) {
+  return { text, scores, unknown };
+}
+
+function join(pieces) {
+  const parts = pieces.filter(Boolean);
+  return piece(
+    parts.map(part => part.text).filter(Boolean).join(' '),
+    parts.flatMap(part => part.scores),
+    parts.flatMap(part => part.unknown)
+  );
+}
+
+// Longest-phrase-first lookup; unknown words are kept as typed
+function lookupWords(words, context) {
+  const { lexicon, language } = context;
+  const pieces = [];
+  let i = 0;
+
+  while (i < words.length) {
+    let matched = false;
+    for (let length = Math.min(lexicon.maxWords, words.length - i); length >= 1; length--) {
+      const translation = lexicon.phrases.get(words.slice(i, i + length).map(word => word.key).join(' '));
+      if (translation) {
+        pieces.push(piece(translation, Array(length).fill(length > 1 ? WEIGHTS.phrase : WEIGHTS.word)));
+        i += length;
+        matched = true;
+        break;
+      }
+    }
+    if (matched) continue;
+
+    const word = words[i];
+    const person = SUBJECT_PRONOUNS[word.key] || OBJECT_PRONOUNS[word.key];
+    if (NUMBER_PATTERN.test(word.key)) {
+      pieces.push(piece(word.text, [WEIGHTS.word]));
+    } else if (person) {
+      pieces.push(piece(SUBJECT_PRONOUNS[word.key] ? language.subject[person] : language.cases.dative[person], [WEIGHTS.word]));
+    } else {
+      pieces.push(piece(word.text, [WEIGHTS.unknown], [word.text]));
+    }
+    i++;
+  }
+
+  return join(pieces);
+}
+
+function pronounPerson(words) {
+  if (words.length !== 1) return null;
+  return SUBJECT_PRONOUNS[words[0].key] || OBJECT_PRONOUNS[words[0].key] || null;
+}
+
+// Sentence subject: a pronoun, or a noun phrase treated as third person singular
+function translateSubject(words, context) {
+  const person = words.length === 1 ? SUBJECT_PRONOUNS[words[0].key] : null;
+  if (person) return { person, piece: piece(context.language.subject[person]) };
+  return { person: '3s', piece: lookupWords(words, context) };
+}
+
+// Objects and prepositional phrases. English prepositions become postpositions after
+// their noun phrase ("near the beach" → "समुद्र तट के पास"), and place/time phrases go
+// before the object, as in Hindi/Marathi/Konkani SOV order.
+function translateComplement(words, context, verb) {
+  const { language, toLanguage } = context;
+  const segments = [{ preposition: null, words: [] }];
+  for (const word of words) {
+    if (PREPOSITIONS.includes(word.key)) {
+      segments.push({ preposition: word.key, words: [] });
+    } else {
+      segments[segments.length - 1].words.push(word);
+    }
+  }
+
+  const [object, ...phrases] = segments;
+  const translatedPhrases = phrases.map(({ preposition, words: phraseWords }) => {
+    const postposition = verb?.motion && preposition === 'to' ? '' : language.postpositions[preposition];
+    return join([lookupWords(phraseWords, context), piece(postposition)]);
+  });
+
+  let translatedObject = null;
+  const objectCase = verb?.[toLanguage]?.case;
+  const person = pronounPerson(object.words);
+  if (person) {
+    translatedObject = piece((language.cases[objectCase] || language.cases.dative)[person]);
+  } else if (object.words.length) {
+    translatedObject = join([lookupWords(object.words, context), piece(objectCase)]);
+  }
+
+  return join([...translatedPhrases, translatedObject]);
+}
+
+// Index of the first verb ("is", "want", "go", "do") after the subject, or -1
+function findPredicate(words, start) {
+  for (let i = start + 1; i < words.length && i <= start + 4; i++) {
+    const key = words[i].key;
+    if (PREPOSITIONS.includes(key)) return -1;
+    if (BE_VERBS.includes(key) || DATIVE_VERBS[key] || findVerb(key) || key === 'do' || key === 'does') return i;
+  }
+  return -1;
+}
+
+// Subject + predicate, with an optional question word placed before the verb
+// ("where do you live" → "आप कहाँ रहते हैं"). Returns null for shapes it doesn't know.
+function translateStatement(words, context, questionWord = null) {
+  const { language, toLanguage } = context;
+  const subjectEnd = SUBJECT_PRONOUNS[words[0]?.key] ? 1 : findPredicate(words, 0);
+  if (subjectEnd < 1) return null;
+
+  const subject = translateSubject(words.slice(0, subjectEnd), context);
+  const question = questionWord ? piece(language.questionWords[questionWord]) : null;
+  let i = subjectEnd;
+  let negative = false;
+
+  if (['do', 'does'].includes(words[i]?.key) && words[i + 1]?.key === 'not') {
+    negative = true;
+    i += 2;
+  }
+
+  // "I am happy", "The food is not spicy"; "I am going" is read as the simple present
+  if (BE_VERBS.includes(words[i]?.key)) {
+    i++;
+    if (words[i]?.key === 'not') {
+      negative = true;
+      i++;
+    }
+    const progressive = words[i]?.key.endsWith('ing') && findVerb(words[i].key);
+    if (!progressive) {
+      const rest = translateComplement(words.slice(i), context);
+      if (!rest.text && !question) return null;
+      return join([subject.piece, rest, question, piece(language.be(subject.person, negative))]);
+    }
+  }
+
+  // "I want water" → "मुझे पानी चाहिए"; "I want to go to the beach" → infinitive construction
+  const dativeKind = DATIVE_VERBS[words[i]?.key];
+  if (dativeKind) {
+    const person = pronounPerson(words.slice(0, subjectEnd));
+    if (!person) return null;
+    i++;
+
+    const infinitive = words[i]?.key === 'to' && findVerb(words[i + 1]?.key);
+    if (infinitive) {
+      if (dativeKind !== 'want') return null;
+      const rest = translateComplement(words.slice(i + 2), context, infinitive);
+      return join(language.wantTo({
+        subject: subject.piece.text,
+        person,
+        rest: rest.text,
+        verb: infinitive[toLanguage],
+        negative
+      }).map(part => piece(part)).concat(piece('', rest.scores, rest.unknown), question));
+    }
+
+    const rest = translateComplement(words.slice(i), context);
+    if (!rest.text) return null;
+    const predicate = negative ? language.dativeNegative[dativeKind] : language.dative[dativeKind];
+    return join([piece(language.cases.dative[person]), rest, question, piece(predicate)]);
+  }
+
+  const verb = findVerb(words[i]?.key);
+  if (!verb) return null;
+  const rest = translateComplement(words.slice(i + 1), context, verb);
+  return join([subject.piece, rest, question, piece(language.present(verb[toLanguage].stem, subject.person, negative))]);
+}
+
+// Recognized sentence shapes: questions ("where is ...", "do you ...") and statements
+function translateSentence(words, context) {
+  const { language } = context;
+
+  // "Do you speak English?" → "क्या आप अंग्रेज़ी बोलते हैं"
+  if (['do', 'does'].includes(words[0].key) && words.length > 2) {
+    const statement = translateStatement(words.slice(1), context);
+    return statement && join(language.yesNoQuestion([statement.text]).map(part => piece(part)).concat(piece('', statement.scores, statement.unknown)));
+  }
+
+  const questionWord = QUESTION_WORDS.find(candidate =>
+    words.slice(0, candidate.split(' ').length).map(word => word.key).join(' ') === candidate
+  );
+  if (!questionWord) return translateStatement(words, context);
+
+  const rest = words.slice(questionWord.split(' ').length);
+
+  // "Where is the beach?" → "समुद्र तट कहाँ है"; "Where are you from?" → "आप कहाँ से हैं"
+  if (BE_VERBS.includes(rest[0]?.key) && rest.length > 1) {
+    let subjectWords = rest.slice(1);
+    let postposition = '';
+    const last = subjectWords[subjectWords.length - 1];
+    if (subjectWords.length > 1 && PREPOSITIONS.includes(last.key)) {
+      postposition = language.postpositions[last.key];
+      subjectWords = subjectWords.slice(0, -1);
+    }
+    const subject = translateSubject(subjectWords, context);
+    return join([
+      subject.piece,
+      piece(language.questionWords[questionWord]),
+      piece(postposition),
+      piece(language.copula[subject.person])
+    ]);
+  }
+
+  // "Where do you live?"
+  if (['do', 'does'].includes(rest[0]?.key) && rest.length > 2) {
+    return translateStatement(rest.slice(1), context, questionWord);
+  }
+
+  return null;
+}
+
+// Confidence of a clause: looked-up words carry their own scores, the rest were
+// handled by grammar rules
+function scoreClause(result, wordCount, matchType, penalty = 1) {
+  const grammarWords = wordCount - result.scores.length;
+  const total = result.scores.reduce((sum, value) => sum + value, 0) + grammarWords * WEIGHTS.grammar;
+  return { ...result, matchType, words: wordCount, confidence: (total / wordCount) * penalty };
+}
+
+// Translate one English clause (text between punctuation marks)
+function translateClause(clauseWords, context) {
+  const words = clauseWords.filter(word => !ARTICLES.includes(word.key));
+  if (!words.length) return null;
+
+  const phrase = context.lexicon.phrases.get(words.map(word => word.key).join(' '));
+  if (phrase) {
+    return scoreClause(piece(phrase, words.map(() => WEIGHTS.phrase)), words.length, 'phrase');
+  }
+
+  const sentence = translateSentence(words, context);
+  if (sentence) {
+    return scoreClause(sentence, words.length, 'grammar');
+  }
+
+  return scoreClause(lookupWords(words, context), words.length, 'word-by-word', words.length > 1 ? WORD_ORDER_PENALTY : 1);
+}
+
+// English forms for each person key
+const ENGLISH_PERSONS = {
+  '1s': { subject: 'i', object: 'me', be: 'am' },
+  '2': { subject: 'you', object: 'you', be: 'are' },
+  '3s': { subject: 'he', object: 'him', be: 'is' },
+  '3sf': { subject: 'she', object: 'her', be: 'is' },
+  '1p': { subject: 'we', object: 'us', be: 'are' },
+  '3p': { subject: 'they', object: 'them', be: 'are' }
+};
+
+// Hindi/Marathi/Konkani → English table, generated by inverting the phrasebook and
+// conjugating the grammar rules. Each entry has a `role` used to restore English word order.
+// The first English meaning wins: phrases, then grammar, then vocabulary.
+function getReverseLexicon(fromLanguage) {
+  return cachedLexicon(`${fromLanguage}-English`, phrasebook => buildReverseLexicon(phrasebook, fromLanguage));
+}
+
+function buildReverseLexicon(phrasebook, fromLanguage) {
+  const language = languages[fromLanguage];
+  const field = PHRASE_LANGUAGES[fromLanguage];
+  const entries = new Map();
+  const add = (translation, english, role = null, base = english) => {
+    for (const alternative of (translation || '').split('/')) {
+      const key = normalizePhrase(alternative);
+      if (key && !entries.has(key)) entries.set(key, { text: english, role, base });
+    }
+  };
+
+  for (const entry of phrasebook.filter(phrase => phrase.category !== 'vocabulary')) {
+    const key = normalizePhrase(entry.english);
+    const question = QUESTION_WORDS.some(word => key === word || key.startsWith(`${word} `));
+    add(entry[field], key, question ? 'question' : null);
+  }
+
+  for (const [person, forms] of Object.entries(ENGLISH_PERSONS)) {
+    const third = person.startsWith('3s');
+    add(language.subject[person], forms.subject, 'subject');
+    // Dative subjects: "मुझे पानी चाहिए" → "I need water"
+    add(language.cases.dative[person], forms.subject, 'subject');
+    Object.entries(language.cases)
+      .filter(([name]) => name !== 'dative')
+      .forEach(([, table]) => add(table[person], forms.object));
+    add(language.copula[person], forms.be, 'copula');
+    if (language.be(person, true) !== language.negation) {
+      add(language.be(person, true), `${forms.be} not`, 'copula');
+    }
+    for (const verb of VERBS) {
+      const [base, thirdPerson] = verb.en;
+      const { stem } = verb[fromLanguage];
+      add(language.present(stem, person, false), third ? thirdPerson : base, 'verb', base);
+      add(language.present(stem, person, true), `${third ? 'does' : 'do'} not ${base}`, 'verb', `not ${base}`);
+    }
+  }
+
+  for (const verb of VERBS) {
+    add(verb[fromLanguage].inf, `to ${verb.en[0]}`);
+  }
+  for (const [kind, predicate] of Object.entries(language.dative)) {
+    const english = kind === 'want' ? 'need' : 'like';
+    add(predicate, english, 'verb');
+    add(language.dativeNegative[kind], `do not ${english}`, 'verb', `not ${english}`);
+  }
+  Object.entries(language.questionWords).forEach(([english, word]) => add(word, english, 'question'));
+  Object.entries(language.postpositions).forEach(([english, word]) => add(word, english, 'postposition'));
+  Object.entries(language.lexicon).forEach(([english, word]) => add(word, english));
+  phrasebook
+    .filter(phrase => phrase.category === 'vocabulary')
+    .forEach(phrase => add(phrase[field], normalizePhrase(phrase.english)));
+
+  return {
+    entries,
+    maxWords: Math.max(1, ...[...entries.keys()].map(key => key.split(' ').length))
+  };
+}
+
+// Longest-phrase-first lookup into English, keeping each entry's role
+function lookupEnglish(words, lexicon) {
+  const pieces = [];
+  let i = 0;
+
+  while (i < words.length) {
+    let entry = null;
+    let length = Math.min(lexicon.maxWords, words.length - i);
+    for (; length >= 1; length--) {
+      entry = lexicon.entries.get(words.slice(i, i + length).map(word => word.key).join(' '));
+      if (entry) break;
+    }
+
+    if (entry) {
+      pieces.push({ ...piece(entry.text, Array(length).fill(length > 1 ? WEIGHTS.phrase : WEIGHTS.word)), role: entry.role, base: entry.base });
+      i += length;
+    } else {
+      const word = words[i];
+      const known = NUMBER_PATTERN.test(word.key);
+      pieces.push({ ...piece(word.text, [known ? WEIGHTS.word : WEIGHTS.unknown], known ? [] : [word.text]), role: null });
+      i++;
+    }
+  }
+
+  return pieces;
+}
+
+// Restore English SVO order: subject, verb, then the rest; question words and
+// "do"/"does" go first in questions, and postpositions move before their noun.
+// Returns null when there is no verb or question word to anchor the sentence.
+function toEnglishOrder(pieces, yesNoQuestion) {
+  const ordered = [];
+  for (const part of pieces) {
+    const previous = ordered[ordered.length - 1];
+    if (part.role === 'postposition' && previous && !previous.role) {
+      ordered.splice(ordered.length - 1, 0, part);
+    } else {
+      ordered.push(part);
+    }
+  }
+
+  const questions = ordered.filter(part => part.role === 'question');
+  const verbs = ordered.filter(part => part.role === 'verb' || part.role === 'copula');
+  if (!verbs.length && !questions.length) return null;
+
+  const others = ordered.filter(part => !questions.includes(part) && !verbs.includes(part));
+  const subjectIndex = others.findIndex(part => part.role === 'subject');
+  const subject = others.splice(subjectIndex === -1 ? 0 : subjectIndex, 1);
+  const copula = verbs.every(part => part.role === 'copula');
+  const thirdPerson = !subject.length || !['i', 'you', 'we', 'they'].includes(subject[0].text);
+  const auxiliary = piece(thirdPerson ? 'does' : 'do');
+  const baseVerbs = verbs.map(part => ({ ...part, text: part.base }));
+
+  if (yesNoQuestion) {
+    return copula ? [...verbs, ...subject, ...others] : [auxiliary, ...subject, ...baseVerbs, ...others];
+  }
+  if (questions.length) {
+    return copula ? [...questions, ...verbs, ...subject, ...others] : [...questions, auxiliary, ...subject, ...baseVerbs, ...others];
+  }
+  return [...subject, ...verbs, ...others];
+}
+
+// Translate one Hindi/Marathi/Konkani clause into English
+function translateClauseToEnglish(clauseWords, context) {
+  const { language, lexicon } = context;
+  let words = clauseWords;
+  if (!words.length) return null;
+
+  const entry = lexicon.entries.get(words.map(word => word.key).join(' '));
+  if (entry) {
+    return scoreClause(piece(entry.text, words.map(() => WEIGHTS.phrase)), words.length, 'phrase');
+  }
+
+  // Question particles: Hindi "क्या ...", Marathi "... का"
+  const particle = language.questionParticle;
+  let yesNoQuestion = false;
+  if (particle && words.length > 2) {
+    const index = particle.position === 'start' ? 0 : words.length - 1;
+    if (words[index].key === particle.word) {
+      yesNoQuestion = true;
+      words = words.filter((word, i) => i !== index);
+    }
+  }
+
+  const pieces = lookupEnglish(words, lexicon);
+  const reordered = toEnglishOrder(pieces, yesNoQuestion);
+  if (reordered) {
+    return scoreClause(join(reordered), clauseWords.length, 'grammar');
+  }
+  return scoreClause(join(pieces), clauseWords.length, 'word-by-word', words.length > 1 ? WORD_ORDER_PENALTY : 1);
+}
+
+const MATCH_TYPES = ['none', 'word-by-word', 'grammar', 'phrase'];
+
+function untranslated(text, unknownWords = []) {
+  return { translatedText: text, confidence: 0, matchType: 'none', unknownWords };
+}
+
+// Split text into clauses at punctuation, translate each and score the whole
+function translateClauses(text, translate, { mapPunctuation, finish = output => output }) {
+  const clauses = [];
+  const output = [];
+  let current = [];
+
+  const flush = () => {
+    const clause = translate(toWords(current));
+    if (clause) {
+      clauses.push(clause);
+      output.push(clause.text);
+    }
+    current = [];
+  };
+
+  for (const token of tokenize(text)) {
+    if (token.type === 'word') {
+      current.push(token);
+      continue;
+    }
+    flush();
+    const mark = mapPunctuation(token.text);
+    if (output.length) {
+      output[output.length - 1] += mark;
+    } else {
+      output.push(mark);
+    }
+  }
+  flush();
+
+  const unknownWords = [...new Set(clauses.flatMap(clause => clause.unknown))];
+  if (!clauses.some(clause => clause.confidence > 0)) return untranslated(text, unknownWords);
+
+  const words = clauses.reduce((sum, clause) => sum + clause.words, 0);
+  const confidence = clauses.reduce((sum, clause) => sum + clause.confidence * clause.words, 0) / words;
+  const matchType = MATCH_TYPES.find(type => clauses.some(clause => clause.matchType === type));
+
+  return {
+    translatedText: finish(output.join(' ')),
+    confidence: Math.round(confidence * 100) / 100,
+    matchType,
+    unknownWords
+  };
+}
+
+// Capitalize sentences and the pronoun "I"
+function formatEnglish(text) {
+  return text
+    .replace(/\bi\b/g, 'I')
+    .replace(/(^|[.?!]\s+)(\p{Ll})/gu, (match, boundary, letter) => boundary + letter.toUpperCase());
+}
+
+// Offline translation between English, Hindi, Marathi and Konkani.
+// Resolves to { translatedText, confidence (0–1), matchType, unknownWords, pivot? } where matchType is
+// 'phrase' (every clause is a known phrase), 'grammar' (parsed and reordered), 'word-by-word'
+// (at least one clause is a dictionary guess) or 'none' (nothing could be translated).
+// Pairs without a direct table (e.g. Hindi → Konkani) pivot through English and set `pivot: 'English'`.
+function translateOffline(text, fromLanguage, toLanguage) {
+  if (fromLanguage === 'English') {
+    const language = languages[toLanguage];
+    if (!language) return untranslated(text);
+    const context = { language, toLanguage, lexicon: getLexicon(toLanguage) };
+    return translateClauses(text, words => translateClause(words, context), {
+      mapPunctuation: mark => (mark === '.' ? language.fullStop : mark)
+    });
+  }
+
+  const language = languages[fromLanguage];
+  const target = toLanguage === 'English' || languages[toLanguage];
+  if (!language || !target || fromLanguage === toLanguage) return untranslated(text);
+
+  if (toLanguage === 'English') {
+    const context = { language, lexicon: getReverseLexicon(fromLanguage) };
+    return translateClauses(text, words => translateClauseToEnglish(words, context), {
+      mapPunctuation: mark => (mark === '।' ? '.' : mark),
+      finish: formatEnglish
+    });
+  }
+
+  const english = translateOffline(text, fromLanguage, 'English');
+  if (english.matchType === 'none') return english;
+  const result = translateOffline(english.translatedText, 'English', toLanguage);
+  if (result.matchType === 'none') return untranslated(text, english.unknownWords);
+
+  return {
+    translatedText: result.translatedText,
+    confidence: Math.round(english.confidence * result.confidence * 100) / 100,
+    matchType: MATCH_TYPES[Math.min(MATCH_TYPES.indexOf(english.matchType), MATCH_TYPES.indexOf(result.matchType))],
+    unknownWords: [...new Set([...english.unknownWords, ...result.unknownWords])],
+    pivot: 'English'
+  };
+}
+
+// Every single word the engine knows in a language, for language detection
+function getVocabulary(language) {
+  return cachedLexicon(`${language}-vocabulary`, () => {
+    const keys = language === 'English'
+      ? [
+        ...Object.keys(languages).flatMap(name => [...getLexicon(name).phrases.keys()]),
+        ...Object.keys(SUBJECT_PRONOUNS),
+        ...Object.keys(OBJECT_PRONOUNS),
+        ...Object.keys(CONTRACTIONS),
+        ...BE_VERBS,
+        ...ARTICLES,
+        ...QUESTION_WORDS,
+        ...PREPOSITIONS,
+        ...VERBS.flatMap(verb => verb.en)
+      ]
+      : [...getReverseLexicon(language).entries.keys()];
+    return new Set(keys.flatMap(key => key.split(' ')).filter(Boolean));
+  });
+}
+
+module.exports = {
+  translateOffline,
+  tokenize,
+  getVocabulary
+};
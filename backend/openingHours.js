@@ -0,0 +1,159 @@
+// Parser for the common subset of OSM opening_hours values:
+//   "24/7", "Mo-Fr 09:00-17:00; Sa 10:00-14:00", "Tu-Su 10:00-13:00,14:00-18:00",
+//   "Mo,We,Fr 18:00-02:00", "Su off", "10:00-22:00" (every day),
+//   "Mo-Fr 09:00-13:00, Sa 10:00-14:00", "Mo-Sa 09:00-13:00, Fr 16:00-19:00"
+// Later rules replace earlier ones for the days they name, as in OSM; rules after a comma
+// (OSM's additional rules) add their times instead, and "off" still closes the day. Values using month
+// ranges, week numbers, sunrise/sunset or comments aren't supported and parse to null.
+// Times are local Goa time (IST, +05:30, no daylight saving).
+
+const DAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+const HOLIDAYS = ['PH', 'SH'];
+const GOA_UTC_OFFSET_MINUTES = 330;
+const TIME_RANGE = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/;
+const OPEN_END = /^(\d{1,2}):(\d{2})\+$/;
+// A comma after a time or keyword that starts a new day selector separates rules, not days or times
+const ADDITIONAL_RULE_SEPARATOR = /(?<=\d|\+|\boff|\bclosed|\bopen)\s*,\s*(?=(?:Mo|Tu|We|Th|Fr|Sa|Su|PH|SH)\b)/;
+const DAY_SELECTOR = /^(?:(?:Mo|Tu|We|Th|Fr|Sa|Su)(?:-(?:Mo|Tu|We|Th|Fr|Sa|Su))?)(?:,(?:Mo|Tu|We|Th|Fr|Sa|Su)(?:-(?:Mo|Tu|We|Th|Fr|Sa|Su))?)*$/;
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function emptySchedule() {
+  return Object.fromEntries(DAYS.map(day => [day, []]));
+}
+
+// "Mo-We,Fr" → ['Mo', 'Tu', 'We', 'Fr']; ranges may wrap ("Fr-Mo")
+function expandDays(selector) {
+  return selector.split(',').flatMap(part => {
+    const [from, to] = part.split('-');
+    if (!to) return [from];
+    const days = [];
+    for (let i = DAYS.indexOf(from); ; i = (i + 1) % 7) {
+      days.push(DAYS[i]);
+      if (DAYS[i] === to) break;
+    }
+    return days;
+  });
+}
+
+// "09:00-13:00,14:00-18:00" → [{ open: '09:00', close: '13:00' }, ...]; null when not a time list
+function parseTimes(text) {
+  const intervals = [];
+  for (const part of text.split(',')) {
+    const range = part.match(TIME_RANGE);
+    const openEnd = part.match(OPEN_END);
+    if (range) {
+      const [, openHours, openMinutes, closeHours, closeMinutes] = range.map(Number);
+      if (openHours > 24 || closeHours > 48 || openMinutes > 59 || closeMinutes > 59) return null;
+      // "18:00-26:00" is OSM's way of writing "until 02:00 the next day"
+      intervals.push({ open: `${pad(openHours)}:${pad(openMinutes)}`, close: `${pad(closeHours % 24)}:${pad(closeMinutes)}` });
+      if (closeHours === 24 && closeMinutes === 0) intervals[intervals.length - 1].close = '24:00';
+    } else if (openEnd) {
+      // "18:00+" has no stated closing time; treat it as open until midnight
+      intervals.push({ open: `${pad(Number(openEnd[1]))}:${openEnd[2]}`, close: '24:00' });
+    } else {
+      return null;
+    }
+  }
+  return intervals;
+}
+
+// Resolves to { raw, alwaysOpen, schedule: { Mo: [{ open, close }], ... } } or null when unsupported.
+// An interval whose close is not after its open runs past midnight.
+function parseOpeningHours(value) {
+  const raw = String(value || '').trim();
+  if (!raw) return null;
+  if (raw === '24/7') {
+    const schedule = Object.fromEntries(DAYS.map(day => [day, [{ open: '00:00', close: '24:00' }]]));
+    return { raw, alwaysOpen: true, schedule };
+  }
+
+  const schedule = emptySchedule();
+  const rules = raw.split(/\s*(?:;|\|\|)\s*/).filter(Boolean).flatMap(rule => (
+    rule.split(ADDITIONAL_RULE_SEPARATOR).map((text, index) => ({ text, additional: index > 0 }))
+  ));
+  let weekRules = 0;
+  for (const { text: rule, additional } of rules) {
+    const tokens = rule.replace(/\s*,\s*/g, ',').replace(/\s*-\s*/g, '-').split(/\s+/);
+    // Public/school holidays can't be evaluated without a holiday calendar: drop them from the
+    // day list ("Su,PH off" → "Su off") and skip rules that only name holidays
+    const holidays = tokens[0].split(',').filter(part => HOLIDAYS.includes(part));
+    if (holidays.length) {
+      const weekdays = tokens[0].split(',').filter(part => !HOLIDAYS.includes(part));
+      if (!weekdays.length) continue;
+      tokens[0] = weekdays.join(',');
+    }
+    weekRules++;
+    let days = DAYS;
+    if (DAY_SELECTOR.test(tokens[0])) {
+      days = expandDays(tokens.shift());
+    }
+    const rest = tokens.join(' ');
+
+    let intervals;
+    if (!rest || rest === 'open') {
+      intervals = rest ? [{ open: '00:00', close: '24:00' }] : null;
+    } else if (['off', 'closed'].includes(rest)) {
+      intervals = [];
+    } else {
+      intervals = parseTimes(rest);
+    }
+    if (!intervals) return null;
+
+    days.forEach(day => {
+      schedule[day] = additional && intervals.length ? [...schedule[day], ...intervals] : intervals;
+    });
+  }
+  // Only holiday rules ("PH off"): the regular hours are unknown
+  if (!weekRules) return null;
+
+  const alwaysOpen = DAYS.every(day => schedule[day].some(interval => interval.open === '00:00' && interval.close === '24:00'));
+  return { raw, alwaysOpen, schedule };
+}
+
+// Goa calendar date, weekday and minute of the day for an instant
+function goaLocalTime(date = new Date()) {
+  const local = new Date(date.getTime() + GOA_UTC_OFFSET_MINUTES * 60 * 1000);
+  return {
+    date: local.toISOString().slice(0, 10),
+    day: DAYS[(local.getUTCDay() + 6) % 7],
+    minute: local.getUTCHours() * 60 + local.getUTCMinutes()
+  };
+}
+
+// Open intervals on `day` as minutes since midnight ({ open, close }, close up to 1440),
+// including the part of the previous day's overnight interval that runs past midnight
+function openIntervalsOn(parsed, day) {
+  const previousDay = DAYS[(DAYS.indexOf(day) + 6) % 7];
+  const intervals = [];
+  parsed.schedule[previousDay].forEach(interval => {
+    const open = toMinutes(interval.open);
+    const close = toMinutes(interval.close);
+    if (close <= open && close > 0) intervals.push({ open: 0, close });
+  });
+  parsed.schedule[day].forEach(interval => {
+    const open = toMinutes(interval.open);
+    const close = toMinutes(interval.close);
+    // Past midnight: today's part runs from `open` to midnight
+    intervals.push({ open, close: close > open ? close : 24 * 60 });
+  });
+  return intervals.sort((a, b) => a.open - b.open);
+}
+
+// true/false for a parsed schedule at `date` (default now), null when the hours are unknown
+function isOpenAt(parsed, date = new Date()) {
+  if (!parsed) return null;
+  if (parsed.alwaysOpen) return true;
+
+  const { day, minute } = goaLocalTime(date);
+  return openIntervalsOn(parsed, day).some(interval => minute >= interval.open && minute < interval.close);
+}
+
+module.exports = { DAYS, GOA_UTC_OFFSET_MINUTES, parseOpeningHours, isOpenAt, openIntervalsOn, goaLocalTime };
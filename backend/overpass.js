@@ -0,0 +1,179 @@
+const axios = require('axios');
+const { haversineDistanceKm } = require('./geo');
+const { withCache, cacheKey, roundCoordinate, getCacheTtl } = require('./cache');
+const { resolveCategories, categoryTagFilters, categorizeTags } = require('./placeCategories');
+const { parseOpeningHours, isOpenAt } = require('./openingHours');
+const { findPackElements, getPoiPackInfo } = require('./poiPack');
+
+// Padding (m) that covers the half-diagonal of a ~1 km cache grid cell
+const PLACES_CELL_PADDING_M = 800;
+// Elements fetched per query; filters and pagination work on this set
+const MAX_ELEMENTS = 500;
+
+// Multiple Overpass API endpoints (try in order if one fails)
+const overpassUrls = [
+  'https://overpass.kumi.systems/api/interpreter',
+  'https://overpass-api.de/api/interpreter',
+  'https://maps.mail.ru/osm/tools/overpass/api/interpreter'
+];
+
+// Nodes and ways carrying `tag` within `radius` meters of a point
+function buildTagQuery(tag, radius, latitude, longitude) {
+  return `node[${tag}](around:${radius},${latitude},${longitude});
+                  way[${tag}](around:${radius},${latitude},${longitude});`;
+}
+
+// Overpass query for places in the given taxonomy categories (see placeCategories.json)
+function buildNearbyQuery({ latitude, longitude, radius, categories }) {
+  const osmQuery = categoryTagFilters(categories)
+    .map(tag => buildTagQuery(tag, radius, latitude, longitude))
+    .join('\n');
+
+  // Overpass can't order by distance, so the capped set is in quadtile (qt) order, the cheapest
+  // for the server; findNearbyPlaces reports `truncated` when the cap is reached
+  return `[out:json][timeout:15];(${osmQuery});out body center qt ${MAX_ELEMENTS};`;
+}
+
+// Run a query against each Overpass mirror until one answers
+async function runOverpassQuery(overpassQuery, { timeoutMs = 15000 } = {}) {
+  let lastError = null;
+
+  for (const overpassUrl of overpassUrls) {
+    try {
+      console.log(`Trying Overpass API: ${overpassUrl}`);
+      const response = await axios.post(overpassUrl, `data=${encodeURIComponent(overpassQuery)}`, {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: timeoutMs // per server
+      });
+      console.log(`✓ Success with ${overpassUrl}`);
+      return response.data?.elements || [];
+    } catch (error) {
+      console.log(`✗ Failed with ${overpassUrl}: ${error.message}`);
+      lastError = error;
+    }
+  }
+
+  // If all servers failed, throw the last error
+  throw lastError || new Error('All Overpass API servers failed');
+}
+
+const PRICE_LEVELS = ['free', 'budget', 'moderate', 'expensive'];
+
+// OSM has no price tag in common use: fee=no means free, hotel stars stand in for price
+function priceLevelFromTags(tags) {
+  if (tags.fee === 'no') return 'free';
+  const stars = Number.parseFloat(tags.stars);
+  if (stars >= 4) return 'expensive';
+  if (stars >= 3) return 'moderate';
+  if (stars > 0) return 'budget';
+  return null;
+}
+
+function splitTagList(value) {
+  return value ? value.split(';').map(item => item.trim().toLowerCase()).filter(Boolean) : [];
+}
+
+// Summary of an Overpass element with its distance (km) from the search point.
+// openNow is true/false from opening_hours at `now`, null when the hours are missing or unsupported.
+function elementToPlace(element, latitude, longitude, { categories, now = new Date() } = {}) {
+  // Calculate distance using Haversine formula
+  const lat = element.lat || (element.center ? element.center.lat : latitude);
+  const lon = element.lon || (element.center ? element.center.lon : longitude);
+  const distance = haversineDistanceKm(latitude, longitude, lat, lon);
+  const tags = element.tags;
+  const category = categorizeTags(tags, categories);
+  const stars = Number.parseFloat(tags.stars);
+
+  return {
+    id: element.id.toString(),
+    osmType: element.type,
+    name: tags.name,
+    category: category ? category.id : 'place',
+    categoryGroup: category ? category.group : null,
+    distance: Math.round(distance * 10) / 10,
+    address: element.tags['addr:street']
+      ? `${element.tags['addr:street']}${element.tags['addr:housenumber'] ? ' ' + element.tags['addr:housenumber'] : ''}`
+      : element.tags['addr:city'] || 'Near you',
+    lat: lat,
+    lon: lon,
+    phone: element.tags.phone || element.tags['contact:phone'],
+    website: element.tags.website || element.tags['contact:website'],
+    openingHours: element.tags.opening_hours,
+    openNow: isOpenAt(parseOpeningHours(tags.opening_hours), now),
+    cuisine: splitTagList(tags.cuisine),
+    stars: Number.isFinite(stars) ? stars : null,
+    fee: tags.fee === 'yes' ? true : tags.fee === 'no' ? false : null,
+    priceLevel: priceLevelFromTags(tags)
+  };
+}
+
+// Named places within `radius` meters, nearest first
+function elementsToPlaces(elements, { latitude, longitude, radius, categories }) {
+  const now = new Date();
+  return elements
+    .filter(element => element.tags && element.tags.name)
+    .map(element => elementToPlace(element, latitude, longitude, { categories, now }))
+    .filter(place => place.distance <= (radius / 1000)) // Filter by radius in km
+    .sort((a, b) => a.distance - b.distance);
+}
+
+// Named places near a point, nearest first; resolves to { places, truncated, cache, fallback }.
+// truncated is true when Overpass hit MAX_ELEMENTS, so places further out may be missing.
+// `categories` (or a single legacy `type`) are taxonomy ids; unknown names are ignored.
+// Queries around the centre of the ~1 km grid cell with the radius padded by the cell's
+// half-diagonal, so one cached result covers every point in the cell. When every mirror
+// fails, answers from the offline POI pack (poiPack.js) if one has been built.
+async function findNearbyPlaces({ latitude, longitude, radius, type, categories }) {
+  const { ids } = resolveCategories(categories ?? type);
+  const cellLat = roundCoordinate(latitude);
+  const cellLon = roundCoordinate(longitude);
+  let elements;
+  let cache;
+  try {
+    ({ value: elements, cache } = await withCache(
+      cacheKey('places', cellLat, cellLon, radius, [...ids].sort().join(',')),
+      getCacheTtl('places'),
+      () => runOverpassQuery(buildNearbyQuery({
+        latitude: cellLat,
+        longitude: cellLon,
+        radius: radius + PLACES_CELL_PADDING_M,
+        categories: ids
+      }))
+    ));
+  } catch (error) {
+    if (!getPoiPackInfo().available) throw error;
+    console.log(`⚠️ Overpass unavailable (${error.message}), answering from the offline POI pack`);
+    const packElements = findPackElements({ latitude, longitude, radius, categories: ids });
+    const places = elementsToPlaces(packElements, { latitude, longitude, radius, categories: ids });
+    return { places: places.slice(0, MAX_ELEMENTS), truncated: places.length > MAX_ELEMENTS, cache: null, fallback: true };
+  }
+
+  const places = elementsToPlaces(elements, { latitude, longitude, radius, categories: ids });
+  return { places, truncated: elements.length >= MAX_ELEMENTS, cache, fallback: false };
+}
+
+const OSM_TYPES = ['node', 'way', 'relation'];
+
+// A single OSM element with all its tags (ways and relations get a centre point); resolves
+// to { element, cache }, element null when OSM has no such id
+async function fetchElement(osmType, id) {
+  const { value: elements, cache } = await withCache(
+    cacheKey('place', osmType, id),
+    getCacheTtl('places'),
+    () => runOverpassQuery(`[out:json][timeout:15];${osmType}(${id});out body center;`)
+  );
+  return { element: elements[0] || null, cache };
+}
+
+module.exports = {
+  overpassUrls,
+  OSM_TYPES,
+  PRICE_LEVELS,
+  buildTagQuery,
+  buildNearbyQuery,
+  runOverpassQuery,
+  elementToPlace,
+  elementsToPlaces,
+  findNearbyPlaces,
+  fetchElement
+};
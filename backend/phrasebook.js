@@ -0,0 +1,547 @@
+const crypto = require('crypto');
+const express = require('express');
+const { getDb, addColumnIfMissing } = require('./db');
+const { requireAdmin } = require('./auth');
+const { toCsv, parseCsv } = require('./csv');
+const bundledPhrasebook = require('./phrasebook.json');
+
+// Offline phrasebook used by the translation engine. Entries live in SQLite so reviewers can
+// correct translations through the admin API; phrasebook.json seeds a fresh database and
+// entries added to it in later releases are merged in. Every change bumps the phrasebook version.
+
+const PHRASE_CATEGORIES = ['greetings', 'directions', 'food', 'emergency', 'general', 'vocabulary'];
+// Travel situations for the quick-phrases API; a phrase can belong to several
+const PHRASE_SCENARIOS = {
+  restaurant: 'Ordering at restaurants and beach shacks',
+  taxi: 'Taxis, rickshaws and bike taxis',
+  hotel: 'Hotel check-in and room requests',
+  market: 'Shopping and bargaining at markets',
+  medical: 'Doctors, pharmacies and hospitals',
+  police: 'Reporting theft and asking the police for help'
+};
+// Translation column for each language name used by the translation API
+const PHRASE_LANGUAGES = { Hindi: 'hindi', Marathi: 'marathi', Konkani: 'konkani' };
+const TRANSLATION_FIELDS = Object.values(PHRASE_LANGUAGES);
+const CSV_COLUMNS = ['id', 'category', 'english', ...TRANSLATION_FIELDS, 'scenarios'];
+const MAX_TEXT_LENGTH = 500;
+
+let schemaReady = false;
+
+function ensureSchema() {
+  if (schemaReady) return;
+  const db = getDb();
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS phrasebook_entries (
+      id TEXT PRIMARY KEY,
+      category TEXT NOT NULL,
+      english TEXT NOT NULL,
+      english_key TEXT NOT NULL UNIQUE,
+      hindi TEXT,
+      marathi TEXT,
+      konkani TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      updated_by TEXT
+    );
+    CREATE TABLE IF NOT EXISTS phrasebook_meta (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_phrasebook_category ON phrasebook_entries(category);
+  `);
+  addColumnIfMissing('phrasebook_entries', 'scenarios', 'TEXT');
+
+  if (!db.prepare("SELECT value FROM phrasebook_meta WHERE key = 'version'").get()) {
+    db.transaction(() => {
+      bundledPhrasebook.entries.forEach(entry => insertPhrase(cleanPhrase(entry), null));
+      setMeta('version', bundledPhrasebook.version);
+      setMeta('seed_version', bundledPhrasebook.version);
+    })();
+    console.log(`📖 Phrasebook seeded with ${bundledPhrasebook.entries.length} entries (version ${bundledPhrasebook.version})`);
+  } else {
+    mergeBundledPhrases();
+  }
+  schemaReady = true;
+}
+
+// Add entries that a newer phrasebook.json ships with. Existing entries are left alone,
+// so reviewer corrections are never overwritten.
+function mergeBundledPhrases() {
+  const db = getDb();
+  const seedVersion = Number(getMeta('seed_version') || 1);
+  if (seedVersion >= bundledPhrasebook.version) return;
+
+  const missing = bundledPhrasebook.entries.filter(entry =>
+    !db.prepare('SELECT 1 FROM phrasebook_entries WHERE english_key = ?').get(normalizeEnglish(entry.english))
+  );
+  db.transaction(() => {
+    missing.forEach(entry => insertPhrase(cleanPhrase(entry), null));
+    if (missing.length) setMeta('version', Number(getMeta('version')) + 1);
+    setMeta('seed_version', bundledPhrasebook.version);
+  })();
+  console.log(`📖 Phrasebook updated to bundled version ${bundledPhrasebook.version}: ${missing.length} entries added`);
+}
+
+// Duplicate detection ignores case, punctuation and extra whitespace: "How are you?" = "how are you"
+function normalizeEnglish(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s']/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function rowToPhrase(row) {
+  return {
+    id: row.id,
+    category: row.category,
+    english: row.english,
+    hindi: row.hindi,
+    marathi: row.marathi,
+    konkani: row.konkani,
+    scenarios: row.scenarios ? row.scenarios.split(',') : [],
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    updatedBy: row.updated_by
+  };
+}
+
+// Keep only known fields; blank translations are stored as null
+function cleanPhrase(input) {
+  const phrase = {};
+  if (input.category !== undefined) phrase.category = String(input.category).trim().toLowerCase();
+  if (input.english !== undefined) phrase.english = String(input.english).trim();
+  for (const field of TRANSLATION_FIELDS) {
+    if (input[field] !== undefined) phrase[field] = input[field] == null ? null : String(input[field]).trim() || null;
+  }
+  if (input.scenarios !== undefined) {
+    // Arrays from JSON, "taxi;market" or "taxi,market" from CSV
+    const scenarios = Array.isArray(input.scenarios) ? input.scenarios : String(input.scenarios ?? '').split(/[,;]/);
+    phrase.scenarios = [...new Set(scenarios.map(scenario => String(scenario).trim().toLowerCase()).filter(Boolean))];
+  }
+  return phrase;
+}
+
+function validatePhrase(phrase) {
+  const errors = [];
+
+  if (!PHRASE_CATEGORIES.includes(phrase.category)) {
+    errors.push(`category must be one of: ${PHRASE_CATEGORIES.join(', ')}`);
+  }
+  if (!phrase.english || !normalizeEnglish(phrase.english)) {
+    errors.push('english is required');
+  }
+  const unknownScenarios = (phrase.scenarios || []).filter(scenario => !PHRASE_SCENARIOS[scenario]);
+  if (unknownScenarios.length) {
+    errors.push(`unknown scenarios: ${unknownScenarios.join(', ')} (use ${Object.keys(PHRASE_SCENARIOS).join(', ')})`);
+  }
+  if (!TRANSLATION_FIELDS.some(field => phrase[field])) {
+    errors.push(`at least one translation is required (${TRANSLATION_FIELDS.join(', ')})`);
+  }
+  for (const field of ['english', ...TRANSLATION_FIELDS]) {
+    if (phrase[field] && phrase[field].length > MAX_TEXT_LENGTH) {
+      errors.push(`${field} must be at most ${MAX_TEXT_LENGTH} characters`);
+    }
+  }
+
+  return errors;
+}
+
+function getMeta(key) {
+  return getDb().prepare('SELECT value FROM phrasebook_meta WHERE key = ?').get(key)?.value;
+}
+
+function setMeta(key, value) {
+  getDb().prepare(`
+    INSERT INTO phrasebook_meta (key, value) VALUES (?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value
+  `).run(key, String(value));
+}
+
+function getPhrasebookVersion() {
+  ensureSchema();
+  return Number(getMeta('version'));
+}
+
+function bumpVersion() {
+  const version = getPhrasebookVersion() + 1;
+  setMeta('version', version);
+  return version;
+}
+
+function getPhrase(id) {
+  ensureSchema();
+  const row = getDb().prepare('SELECT * FROM phrasebook_entries WHERE id = ?').get(id);
+  return row ? rowToPhrase(row) : null;
+}
+
+function findPhraseByEnglish(english) {
+  ensureSchema();
+  const row = getDb().prepare('SELECT * FROM phrasebook_entries WHERE english_key = ?').get(normalizeEnglish(english));
+  return row ? rowToPhrase(row) : null;
+}
+
+// Vocabulary sorts last so whole phrases take precedence when the engine builds its tables
+function listPhrases({ category, scenario, q } = {}) {
+  ensureSchema();
+  const conditions = [];
+  const params = {};
+
+  if (category) {
+    conditions.push('category = @category');
+    params.category = String(category).toLowerCase();
+  }
+  if (scenario) {
+    conditions.push("(',' || scenarios || ',') LIKE @scenario");
+    params.scenario = `%,${String(scenario).toLowerCase()},%`;
+  }
+  if (q) {
+    conditions.push(`(${['english', ...TRANSLATION_FIELDS].map(field => `${field} LIKE @q`).join(' OR ')})`);
+    params.q = `%${q}%`;
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  return getDb()
+    .prepare(`SELECT * FROM phrasebook_entries ${where} ORDER BY category = 'vocabulary', rowid`)
+    .all(params)
+    .map(rowToPhrase);
+}
+
+function serializeScenarios(scenarios) {
+  return scenarios?.length ? scenarios.join(',') : null;
+}
+
+function insertPhrase(phrase, user) {
+  const now = new Date().toISOString();
+  const entry = {
+    id: crypto.randomUUID(),
+    category: phrase.category,
+    english: phrase.english,
+    hindi: phrase.hindi || null,
+    marathi: phrase.marathi || null,
+    konkani: phrase.konkani || null,
+    scenarios: serializeScenarios(phrase.scenarios)
+  };
+  getDb().prepare(`
+    INSERT INTO phrasebook_entries (id, category, english, english_key, hindi, marathi, konkani, scenarios, created_at, updated_at, updated_by)
+    VALUES (@id, @category, @english, @englishKey, @hindi, @marathi, @konkani, @scenarios, @now, @now, @updatedBy)
+  `).run({ ...entry, englishKey: normalizeEnglish(entry.english), now, updatedBy: user?.email || null });
+  return entry.id;
+}
+
+function updatePhraseRow(existing, changes, user) {
+  const phrase = { ...existing, ...changes };
+  getDb().prepare(`
+    UPDATE phrasebook_entries
+    SET category = @category, english = @english, english_key = @englishKey,
+        hindi = @hindi, marathi = @marathi, konkani = @konkani, scenarios = @scenarios,
+        updated_at = @now, updated_by = @updatedBy
+    WHERE id = @id
+  `).run({
+    ...phrase,
+    scenarios: serializeScenarios(phrase.scenarios),
+    englishKey: normalizeEnglish(phrase.english),
+    now: new Date().toISOString(),
+    updatedBy: user?.email || null
+  });
+}
+
+function isUnchanged(existing, phrase) {
+  return ['category', 'english', ...TRANSLATION_FIELDS].every(field =>
+    phrase[field] === undefined || (phrase[field] || null) === (existing[field] || null)
+  ) && (phrase.scenarios === undefined || serializeScenarios(phrase.scenarios) === serializeScenarios(existing.scenarios));
+}
+
+function createPhrase(input, user) {
+  const db = getDb();
+  let id;
+  db.transaction(() => {
+    id = insertPhrase(input, user);
+    bumpVersion();
+  })();
+  return getPhrase(id);
+}
+
+function updatePhrase(existing, changes, user) {
+  const db = getDb();
+  db.transaction(() => {
+    updatePhraseRow(existing, changes, user);
+    bumpVersion();
+  })();
+  return getPhrase(existing.id);
+}
+
+function deletePhrase(id) {
+  const db = getDb();
+  db.transaction(() => {
+    db.prepare('DELETE FROM phrasebook_entries WHERE id = ?').run(id);
+    bumpVersion();
+  })();
+}
+
+// Bulk import. Rows are matched to existing entries by id, then by English text.
+// Existing entries are skipped unless onDuplicate is 'update'; rows repeating an earlier
+// row are always skipped. Nothing is written when any row is invalid or on a dry run.
+function importPhrases(rows, { onDuplicate = 'skip', dryRun = false, user } = {}) {
+  ensureSchema();
+  const errors = [];
+  const duplicates = [];
+  const operations = [];
+  const seen = new Map(); // english key -> row number
+  let unchanged = 0;
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 1;
+    const phrase = cleanPhrase(row || {});
+    const byId = row?.id ? getPhrase(String(row.id)) : null;
+    const rowErrors = validatePhrase({ ...byId, ...phrase });
+    if (rowErrors.length) {
+      errors.push({ row: rowNumber, english: phrase.english, errors: rowErrors });
+      return;
+    }
+
+    const key = normalizeEnglish(phrase.english || byId.english);
+    if (seen.has(key)) {
+      duplicates.push({ row: rowNumber, english: phrase.english, reason: `repeats row ${seen.get(key)}` });
+      return;
+    }
+    seen.set(key, rowNumber);
+
+    const byEnglish = findPhraseByEnglish(phrase.english || byId.english);
+    if (byId && byEnglish && byEnglish.id !== byId.id) {
+      errors.push({ row: rowNumber, english: phrase.english, errors: [`english is already used by phrase ${byEnglish.id}`] });
+      return;
+    }
+
+    const existing = byId || byEnglish;
+    if (!existing) {
+      operations.push({ type: 'create', phrase });
+    } else if (onDuplicate !== 'update') {
+      duplicates.push({ row: rowNumber, english: phrase.english, existingId: existing.id, reason: 'already in phrasebook' });
+    } else if (isUnchanged(existing, phrase)) {
+      unchanged++;
+    } else {
+      operations.push({ type: 'update', existing, phrase });
+    }
+  });
+
+  const summary = {
+    created: operations.filter(operation => operation.type === 'create').length,
+    updated: operations.filter(operation => operation.type === 'update').length,
+    unchanged,
+    skipped: duplicates.length,
+    duplicates,
+    errors
+  };
+  if (errors.length || dryRun || !operations.length) {
+    return { ...summary, version: getPhrasebookVersion() };
+  }
+
+  const db = getDb();
+  let version;
+  db.transaction(() => {
+    for (const operation of operations) {
+      if (operation.type === 'create') {
+        insertPhrase(operation.phrase, user);
+      } else {
+        updatePhraseRow(operation.existing, operation.phrase, user);
+      }
+    }
+    version = bumpVersion();
+  })();
+  return { ...summary, version };
+}
+
+// Entries for the offline translator, reloaded whenever the version changes.
+// Falls back to the bundled phrasebook if the database can't be read.
+let phraseTable = null;
+
+function getPhraseTable() {
+  try {
+    const version = getPhrasebookVersion();
+    if (phraseTable?.version !== version) {
+      phraseTable = { version, entries: listPhrases() };
+    }
+    return phraseTable;
+  } catch (error) {
+    console.log('Phrasebook database unavailable, using bundled phrases:', error.message);
+    return bundledPhrasebook;
+  }
+}
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  try {
+    const { category, scenario, q } = req.query;
+    if (category && !PHRASE_CATEGORIES.includes(String(category).toLowerCase())) {
+      return res.status(400).json({ error: `category must be one of: ${PHRASE_CATEGORIES.join(', ')}` });
+    }
+    if (scenario && !PHRASE_SCENARIOS[String(scenario).toLowerCase()]) {
+      return res.status(400).json({ error: `scenario must be one of: ${Object.keys(PHRASE_SCENARIOS).join(', ')}` });
+    }
+    const phrases = listPhrases({ category, scenario, q });
+    res.json({
+      success: true,
+      version: getPhrasebookVersion(),
+      categories: PHRASE_CATEGORIES,
+      scenarios: Object.keys(PHRASE_SCENARIOS),
+      phrases,
+      total: phrases.length
+    });
+  } catch (error) {
+    console.error('Phrasebook API error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch phrasebook', message: error.message });
+  }
+});
+
+// Export for reviewers: ?format=json (default) or csv, optionally one category
+router.get('/export', requireAdmin, (req, res) => {
+  try {
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json or csv' });
+    }
+
+    const version = getPhrasebookVersion();
+    const phrases = listPhrases({ category: req.query.category });
+    res.attachment(`phrasebook-v${version}.${format}`);
+    if (format === 'csv') {
+      const rows = phrases.map(phrase => ({ ...phrase, scenarios: phrase.scenarios.join(';') }));
+      return res.type('text/csv').send(toCsv(rows, CSV_COLUMNS));
+    }
+    res.json({
+      version,
+      exportedAt: new Date().toISOString(),
+      entries: phrases.map(phrase => Object.fromEntries(CSV_COLUMNS.map(column => [column, phrase[column]])))
+    });
+  } catch (error) {
+    console.error('Phrasebook API error:', error.message);
+    res.status(500).json({ error: 'Failed to export phrasebook', message: error.message });
+  }
+});
+
+// Import a JSON export ({ entries: [...] } or a bare array) or a CSV file (Content-Type: text/csv).
+// Options (query or JSON body): onDuplicate=skip|update, dryRun=true
+router.post('/import', requireAdmin, express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), (req, res) => {
+  try {
+    let rows;
+    let options = req.query;
+    if (typeof req.body === 'string') {
+      try {
+        rows = parseCsv(req.body);
+      } catch (parseError) {
+        return res.status(400).json({ error: 'Invalid CSV', message: parseError.message });
+      }
+    } else {
+      rows = Array.isArray(req.body) ? req.body : req.body?.entries;
+      options = { ...req.query, ...(!Array.isArray(req.body) && req.body) };
+    }
+
+    if (!Array.isArray(rows) || !rows.length) {
+      return res.status(400).json({ error: 'No entries to import', message: 'Send { entries: [...] } as JSON or a CSV file with a header row' });
+    }
+    const onDuplicate = options.onDuplicate || 'skip';
+    if (!['skip', 'update'].includes(onDuplicate)) {
+      return res.status(400).json({ error: 'onDuplicate must be skip or update' });
+    }
+
+    const dryRun = options.dryRun === true || options.dryRun === 'true';
+    const result = importPhrases(rows, { onDuplicate, dryRun, user: req.user });
+    if (result.errors.length) {
+      return res.status(400).json({ error: 'Import has invalid rows; nothing was imported', ...result });
+    }
+
+    console.log(`📖 Phrasebook import by ${req.user.email}: ${result.created} created, ${result.updated} updated, ${result.skipped} skipped${dryRun ? ' (dry run)' : ''}`);
+    res.json({ success: true, dryRun, ...result });
+  } catch (error) {
+    console.error('Phrasebook API error:', error.message);
+    res.status(500).json({ error: 'Failed to import phrasebook', message: error.message });
+  }
+});
+
+router.get('/:id', (req, res) => {
+  try {
+    const phrase = getPhrase(req.params.id);
+    if (!phrase) {
+      return res.status(404).json({ error: 'Phrase not found' });
+    }
+    res.json({ success: true, phrase });
+  } catch (error) {
+    console.error('Phrasebook API error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch phrase', message: error.message });
+  }
+});
+
+router.post('/', requireAdmin, (req, res) => {
+  try {
+    const input = cleanPhrase(req.body || {});
+    const errors = validatePhrase(input);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid phrase', details: errors });
+    }
+
+    const duplicate = findPhraseByEnglish(input.english);
+    if (duplicate) {
+      return res.status(409).json({ error: 'Phrase already exists', existing: duplicate });
+    }
+
+    const phrase = createPhrase(input, req.user);
+    res.status(201).json({ success: true, phrase, version: getPhrasebookVersion() });
+  } catch (error) {
+    console.error('Phrasebook API error:', error.message);
+    res.status(500).json({ error: 'Failed to create phrase', message: error.message });
+  }
+});
+
+router.put('/:id', requireAdmin, (req, res) => {
+  try {
+    const existing = getPhrase(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Phrase not found' });
+    }
+
+    const changes = cleanPhrase(req.body || {});
+    const errors = validatePhrase({ ...existing, ...changes });
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid phrase', details: errors });
+    }
+
+    if (changes.english) {
+      const duplicate = findPhraseByEnglish(changes.english);
+      if (duplicate && duplicate.id !== existing.id) {
+        return res.status(409).json({ error: 'Phrase already exists', existing: duplicate });
+      }
+    }
+
+    const phrase = isUnchanged(existing, changes) ? existing : updatePhrase(existing, changes, req.user);
+    res.json({ success: true, phrase, version: getPhrasebookVersion() });
+  } catch (error) {
+    console.error('Phrasebook API error:', error.message);
+    res.status(500).json({ error: 'Failed to update phrase', message: error.message });
+  }
+});
+
+router.delete('/:id', requireAdmin, (req, res) => {
+  try {
+    const existing = getPhrase(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Phrase not found' });
+    }
+    deletePhrase(existing.id);
+    res.json({ success: true, version: getPhrasebookVersion() });
+  } catch (error) {
+    console.error('Phrasebook API error:', error.message);
+    res.status(500).json({ error: 'Failed to delete phrase', message: error.message });
+  }
+});
+
+module.exports = {
+  router,
+  PHRASE_CATEGORIES,
+  PHRASE_LANGUAGES,
+  PHRASE_SCENARIOS,
+  getPhraseTable,
+  getPhrasebookVersion,
+  listPhrases
+};
@@ -0,0 +1,80 @@
+const taxonomy = require('./placeCategories.json');
+
+// Place category taxonomy shared with the frontend (served by GET /api/places/categories).
+// Category ids are stable; each maps to the OSM tags that select it in Overpass.
+// Older type names (lodging, tourist_attraction, ...) are accepted as aliases.
+
+const PLACE_CATEGORIES = taxonomy.categories;
+const PLACE_CATEGORY_GROUPS = taxonomy.groups;
+const CATEGORY_ALIASES = taxonomy.aliases;
+const DEFAULT_CATEGORIES = PLACE_CATEGORIES.filter(category => category.default).map(category => category.id);
+
+const categoriesById = new Map(PLACE_CATEGORIES.map(category => [category.id, category]));
+
+// "amenity=restaurant" → { key: 'amenity', value: 'restaurant' }; a bare key matches any value
+function parseTag(tag) {
+  const [key, value] = tag.split('=');
+  return { key, value: value ?? null };
+}
+
+function getCategory(id) {
+  return categoriesById.get(id) || null;
+}
+
+// Normalize a category list from the API ("restaurant,cafe", ["hotel"], "all").
+// Resolves to { ids, unknown }; group ids expand to their categories.
+function resolveCategories(input) {
+  const names = (Array.isArray(input) ? input : String(input ?? '').split(','))
+    .map(name => String(name).trim().toLowerCase())
+    .filter(Boolean);
+  if (!names.length || names.includes('all')) {
+    return { ids: DEFAULT_CATEGORIES, unknown: [] };
+  }
+
+  const ids = new Set();
+  const unknown = [];
+  for (const name of names) {
+    const id = CATEGORY_ALIASES[name] || name;
+    if (categoriesById.has(id)) {
+      ids.add(id);
+    } else if (PLACE_CATEGORY_GROUPS.some(group => group.id === id)) {
+      PLACE_CATEGORIES.filter(category => category.group === id).forEach(category => ids.add(category.id));
+    } else {
+      unknown.push(name);
+    }
+  }
+  return { ids: [...ids], unknown };
+}
+
+// Distinct OSM tags selecting the categories, as used in Overpass filters: ['amenity=restaurant', 'shop']
+function categoryTagFilters(ids) {
+  return [...new Set(ids.flatMap(id => getCategory(id)?.tags || []))];
+}
+
+function matchesTags(category, tags) {
+  return category.tags.some(tag => {
+    const { key, value } = parseTag(tag);
+    return tags[key] !== undefined && (value === null || tags[key] === value);
+  });
+}
+
+// First category whose tags match an element's OSM tags (taxonomy order), or null.
+// The searched categories win, so a hotel with a restaurant is a hotel in a hotel search.
+function categorizeTags(tags = {}, preferredIds = []) {
+  const preferred = preferredIds.map(getCategory).filter(Boolean);
+  return preferred.find(category => matchesTags(category, tags)) ||
+    PLACE_CATEGORIES.find(category => matchesTags(category, tags)) ||
+    null;
+}
+
+module.exports = {
+  PLACE_CATEGORIES,
+  PLACE_CATEGORY_GROUPS,
+  CATEGORY_ALIASES,
+  DEFAULT_CATEGORIES,
+  TAXONOMY_VERSION: taxonomy.version,
+  getCategory,
+  resolveCategories,
+  categoryTagFilters,
+  categorizeTags
+};
@@ -0,0 +1,168 @@
+const { fetchElement, elementToPlace } = require('./overpass');
+const { getCategory } = require('./placeCategories');
+const { parseOpeningHours, isOpenAt } = require('./openingHours');
+
+// Full profile of one OpenStreetMap element for the place details page: address, opening
+// hours schedule, accessibility, payment, images and links to maps and navigation apps.
+
+const COMMONS_FILE_URL = 'https://commons.wikimedia.org/wiki/Special:FilePath/';
+const COMMONS_PAGE_URL = 'https://commons.wikimedia.org/wiki/';
+const IMAGE_WIDTH = 1024;
+const WHEELCHAIR_ACCESS = { yes: 'yes', designated: 'yes', limited: 'limited', no: 'no' };
+
+function splitValues(value) {
+  return value ? value.split(';').map(item => item.trim()).filter(Boolean) : [];
+}
+
+function buildAddress(tags) {
+  const street = [tags['addr:housenumber'], tags['addr:street']].filter(Boolean).join(' ');
+  const locality = tags['addr:place'] || tags['addr:suburb'] || tags['addr:village'];
+  const city = tags['addr:city'] || tags['addr:district'];
+  const region = [tags['addr:state'], tags['addr:postcode']].filter(Boolean).join(' ');
+  const formatted = tags['addr:full'] || [street, locality, city, region].filter(Boolean).join(', ');
+
+  return {
+    houseNumber: tags['addr:housenumber'] || null,
+    street: tags['addr:street'] || null,
+    locality: locality || null,
+    city: city || null,
+    postcode: tags['addr:postcode'] || null,
+    state: tags['addr:state'] || null,
+    country: tags['addr:country'] || null,
+    formatted: formatted || null
+  };
+}
+
+// { raw, supported, alwaysOpen, schedule, openNow }; schedule and openNow are null when the value can't be parsed
+function buildOpeningHours(raw, now) {
+  if (!raw) return null;
+  const parsed = parseOpeningHours(raw);
+  return {
+    raw,
+    supported: Boolean(parsed),
+    alwaysOpen: parsed ? parsed.alwaysOpen : false,
+    schedule: parsed ? parsed.schedule : null,
+    openNow: isOpenAt(parsed, now)
+  };
+}
+
+// payment:cash=yes, payment:upi=yes, payment:credit_cards=no → { accepted: ['cash', 'upi'], notAccepted: ['credit_cards'] }
+function buildPayment(tags) {
+  const accepted = [];
+  const notAccepted = [];
+  for (const [key, value] of Object.entries(tags)) {
+    if (!key.startsWith('payment:')) continue;
+    const method = key.slice('payment:'.length);
+    if (value === 'yes') accepted.push(method);
+    else if (value === 'no') notAccepted.push(method);
+  }
+  return accepted.length || notAccepted.length ? { accepted, notAccepted } : null;
+}
+
+// "File:Basilica of Bom Jesus.jpg" → image on Wikimedia Commons
+function commonsImage(fileName, source) {
+  const title = fileName.replace(/^(File|Image):/i, '').replace(/ /g, '_');
+  return {
+    url: `${COMMONS_FILE_URL}${encodeURIComponent(title)}?width=${IMAGE_WIDTH}`,
+    pageUrl: `${COMMONS_PAGE_URL}File:${encodeURIComponent(title)}`,
+    source
+  };
+}
+
+// Images from the `image` tag (URLs or Commons files) and `wikimedia_commons` (files only;
+// Commons categories are linked, not shown)
+function buildImages(tags) {
+  const images = [];
+  for (const value of splitValues(tags.image)) {
+    if (/^https?:\/\//i.test(value)) images.push({ url: value, pageUrl: null, source: 'image' });
+    else if (/^(File|Image):/i.test(value)) images.push(commonsImage(value, 'image'));
+  }
+  for (const value of splitValues(tags.wikimedia_commons)) {
+    if (/^(File|Image):/i.test(value)) images.push(commonsImage(value, 'wikimedia_commons'));
+  }
+  return images.filter((image, index) => images.findIndex(other => other.url === image.url) === index);
+}
+
+function buildLinks({ osmType, id, name, lat, lon }, tags) {
+  const point = `${lat},${lon}`;
+  const label = encodeURIComponent(name || point);
+  const [wikipediaLanguage, wikipediaTitle] = tags.wikipedia && tags.wikipedia.includes(':')
+    ? tags.wikipedia.split(/:(.+)/)
+    : [null, null];
+  const commonsCategory = splitValues(tags.wikimedia_commons).find(value => /^Category:/i.test(value));
+
+  return {
+    openStreetMap: `https://www.openstreetmap.org/${osmType}/${id}`,
+    googleMaps: `https://www.google.com/maps/search/?api=1&query=${point}`,
+    navigation: {
+      google: `https://www.google.com/maps/dir/?api=1&destination=${point}`,
+      apple: `https://maps.apple.com/?daddr=${point}&q=${label}`,
+      openStreetMap: `https://www.openstreetmap.org/directions?to=${point}`,
+      geo: `geo:${point}?q=${point}(${label})`
+    },
+    wikipedia: wikipediaTitle
+      ? `https://${wikipediaLanguage}.wikipedia.org/wiki/${encodeURIComponent(wikipediaTitle.replace(/ /g, '_'))}`
+      : null,
+    wikidata: tags.wikidata ? `https://www.wikidata.org/wiki/${tags.wikidata}` : null,
+    commons: commonsCategory
+      ? `${COMMONS_PAGE_URL}Category:${encodeURIComponent(commonsCategory.replace(/^Category:/i, '').replace(/ /g, '_'))}`
+      : null
+  };
+}
+
+// name:en, name:hi, name:kok, ... → { en, hi, kok }
+function buildNames(tags) {
+  return Object.fromEntries(Object.entries(tags)
+    .filter(([key]) => /^name:[a-z]{2,3}$/.test(key))
+    .map(([key, value]) => [key.slice('name:'.length), value]));
+}
+
+// Normalized profile of an Overpass element; `origin` ({ latitude, longitude }) adds the distance in km
+function elementToProfile(element, { origin, now = new Date() } = {}) {
+  const tags = element.tags || {};
+  const lat = element.lat ?? element.center?.lat;
+  const lon = element.lon ?? element.center?.lon;
+  const summary = elementToPlace(element, origin ? origin.latitude : lat, origin ? origin.longitude : lon, { now });
+  const category = getCategory(summary.category);
+
+  return {
+    id: summary.id,
+    osmType: element.type,
+    name: tags.name || null,
+    names: buildNames(tags),
+    category: summary.category,
+    categoryLabel: category ? category.label : null,
+    categoryGroup: summary.categoryGroup,
+    description: tags.description || null,
+    lat,
+    lon,
+    ...(origin && { distance: summary.distance }),
+    address: buildAddress(tags),
+    contact: {
+      phone: tags.phone || tags['contact:phone'] || null,
+      mobile: tags.mobile || tags['contact:mobile'] || null,
+      email: tags.email || tags['contact:email'] || null,
+      website: tags.website || tags['contact:website'] || null
+    },
+    openingHours: buildOpeningHours(tags.opening_hours, now),
+    wheelchair: WHEELCHAIR_ACCESS[tags.wheelchair] || null,
+    wheelchairDescription: tags['wheelchair:description'] || null,
+    payment: buildPayment(tags),
+    cuisine: summary.cuisine,
+    diet: Object.keys(tags).filter(key => key.startsWith('diet:') && tags[key] !== 'no').map(key => key.slice('diet:'.length)),
+    stars: summary.stars,
+    fee: summary.fee,
+    priceLevel: summary.priceLevel,
+    images: buildImages(tags),
+    links: buildLinks({ osmType: element.type, id: summary.id, name: tags.name, lat, lon }, tags),
+    tags
+  };
+}
+
+// Resolves to { place, cache }; place is null when OSM has no such element
+async function getPlaceDetails(osmType, id, { origin } = {}) {
+  const { element, cache } = await fetchElement(osmType, id);
+  return { place: element ? elementToProfile(element, { origin }) : null, cache };
+}
+
+module.exports = { getPlaceDetails, elementToProfile };
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const express = require('express');
+const { parseCoordinates } = require('./geo');
+const { findNearbyPlaces, PRICE_LEVELS, OSM_TYPES } = require('./overpass');
+const { getPoiPackInfo } = require('./poiPack');
+const { getPlaceDetails } = require('./placeDetails');
+const { TRAVEL_MODES, getTravelTimes } = require('./routing');
+const {
+  PLACE_CATEGORIES,
+  PLACE_CATEGORY_GROUPS,
+  CATEGORY_ALIASES,
+  TAXONOMY_VERSION,
+  resolveCategories
+} = require('./placeCategories');
+
+// Nearby places search over OpenStreetMap: several categories at once, cuisine, price and
+// star filters, "open now" from opening_hours, and cursor pagination through the matches.
+// Results can carry travel times by road (routing.js). Place details come from placeDetails.js.
+
+const DEFAULT_RADIUS_M = 5000;
+const MAX_RADIUS_M = 20000;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// "5000", 5000, "5km" or "800m" → meters; NaN when unreadable
+function parseRadius(value) {
+  if (typeof value === 'number') return value;
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(m|km)?$/);
+  if (!match) return NaN;
+  return Math.round(Number(match[1]) * (match[2] === 'km' ? 1000 : 1));
+}
+
+// "north_indian, seafood" or ['seafood'] → ['north_indian', 'seafood']
+function parseList(value) {
+  return [...new Set((Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim().toLowerCase())
+    .filter(Boolean))];
+}
+
+function parseBoolean(value) {
+  if (value === true || value === 'true' || value === '1') return true;
+  if (value === false || value === 'false' || value === '0') return false;
+  return null;
+}
+
+// Normalized search from the request body; resolves to { search, errors }
+function parseSearch(body = {}) {
+  const errors = [];
+  const coordinates = parseCoordinates(body.latitude, body.longitude);
+  if (!coordinates) errors.push('latitude and longitude must be valid coordinates');
+
+  const radius = body.radius == null || body.radius === '' ? DEFAULT_RADIUS_M : parseRadius(body.radius);
+  if (!(radius > 0 && radius <= MAX_RADIUS_M)) {
+    errors.push(`radius must be between 1 and ${MAX_RADIUS_M} meters`);
+  }
+
+  const { ids: categories, unknown } = resolveCategories(body.categories ?? body.type);
+  if (unknown.length) errors.push(`Unknown categories: ${unknown.join(', ')}`);
+
+  const cuisine = body.cuisine == null ? [] : parseList(body.cuisine);
+  const priceLevels = body.priceLevel == null ? [] : parseList(body.priceLevel);
+  const badPriceLevels = priceLevels.filter(level => !PRICE_LEVELS.includes(level));
+  if (badPriceLevels.length) errors.push(`priceLevel must be one of: ${PRICE_LEVELS.join(', ')}`);
+
+  const minStars = body.minStars == null || body.minStars === '' ? null : Number(body.minStars);
+  if (minStars !== null && !(minStars >= 1 && minStars <= 7)) errors.push('minStars must be a number from 1 to 7');
+
+  const openNow = body.openNow == null ? false : parseBoolean(body.openNow);
+  if (openNow === null) errors.push('openNow must be true or false');
+
+  const travelMode = body.travelMode == null || body.travelMode === '' ? null : String(body.travelMode).trim().toLowerCase();
+  if (travelMode && !Object.hasOwn(TRAVEL_MODES, travelMode)) {
+    errors.push(`travelMode must be one of: ${Object.keys(TRAVEL_MODES).join(', ')}`);
+  }
+
+  const limit = body.limit == null || body.limit === '' ? DEFAULT_PAGE_SIZE : Number(body.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    errors.push(`limit must be an integer from 1 to ${MAX_PAGE_SIZE}`);
+  }
+
+  return {
+    errors,
+    search: {
+      ...coordinates,
+      radius,
+      categories: [...categories].sort(),
+      cuisine,
+      priceLevels,
+      minStars,
+      openNow,
+      travelMode,
+      limit
+    }
+  };
+}
+
+// Cursors carry the offset and a fingerprint of the search, so a cursor can't be reused with other filters
+function searchFingerprint({ limit, travelMode, ...search }) {
+  return crypto.createHash('sha1').update(JSON.stringify(search)).digest('hex').slice(0, 16);
+}
+
+function encodeCursor(offset, fingerprint) {
+  return Buffer.from(JSON.stringify({ offset, fingerprint })).toString('base64url');
+}
+
+// Offset for the cursor, or null when it is malformed or from a different search
+function decodeCursor(cursor, fingerprint) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (decoded.fingerprint !== fingerprint || !Number.isInteger(decoded.offset) || decoded.offset < 0) return null;
+    return decoded.offset;
+  } catch {
+    return null;
+  }
+}
+
+// Places without the tag a filter needs (no cuisine, no stars, unknown hours) don't match it
+function matchesFilters(place, { cuisine, priceLevels, minStars, openNow }) {
+  if (cuisine.length && !place.cuisine.some(item => cuisine.includes(item))) return false;
+  if (priceLevels.length && !priceLevels.includes(place.priceLevel)) return false;
+  if (minStars !== null && !(place.stars >= minStars)) return false;
+  if (openNow && place.openNow !== true) return false;
+  return true;
+}
+
+const router = express.Router();
+
+// GET /api/places/categories - the category taxonomy shared with the frontend
+router.get('/categories', (req, res) => {
+  res.json({
+    success: true,
+    version: TAXONOMY_VERSION,
+    groups: PLACE_CATEGORY_GROUPS,
+    categories: PLACE_CATEGORIES,
+    aliases: CATEGORY_ALIASES,
+    priceLevels: PRICE_LEVELS
+  });
+});
+
+// GET /api/places/offline-pack - whether the offline POI pack is built, and when
+router.get('/offline-pack', (req, res) => {
+  try {
+    res.json({ success: true, ...getPoiPackInfo() });
+  } catch (error) {
+    console.error('Offline pack info error:', error.message);
+    res.status(500).json({ error: 'Failed to read the offline POI pack', message: error.message });
+  }
+});
+
+// POST /api/places/nearby - Nearby places (using Overpass API - OpenStreetMap), nearest first
+router.post('/nearby', async (req, res) => {
+  const { search, errors } = parseSearch(req.body);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid search', details: errors });
+  }
+
+  const fingerprint = searchFingerprint(search);
+  const offset = req.body.cursor ? decodeCursor(req.body.cursor, fingerprint) : 0;
+  if (offset === null) {
+    return res.status(400).json({ error: 'Invalid cursor', message: 'The cursor is malformed or belongs to a different search' });
+  }
+
+  try {
+    const { places, truncated, cache, fallback } = await findNearbyPlaces(search);
+    const matches = places.filter(place => matchesFilters(place, search));
+    let page = matches.slice(offset, offset + search.limit);
+    if (search.travelMode) {
+      // Only the returned page is routed, in one table request
+      const travelTimes = await getTravelTimes(search, page.map(place => ({ latitude: place.lat, longitude: place.lon })), search.travelMode);
+      page = page.map((place, index) => ({ ...place, travel: travelTimes[index] }));
+    }
+    const nextOffset = offset + page.length;
+    const hasMore = nextOffset < matches.length;
+
+    res.json({
+      success: true,
+      places: page,
+      count: page.length,
+      total: matches.length,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(nextOffset, fingerprint) : null,
+      categories: search.categories,
+      cache,
+      ...(truncated && { truncated: true }),
+      ...(fallback && { fallback: true })
+    });
+  } catch (error) {
+    console.error('Nearby places API error:', error.message);
+    console.error('Error details:', error.response?.data || error);
+
+    res.status(500).json({
+      error: 'Failed to fetch nearby places',
+      message: error.message,
+      details: 'OpenStreetMap Overpass API may be temporarily unavailable. Please try again.'
+    });
+  }
+});
+
+// GET /api/places/:osmType/:id - Full profile of one place (e.g. /api/places/way/123456);
+// ?lat=&lon= adds the distance from that point
+router.get('/:osmType/:id', async (req, res) => {
+  const { osmType, id } = req.params;
+  if (!OSM_TYPES.includes(osmType) || !/^\d{1,15}$/.test(id)) {
+    return res.status(400).json({ error: `Place must be /:osmType/:id with osmType one of: ${OSM_TYPES.join(', ')} and a numeric id` });
+  }
+
+  let origin = null;
+  if (req.query.lat != null || req.query.lon != null) {
+    origin = parseCoordinates(req.query.lat, req.query.lon);
+    if (!origin) {
+      return res.status(400).json({ error: 'lat and lon must be valid coordinates' });
+    }
+  }
+
+  try {
+    const { place, cache } = await getPlaceDetails(osmType, id, { origin });
+    if (!place) {
+      return res.status(404).json({ error: 'Place not found', message: `No OpenStreetMap ${osmType} with id ${id}` });
+    }
+    res.json({ success: true, place, cache });
+  } catch (error) {
+    console.error('Place details API error:', error.message);
+    res.status(500).json({
+      error: 'Failed to fetch place details',
+      message: error.message,
+      details: 'OpenStreetMap Overpass API may be temporarily unavailable. Please try again.'
+    });
+  }
+});
+
+module.exports = { router, parseSearch, matchesFilters, searchFingerprint, encodeCursor, decodeCursor };
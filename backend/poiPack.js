@@ -0,0 +1,141 @@
+const { getDb } = require('./db');
+const { categorizeTags, TAXONOMY_VERSION } = require('./placeCategories');
+
+// Offline data pack of Goa points of interest, used by the nearby-places search when every
+// Overpass mirror is down. Elements are stored in Overpass form ({ type, id, lat, lon, tags })
+// so the same place summaries, filters and sorting apply. Build it with buildPoiPack.js.
+
+const KM_PER_DEGREE_LAT = 111.32;
+
+let schemaReady = false;
+
+function ensureSchema() {
+  if (schemaReady) return;
+  getDb().exec(`
+    CREATE TABLE IF NOT EXISTS poi_pack (
+      osm_type TEXT NOT NULL,
+      osm_id TEXT NOT NULL,
+      lat REAL NOT NULL,
+      lon REAL NOT NULL,
+      tags TEXT NOT NULL,
+      PRIMARY KEY (osm_type, osm_id)
+    );
+    CREATE TABLE IF NOT EXISTS poi_pack_meta (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_poi_pack_lat_lon ON poi_pack(lat, lon);
+  `);
+  schemaReady = true;
+}
+
+function rowToElement(row) {
+  return { type: row.osm_type, id: row.osm_id, lat: row.lat, lon: row.lon, tags: JSON.parse(row.tags) };
+}
+
+// Centre of a GeoJSON geometry's bounding box (good enough for a building or a park)
+function geometryCenter(geometry) {
+  const points = [];
+  (function collect(coordinates) {
+    if (typeof coordinates[0] === 'number') points.push(coordinates);
+    else coordinates.forEach(collect);
+  })(geometry.coordinates);
+  if (!points.length) return null;
+  const lons = points.map(([lon]) => lon);
+  const lats = points.map(([, lat]) => lat);
+  return {
+    lat: (Math.min(...lats) + Math.max(...lats)) / 2,
+    lon: (Math.min(...lons) + Math.max(...lons)) / 2
+  };
+}
+
+const GEOJSON_TYPES = { n: 'node', w: 'way', r: 'relation', node: 'node', way: 'way', relation: 'relation' };
+
+// Feature ids from osmtogeojson ("way/123") and osmium export ("w123", or @type/@id properties)
+function featureId(feature) {
+  const properties = feature.properties || {};
+  if (properties['@type'] && properties['@id'] != null) {
+    return { type: GEOJSON_TYPES[properties['@type']], id: String(properties['@id']) };
+  }
+  const match = String(feature.id ?? properties['@id'] ?? '').match(/^(node|way|relation|[nwr])\/?(\d+)$/);
+  return match ? { type: GEOJSON_TYPES[match[1]], id: match[2] } : null;
+}
+
+function featureToElement(feature) {
+  const osmId = featureId(feature);
+  const center = feature.geometry && geometryCenter(feature.geometry);
+  if (!osmId || !osmId.type || !center) return null;
+  const properties = feature.properties || {};
+  const tags = properties.tags || Object.fromEntries(Object.entries(properties).filter(([key]) => !key.startsWith('@')));
+  return { type: osmId.type, id: osmId.id, ...center, tags };
+}
+
+function overpassToElement(element) {
+  const lat = element.lat ?? element.center?.lat;
+  const lon = element.lon ?? element.center?.lon;
+  if (lat == null || lon == null) {
+    // `out geom` gives ways their outline instead of a centre
+    const center = element.geometry && geometryCenter({ coordinates: element.geometry.map(point => [point.lon, point.lat]) });
+    if (!center) return null;
+    return { type: element.type, id: String(element.id), ...center, tags: element.tags };
+  }
+  return { type: element.type, id: String(element.id), lat, lon, tags: element.tags };
+}
+
+// Elements from an Overpass JSON dump ({ elements }) or a GeoJSON FeatureCollection
+// (e.g. `osmium export goa-latest.osm.pbf -f geojson`); throws for anything else
+function parsePackSource(data) {
+  if (Array.isArray(data?.elements)) return data.elements.map(overpassToElement).filter(Boolean);
+  if (data?.type === 'FeatureCollection' && Array.isArray(data.features)) {
+    return data.features.map(featureToElement).filter(Boolean);
+  }
+  throw new Error('Expected an Overpass JSON dump ({ "elements": [...] }) or a GeoJSON FeatureCollection');
+}
+
+// Replace the pack with the named elements that fall in a place category; resolves to { count, skipped }
+function importPoiPack(elements, { source }) {
+  ensureSchema();
+  const db = getDb();
+  const usable = elements.filter(element => element.tags?.name && categorizeTags(element.tags));
+  const insert = db.prepare('INSERT OR REPLACE INTO poi_pack (osm_type, osm_id, lat, lon, tags) VALUES (?, ?, ?, ?, ?)');
+  const setMeta = db.prepare('INSERT OR REPLACE INTO poi_pack_meta (key, value) VALUES (?, ?)');
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM poi_pack').run();
+    usable.forEach(element => insert.run(element.type, String(element.id), element.lat, element.lon, JSON.stringify(element.tags)));
+    setMeta.run('built_at', new Date().toISOString());
+    setMeta.run('source', source);
+    setMeta.run('taxonomy_version', String(TAXONOMY_VERSION));
+  })();
+  return { count: usable.length, skipped: elements.length - usable.length };
+}
+
+// { available, count, builtAt, source, taxonomyVersion }
+function getPoiPackInfo() {
+  ensureSchema();
+  const db = getDb();
+  const meta = Object.fromEntries(db.prepare('SELECT key, value FROM poi_pack_meta').all().map(row => [row.key, row.value]));
+  const { count } = db.prepare('SELECT COUNT(*) AS count FROM poi_pack').get();
+  return {
+    available: count > 0,
+    count,
+    builtAt: meta.built_at || null,
+    source: meta.source || null,
+    taxonomyVersion: meta.taxonomy_version ? Number(meta.taxonomy_version) : null
+  };
+}
+
+// Pack elements in any of the categories within a square around the point; the caller
+// trims them to the radius (elementsToPlaces)
+function findPackElements({ latitude, longitude, radius, categories }) {
+  ensureSchema();
+  const latDelta = radius / 1000 / KM_PER_DEGREE_LAT;
+  const lonDelta = latDelta / Math.max(Math.cos(latitude * Math.PI / 180), 0.01);
+  return getDb()
+    .prepare('SELECT * FROM poi_pack WHERE lat BETWEEN ? AND ? AND lon BETWEEN ? AND ?')
+    .all(latitude - latDelta, latitude + latDelta, longitude - lonDelta, longitude + lonDelta)
+    .map(rowToElement)
+    .filter(element => categories.includes(categorizeTags(element.tags, categories)?.id));
+}
+
+module.exports = { parsePackSource, importPoiPack, getPoiPackInfo, findPackElements };
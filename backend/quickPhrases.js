@@ -0,0 +1,80 @@
+const express = require('express');
+const { listPhrases, getPhrasebookVersion, PHRASE_LANGUAGES, PHRASE_SCENARIOS } = require('./phrasebook');
+const { transliterate, SCHEMES } = require('./transliteration');
+
+// Curated phrase sets per travel scenario, read from the phrasebook. Every phrase comes in all
+// four languages with a romanized reading for tourists who can't read Devanagari.
+
+const LANGUAGES = ['English', ...Object.keys(PHRASE_LANGUAGES)];
+
+function findLanguage(name) {
+  return LANGUAGES.find(language => language.toLowerCase() === String(name).trim().toLowerCase());
+}
+
+function toQuickPhrase(phrase, language, scheme) {
+  const translations = { English: { text: phrase.english } };
+  for (const [name, field] of Object.entries(PHRASE_LANGUAGES)) {
+    translations[name] = {
+      text: phrase[field],
+      transliteration: phrase[field] ? transliterate(phrase[field], scheme) : null
+    };
+  }
+
+  return {
+    id: phrase.id,
+    english: phrase.english,
+    ...(language && translations[language]),
+    translations
+  };
+}
+
+const router = express.Router();
+
+// GET /api/phrases lists the scenarios; ?scenario=restaurant&lang=Konkani returns one set,
+// with the chosen language's text and transliteration at the top of each phrase (&scheme=iso for ISO 15919)
+router.get('/', (req, res) => {
+  try {
+    const { scenario, lang, scheme = 'tourist' } = req.query;
+    const language = lang ? findLanguage(lang) : null;
+    if (lang && !language) {
+      return res.status(400).json({ error: `lang must be one of: ${LANGUAGES.join(', ')}` });
+    }
+    if (!SCHEMES.includes(scheme)) {
+      return res.status(400).json({ error: `scheme must be one of: ${SCHEMES.join(', ')}` });
+    }
+
+    if (!scenario) {
+      return res.json({
+        success: true,
+        languages: LANGUAGES,
+        scenarios: Object.entries(PHRASE_SCENARIOS).map(([id, description]) => ({
+          id,
+          description,
+          phraseCount: listPhrases({ scenario: id }).length
+        }))
+      });
+    }
+
+    const scenarioId = String(scenario).trim().toLowerCase();
+    if (!PHRASE_SCENARIOS[scenarioId]) {
+      return res.status(400).json({ error: `scenario must be one of: ${Object.keys(PHRASE_SCENARIOS).join(', ')}` });
+    }
+
+    const phrases = listPhrases({ scenario: scenarioId }).map(phrase => toQuickPhrase(phrase, language, scheme));
+    res.json({
+      success: true,
+      scenario: scenarioId,
+      description: PHRASE_SCENARIOS[scenarioId],
+      language: language || null,
+      scheme,
+      version: getPhrasebookVersion(),
+      phrases,
+      total: phrases.length
+    });
+  } catch (error) {
+    console.error('Quick phrases API error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch phrases', message: error.message });
+  }
+});
+
+module.exports = { router };
@@ -0,0 +1,224 @@
+const axios = require('axios');
+const express = require('express');
+const { withCache, cacheKey, roundCoordinate, getCacheTtl } = require('./cache');
+const { haversineDistanceKm, parseCoordinates } = require('./geo');
+
+// Road distance and travel time through an OSRM-compatible routing engine (OSRM_URL,
+// default router.project-osrm.org). OSRM only knows cars and pedestrians, so scooter and bus
+// times are derived from the car route. When the engine can't be reached, the distance and
+// time are estimated from the straight line and the response says so (`fallback: true`).
+
+const DEFAULT_OSRM_URL = 'https://router.project-osrm.org';
+const REQUEST_TIMEOUT_MS = 10000;
+// The public OSRM demo server rejects larger tables
+const MAX_TABLE_DESTINATIONS = 100;
+
+// profile: OSRM profile used; durationFactor/extraMinutes adjust the car time for the mode.
+// speedKmh and detourFactor drive the straight-line estimate (Goa roads wind around rivers and ghats).
+const TRAVEL_MODES = {
+  car: { profile: 'driving', durationFactor: 1, extraMinutes: 0, speedKmh: 30, detourFactor: 1.4 },
+  scooter: { profile: 'driving', durationFactor: 1.1, extraMinutes: 0, speedKmh: 28, detourFactor: 1.4 },
+  bus: { profile: 'driving', durationFactor: 1.6, extraMinutes: 10, speedKmh: 18, detourFactor: 1.4 },
+  walk: { profile: 'foot', durationFactor: 1, extraMinutes: 0, speedKmh: 4.5, detourFactor: 1.25 }
+};
+const HEURISTIC_NOTE = 'Estimated from the straight-line distance because the routing engine is unavailable';
+
+// OSRM_FOOT_URL points walking at an engine with a foot profile; without one, walking
+// follows the car route at walking pace
+function engineFor(mode) {
+  const base = (process.env.OSRM_URL || DEFAULT_OSRM_URL).replace(/\/+$/, '');
+  if (TRAVEL_MODES[mode].profile === 'foot') {
+    return process.env.OSRM_FOOT_URL
+      ? { url: process.env.OSRM_FOOT_URL.replace(/\/+$/, ''), profile: 'foot', walkingPace: false }
+      : { url: base, profile: 'driving', walkingPace: true };
+  }
+  return { url: base, profile: 'driving', walkingPace: false };
+}
+
+// "15.4909,73.8278" → { latitude, longitude }; null when invalid
+function parsePoint(value) {
+  const [lat, lon, extra] = String(value || '').split(',');
+  return extra === undefined ? parseCoordinates(lat, lon) : null;
+}
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Minutes for `meters` by `mode`, given the engine's car (or foot) time in seconds
+function modeMinutes(mode, meters, seconds, engine) {
+  const { durationFactor, extraMinutes, speedKmh } = TRAVEL_MODES[mode];
+  if (engine.walkingPace) return meters / 1000 / speedKmh * 60;
+  return seconds / 60 * durationFactor + extraMinutes;
+}
+
+// Google encoded polyline (precision 5) of [lat, lon] points
+function encodePolyline(points) {
+  let previousLat = 0;
+  let previousLon = 0;
+  const encodeValue = value => {
+    let bits = value < 0 ? ~(value << 1) : value << 1;
+    let encoded = '';
+    while (bits >= 0x20) {
+      encoded += String.fromCharCode((0x20 | (bits & 0x1f)) + 63);
+      bits >>= 5;
+    }
+    return encoded + String.fromCharCode(bits + 63);
+  };
+  return points.map(([lat, lon]) => {
+    const latE5 = Math.round(lat * 1e5);
+    const lonE5 = Math.round(lon * 1e5);
+    const encoded = encodeValue(latE5 - previousLat) + encodeValue(lonE5 - previousLon);
+    previousLat = latE5;
+    previousLon = lonE5;
+    return encoded;
+  }).join('');
+}
+
+// Straight-line estimate; the polyline is the straight segment, for drawing as a dashed line
+function estimateRoute(from, to, mode) {
+  const { speedKmh, detourFactor, extraMinutes } = TRAVEL_MODES[mode];
+  const distanceKm = haversineDistanceKm(from.latitude, from.longitude, to.latitude, to.longitude) * detourFactor;
+  return {
+    distanceKm: round(distanceKm),
+    durationMinutes: Math.round(distanceKm / speedKmh * 60 + extraMinutes),
+    source: 'heuristic'
+  };
+}
+
+function coordinatesPath(points) {
+  return points.map(point => `${point.longitude},${point.latitude}`).join(';');
+}
+
+async function callOsrm(engine, service, points, params) {
+  const response = await axios.get(`${engine.url}/${service}/v1/${engine.profile}/${coordinatesPath(points)}`, {
+    params,
+    timeout: REQUEST_TIMEOUT_MS,
+    // OSRM answers "no route" with a 400 and a JSON code
+    validateStatus: status => status < 500
+  });
+  return response.data;
+}
+
+// Route between two points; resolves to { route, cache, fallback }, route null when the
+// engine finds no road between them (e.g. across the sea)
+async function getRoute({ from, to, mode }) {
+  const engine = engineFor(mode);
+  try {
+    const { value: osrmRoute, cache } = await withCache(
+      cacheKey('route', engine.url, engine.profile,
+        roundCoordinate(from.latitude, 0.0001), roundCoordinate(from.longitude, 0.0001),
+        roundCoordinate(to.latitude, 0.0001), roundCoordinate(to.longitude, 0.0001)),
+      getCacheTtl('route'),
+      async () => {
+        const data = await callOsrm(engine, 'route', [from, to], { overview: 'full', geometries: 'polyline' });
+        if (data.code === 'NoRoute') return null;
+        if (data.code !== 'Ok' || !data.routes?.length) throw new Error(data.message || `OSRM error ${data.code}`);
+        const [route] = data.routes;
+        return { distance: route.distance, duration: route.duration, geometry: route.geometry };
+      }
+    );
+    if (!osrmRoute) return { route: null, cache, fallback: false };
+
+    return {
+      route: {
+        distanceKm: round(osrmRoute.distance / 1000),
+        durationMinutes: Math.round(modeMinutes(mode, osrmRoute.distance, osrmRoute.duration, engine)),
+        polyline: osrmRoute.geometry,
+        source: 'osrm'
+      },
+      cache,
+      fallback: false
+    };
+  } catch (error) {
+    console.log(`⚠️ Routing engine unavailable (${error.message}), estimating from straight-line distance`);
+    return {
+      route: { ...estimateRoute(from, to, mode), polyline: encodePolyline([[from.latitude, from.longitude], [to.latitude, to.longitude]]), note: HEURISTIC_NOTE },
+      cache: null,
+      fallback: true
+    };
+  }
+}
+
+// Travel times from `origin` to each destination ({ latitude, longitude }) in one table request.
+// Resolves to [{ mode, distanceKm, durationMinutes, source }] in the same order; a destination
+// the engine can't reach, or every destination when the engine is down, gets the estimate.
+async function getTravelTimes(origin, destinations, mode) {
+  if (!destinations.length) return [];
+  const engine = engineFor(mode);
+  let table = null;
+  try {
+    const data = await callOsrm(engine, 'table', [origin, ...destinations.slice(0, MAX_TABLE_DESTINATIONS)], {
+      sources: 0,
+      annotations: 'duration,distance'
+    });
+    if (data.code !== 'Ok') throw new Error(data.message || `OSRM error ${data.code}`);
+    table = { durations: data.durations[0].slice(1), distances: data.distances[0].slice(1) };
+  } catch (error) {
+    console.log(`⚠️ Routing engine unavailable for travel times (${error.message}), estimating`);
+  }
+
+  return destinations.map((destination, index) => (
+    tableTravel(origin, destination, mode, engine, table?.distances[index], table?.durations[index])
+  ));
+}
+
+// Travel times between every pair of points in one table request, each point being both a
+// source and a destination. Resolves to rows[i][j] for the trip from points[i] to points[j],
+// with the same entries and estimates as getTravelTimes.
+async function getTravelMatrix(points, mode) {
+  if (!points.length) return [];
+  const engine = engineFor(mode);
+  let table = null;
+  if (points.length <= MAX_TABLE_DESTINATIONS) {
+    try {
+      const data = await callOsrm(engine, 'table', points, { annotations: 'duration,distance' });
+      if (data.code !== 'Ok') throw new Error(data.message || `OSRM error ${data.code}`);
+      table = data;
+    } catch (error) {
+      console.log(`⚠️ Routing engine unavailable for travel times (${error.message}), estimating`);
+    }
+  }
+
+  return points.map((from, row) => points.map((to, column) => (
+    tableTravel(from, to, mode, engine, table?.distances?.[row]?.[column], table?.durations?.[row]?.[column])
+  )));
+}
+
+// One table cell as { mode, distanceKm, durationMinutes, source }; the estimate when OSRM gave none
+function tableTravel(from, to, mode, engine, meters, seconds) {
+  if (meters == null || seconds == null) {
+    return { mode, ...estimateRoute(from, to, mode) };
+  }
+  return {
+    mode,
+    distanceKm: round(meters / 1000),
+    durationMinutes: Math.round(modeMinutes(mode, meters, seconds, engine)),
+    source: 'osrm'
+  };
+}
+
+const router = express.Router();
+
+// GET /api/route?from=15.4909,73.8278&to=15.5553,73.7517&mode=scooter
+router.get('/route', async (req, res) => {
+  const from = parsePoint(req.query.from);
+  const to = parsePoint(req.query.to);
+  const mode = String(req.query.mode || 'car').trim().toLowerCase();
+  const details = [];
+  if (!from) details.push('from must be "lat,lon"');
+  if (!to) details.push('to must be "lat,lon"');
+  if (!Object.hasOwn(TRAVEL_MODES, mode)) details.push(`mode must be one of: ${Object.keys(TRAVEL_MODES).join(', ')}`);
+  if (details.length) {
+    return res.status(400).json({ error: 'Invalid route request', details });
+  }
+
+  const { route, cache, fallback } = await getRoute({ from, to, mode });
+  if (!route) {
+    return res.status(404).json({ error: 'No route found', message: 'The routing engine found no road between these points' });
+  }
+  res.json({ success: true, from, to, mode, ...route, cache, ...(fallback && { fallback: true }) });
+});
+
+module.exports = { router, TRAVEL_MODES, getRoute, getTravelTimes, getTravelMatrix, encodePolyline };
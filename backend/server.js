@@ -1,67 +1,26 @@
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const axios = require('axios');
 const bodyParser = require('body-parser');
-const translationPatterns = require('./translationPatterns');
-
-// Free translation providers (no API key required)
-const FREE_TRANSLATE_URL = process.env.LIBRETRANSLATE_URL || 'https://libretranslate.com/translate';
-
-async function libreTranslate(text, fromCode, toCode) {
-  const response = await axios.post(
-    FREE_TRANSLATE_URL,
-    { q: text, source: fromCode, target: toCode, format: 'text' },
-    { headers: { 'Content-Type': 'application/json' }, timeout: 15000 }
-  );
-  return response.data?.translatedText;
-}
-
-async function myMemoryTranslate(text, fromCode, toCode) {
-  const response = await axios.get('https://api.mymemory.translated.net/get', {
-    params: { q: text, langpair: `${fromCode}|${toCode}` },
-    timeout: 15000
-  });
-  return response.data?.responseData?.translatedText;
-}
-
-// Offline chatbot fallback so users always get a response
-function generateOfflineChatbotResponse(message = '') {
-  const lower = message.toLowerCase();
-  const canned = [];
-
-  if (lower.includes('beach')) {
-    canned.push('Top Goa beaches: Baga (nightlife), Calangute (water sports), Anjuna (sunsets), Palolem (peaceful). Go early for parking and bring cash for shacks.');
-  }
-  if (lower.includes('hotel') || lower.includes('stay') || lower.includes('resort')) {
-    canned.push('For stays: North Goa = nightlife (Baga/Calangute), Candolim/Sinquerim = quieter, Anjuna/Vagator = cafes. South Goa = peaceful (Palolem/Agonda/Colva). Book via TourGenious lodging to see verified listings.');
-  }
-  if (lower.includes('weather')) {
-    canned.push('Goa weather: Oct-Feb pleasant (22-32°C), Mar-May hot (30-36°C), Jun-Sep monsoon. Keep a light rain jacket in monsoon and book refundable stays.');
-  }
-  if (lower.includes('food') || lower.includes('restaurant') || lower.includes('eat')) {
-    canned.push('Try Goan dishes: Fish thali, Cafreal, Xacuti, Vindaloo, Bebinca dessert. Ask shacks for today’s fresh catch; avoid plastic waste on beaches.');
-  }
-  if (lower.includes('transport') || lower.includes('taxi') || lower.includes('cab') || lower.includes('scooter')) {
-    canned.push('Getting around: Scooters are fastest for short hops; carry license and helmet. For airport → hotel, pre-book a taxi. Avoid late-night isolated rides; share live location.');
-  }
-  if (lower.includes('emergency') || lower.includes('help')) {
-    canned.push('Emergency: Dial 112 for police/medical. Keep a copy of your ID. In TourGenious, open Smart Assist → Emergency for quick contacts and location sharing.');
-  }
-
-  if (!canned.length) {
-    canned.push('I am your Goa Tourism assistant. Ask me about beaches, stays, food, transport, weather, or how to use TourGenious features (booking, translator, smart assist).');
-  }
-
-  return canned.join(' ');
-}
-
-// Add Google Translate free API (ESM-only package: use dynamic import when needed)
-// NOTE: Do NOT call at top-level with require() — it returns an object and breaks at runtime.
-async function gtranslate(text, options) {
-  const mod = await import('@vitalets/google-translate-api');
-  return mod.default(text, options);
-}
+const { translateWithProviders, translateBatchWithProviders, isSupportedLanguage, languageMap } = require('./translationProviders');
+const auth = require('./auth');
+const bookings = require('./bookings');
+const events = require('./events');
+const emergency = require('./emergency');
+const conversations = require('./conversations');
+const phrasebook = require('./phrasebook');
+const quickPhrases = require('./quickPhrases');
+const transliteration = require('./transliteration');
+const { generateChatbotReply, streamChatbotReply } = require('./chatbot');
+const { gatherSources, buildSourcesContext } = require('./chatbotTools');
+const { getCurrentWeather, getForecast } = require('./weather');
+const { withCache, readCache, writeCache, cacheKey, textDigest, getCacheTtl } = require('./cache');
+const places = require('./places');
+const geocoding = require('./geocoding');
+const routing = require('./routing');
+const itineraries = require('./itineraries');
+const itineraryGenerator = require('./itineraryGenerator');
+const collections = require('./collections');
 
 // Load environment variables
 dotenv.config();
@@ -74,13 +33,14 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true
 }));
-app.use(bodyParser.json());
+app.use(bodyParser.json({ limit: '2mb' })); // phrasebook imports can be large
 app.use(bodyParser.urlencoded({ extended: true }));
+app.use(auth.optionalAuth);
 
 // Simple in-memory rate limiter for the chatbot endpoint
-const chatbotRateLimitStore = new Map(); // key: IP, value: { count, resetAt }
+const chatbotRateLimitStore = new Map(); // key: user id (or IP when anonymous), value: { count, resetAt }
 const CHATBOT_WINDOW_MS = 60 * 1000; // 1 minute window
-const CHATBOT_MAX_REQUESTS = 50; // increased max requests per window per IP
+const CHATBOT_MAX_REQUESTS = 50; // increased max requests per window per user/IP
 
 // Provider (Gemini) cooldown to avoid hammering when rate limited
 let chatbotProviderCooldownUntil = 0; // timestamp in ms - reset for testing
@@ -88,7 +48,7 @@ const CHATBOT_PROVIDER_COOLDOWN_MS = 1 * 1000; // reduced to 1 second
 
 function chatbotRateLimiter(req, res, next) {
   const now = Date.now();
-  const key = req.ip || req.headers['x-forwarded-for'] || 'unknown';
+  const key = auth.getRequesterKey(req);
   let entry = chatbotRateLimitStore.get(key);
 
   if (!entry || now > entry.resetAt) {
@@ -119,370 +79,264 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Unknown language names used to be translated as English; now they are rejected
+function languageError(fromLanguage, toLanguage) {
+  const supported = Object.keys(languageMap).join(', ');
+  if (!isSupportedLanguage(fromLanguage, { allowAuto: true })) {
+    return `fromLanguage must be auto or one of: ${supported}`;
+  }
+  if (!isSupportedLanguage(toLanguage)) {
+    return `toLanguage must be one of: ${supported}`;
+  }
+  return null;
+}
+
+// Only the language codes are normalized; "Hello" and "hello" are translated (and cached) separately
+function translateCacheKey(fromLanguage, toLanguage, text) {
+  return cacheKey('translate', fromLanguage, toLanguage, textDigest(text));
+}
+
+// Optional fields shared by single and batch translation results
+function translationDetails(result, transliterationScheme) {
+  return {
+    ...(result.detectedLanguage && { detectedLanguage: result.detectedLanguage }),
+    ...(result.confidence !== undefined && {
+      confidence: result.confidence,
+      matchType: result.matchType,
+      unknownWords: result.unknownWords
+    }),
+    ...(result.pivot && { pivot: result.pivot }),
+    // Romanized reading of Hindi/Marathi/Konkani output
+    ...(transliteration.isDevanagari(result.translatedText) && {
+      transliteration: transliteration.transliterate(result.translatedText, transliterationScheme)
+    })
+  };
+}
+
 // Translation API endpoint (removed rate limiter for testing)
 app.post('/api/translate', async (req, res) => {
-  const { text, fromLanguage, toLanguage } = req.body;
-
-  // Language code mapping for providers
-  const languageMap = {
-    'English': 'en',
-    'Hindi': 'hi',
-    'Konkani': 'gom',
-    'Marathi': 'mr'
-  };
-  const fromCode = languageMap[fromLanguage] || 'en';
-  const toCode = languageMap[toLanguage] || 'hi';
+  const { text, fromLanguage, toLanguage, transliterationScheme = 'tourist' } = req.body;
+
+  if (!text || !fromLanguage || !toLanguage) {
+    return res.status(400).json({
+      error: 'Missing required parameters: text, fromLanguage, toLanguage'
+    });
+  }
+  const invalidLanguage = languageError(fromLanguage, toLanguage);
+  if (invalidLanguage) {
+    return res.status(400).json({ error: invalidLanguage });
+  }
+  if (!transliteration.SCHEMES.includes(transliterationScheme)) {
+    return res.status(400).json({ error: `transliterationScheme must be one of: ${transliteration.SCHEMES.join(', ')}` });
+  }
+
+  console.log(`🤖 Translating "${text}" from ${fromLanguage} to ${toLanguage}`);
 
   try {
+    // Offline fallbacks are not cached so the next request retries the online providers
+    const { value: result, cache } = await withCache(
+      translateCacheKey(fromLanguage, toLanguage, text),
+      getCacheTtl('translate'),
+      () => translateWithProviders({ text, fromLanguage, toLanguage }),
+      { shouldCache: translation => !translation.fallback }
+    );
+    const attempts = cache.hit ? [] : result.attempts;
+    const rateLimited = attempts.some(attempt => attempt.httpStatus === 429);
 
-    if (!text || !fromLanguage || !toLanguage) {
-      return res.status(400).json({
-        error: 'Missing required parameters: text, fromLanguage, toLanguage'
-      });
+    if (rateLimited) {
+      console.warn('Translation provider rate limit hit (429).');
+      chatbotProviderCooldownUntil = Date.now() + CHATBOT_PROVIDER_COOLDOWN_MS;
     }
 
-    // 🤖 REAL AI TRANSLATION - Use FREE Google Translate API 
-    console.log(`🤖 Using AI to translate "${text}" from ${fromLanguage} to ${toLanguage}`);
-    
-    const result = await gtranslate(text, { from: fromCode, to: toCode });
-    
-    if (result && result.text) {
-      const translatedText = result.text.trim();
-      console.log(`✅ AI translation successful: "${text}" → "${translatedText}"`);
-      
-      return res.json({
-        success: true,
-        originalText: text,
-        translatedText,
-        fromLanguage,
-        toLanguage,
-        provider: 'google-translate-ai'
-      });
-    }
-    
-    throw new Error('No translation result from AI');
+    console.log(`✅ Translation via ${result.provider}: "${text}" → "${result.translatedText}"`);
 
+    res.json({
+      success: true,
+      originalText: text,
+      translatedText: result.translatedText,
+      fromLanguage: result.fromLanguage || fromLanguage,
+      toLanguage,
+      provider: result.provider,
+      attempts,
+      cache,
+      ...translationDetails(result, transliterationScheme),
+      ...(result.fallback && {
+        fallback: true,
+        message: rateLimited ? 'Rate limited. Using fallback translation.' : 'Using fallback translation'
+      })
+    });
   } catch (error) {
-    console.log('🔄 AI translation failed, trying backup...', error.message);
-    const providerStatus = error?.response?.status;
-
-    // Try OpenRouter (configurable model) when Google free API fails
-    if (process.env.OPENROUTER_API_KEY) {
-      try {
-        const OPENROUTER_MODEL = process.env.OPENROUTER_DEFAULT_MODEL || 'gpt-5.1-codex-max';
-        console.log(`Attempting OpenRouter translation with model: ${OPENROUTER_MODEL}`);
-        const openrouterResponse = await axios.post(
-          'https://openrouter.ai/api/v1/chat/completions',
-          {
-            model: OPENROUTER_MODEL,
-            messages: [{
-              role: 'user',
-              content: `Translate this text from ${fromLanguage} to ${toLanguage}. Only return the translation, with no extra words: "${text}"`
-            }],
-            max_tokens: 128,
-            temperature: 0.2
-          },
-          {
-            headers: {
-              'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-              'Content-Type': 'application/json',
-              'HTTP-Referer': 'http://localhost:5001',
-              'X-Title': 'TourGenious Translator'
-            }
-          }
-        );
-        if (openrouterResponse.data?.choices?.[0]?.message?.content) {
-          const translatedText = openrouterResponse.data.choices[0].message.content.trim();
-          return res.json({
-            success: true,
-            originalText: text,
-            translatedText,
-            fromLanguage,
-            toLanguage,
-            provider: `openrouter:${OPENROUTER_MODEL}`
-          });
-        }
-      } catch (openrouterError) {
-        console.log('OpenRouter translation failed:', openrouterError.response?.data || openrouterError.message);
-      }
-    }
+    console.error('Translation API Error:', error.message);
+    res.status(502).json({
+      error: 'Translation failed',
+      message: error.message,
+      attempts: error.attempts || []
+    });
+  }
+});
 
-    // Next: completely free providers (no key)
-    try {
-      console.log('Attempting LibreTranslate fallback...');
-      const translatedText = await libreTranslate(text, fromCode, toCode);
-      if (translatedText) {
-        return res.json({
-          success: true,
-          originalText: text,
-          translatedText: translatedText.trim(),
-          fromLanguage,
-          toLanguage,
-          provider: 'libretranslate'
-        });
-      }
-    } catch (ltErr) {
-      console.log('LibreTranslate failed:', ltErr.response?.data || ltErr.message);
+// Batch translation: { texts: [...], fromLanguage, toLanguage }. Duplicates are translated once,
+// cached texts skip the providers, and results come back in input order with a per-item provider.
+const MAX_BATCH_TEXTS = 100;
+
+app.post('/api/translate/batch', async (req, res) => {
+  const { texts, fromLanguage, toLanguage, transliterationScheme = 'tourist' } = req.body || {};
+
+  if (!Array.isArray(texts) || !texts.length || !fromLanguage || !toLanguage) {
+    return res.status(400).json({
+      error: 'Missing required parameters: texts (non-empty array), fromLanguage, toLanguage'
+    });
+  }
+  const invalidLanguage = languageError(fromLanguage, toLanguage);
+  if (invalidLanguage) {
+    return res.status(400).json({ error: invalidLanguage });
+  }
+  if (texts.length > MAX_BATCH_TEXTS) {
+    return res.status(400).json({ error: `At most ${MAX_BATCH_TEXTS} texts per batch` });
+  }
+  const invalid = texts
+    .map((text, index) => (typeof text === 'string' && text.trim() ? null : `texts[${index}] must be a non-empty string`))
+    .filter(Boolean);
+  if (invalid.length) {
+    return res.status(400).json({ error: 'Invalid texts', details: invalid });
+  }
+  if (!transliteration.SCHEMES.includes(transliterationScheme)) {
+    return res.status(400).json({ error: `transliterationScheme must be one of: ${transliteration.SCHEMES.join(', ')}` });
+  }
+
+  const unique = [...new Set(texts)];
+  console.log(`🤖 Batch translating ${texts.length} texts (${unique.length} unique) from ${fromLanguage} to ${toLanguage}`);
+
+  try {
+    const ttlMs = getCacheTtl('translate');
+    const keyFor = text => translateCacheKey(fromLanguage, toLanguage, text);
+    const cached = new Map();
+    for (const text of unique) {
+      const hit = await readCache(keyFor(text), ttlMs);
+      if (hit) cached.set(text, hit.value);
     }
 
-    try {
-      console.log('Attempting MyMemory fallback...');
-      const translatedText = await myMemoryTranslate(text, fromCode, toCode);
-      if (translatedText) {
-        return res.json({
-          success: true,
-          originalText: text,
-          translatedText: translatedText.trim(),
-          fromLanguage,
-          toLanguage,
-          provider: 'mymemory'
-        });
+    const pending = unique.filter(text => !cached.has(text));
+    const { results, attempts } = pending.length
+      ? await translateBatchWithProviders({ texts: pending, fromLanguage, toLanguage })
+      : { results: new Map(), attempts: [] };
+
+    // Offline fallbacks are not cached so the next request retries the online providers
+    for (const [text, result] of results) {
+      if (!result.fallback) {
+        await writeCache(keyFor(text), { ...result, attempts: [] }, ttlMs);
       }
-    } catch (mmErr) {
-      console.log('MyMemory translate failed:', mmErr.response?.data || mmErr.message);
-    }
-    
-    if (providerStatus === 429) {
-      console.warn('Translation provider rate limit hit (429). Returning fallback translation.');
-      chatbotProviderCooldownUntil = Date.now() + CHATBOT_PROVIDER_COOLDOWN_MS;
-    } else {
-      console.error('Translation API Error:', error.message);
     }
-    
-    // Enhanced fallback translations for common phrases
-    const fallbackTranslations = {
-      'English-Hindi': {
-        'Hello': 'नमस्ते',
-        'Hi': 'नमस्ते', 
-        'How are you?': 'आप कैसे हैं?',
-        'What is your name?': 'आपका नाम क्या है?',
-        'what is your name': 'आपका नाम क्या है',
-        'What is your name': 'आपका नाम क्या है',
-        'My name is': 'मेरा नाम है',
-        'Nice to meet you': 'आपसे मिलकर खुशी हुई',
-        'Thank you': 'धन्यवाद',
-        'Thanks': 'धन्यवाद',
-        'Good morning': 'सुप्रभात',
-        'Good afternoon': 'नमस्ते',
-        'Good evening': 'शुभ संध्या',
-        'Good night': 'शुभ रात्रि',
-        'Welcome': 'स्वागत है',
-        'Please': 'कृपया',
-        'Sorry': 'माफ़ कीजिए',
-        'Excuse me': 'माफ़ करें',
-        'Yes': 'हाँ',
-        'No': 'नहीं',
-        'Where is': 'कहाँ है',
-        'Where are you from?': 'आप कहाँ से हैं?',
-        'How much': 'कितना',
-        'How old are you?': 'आपकी उम्र क्या है?',
-        'I love you': 'मैं तुमसे प्यार करता हूँ',
-        'Beautiful': 'सुंदर',
-        'Delicious': 'स्वादिष्ट',
-        'Help': 'मदद',
-        'Water': 'पानी',
-        'Food': 'खाना',
-        'Beach': 'समुद्र तट',
-        'Hotel': 'होटल',
-        'Airport': 'हवाई अड्डा',
-        'Station': 'स्टेशन',
-        'Hospital': 'अस्पताल',
-        'Police': 'पुलिस',
-        'Market': 'बाज़ार',
-        'Restaurant': 'रेस्टोरेंट',
-        'Taxi': 'टैक्सी',
-        'Bus': 'बस',
-        'Train': 'रेल',
-        'Money': 'पैसा',
-        'Time': 'समय',
-        'Today': 'आज',
-        'Tomorrow': 'कल',
-        'Yesterday': 'कल (बीता हुआ)',
-        // Quick phrases from UI
-        'Good morning': 'सुप्रभात',
-        'How are you?': 'आप कैसे हैं?',
-        'Where is': 'कहाँ है',
-        'How much': 'कितना',
-        'Beautiful': 'सुंदर',
-        'Delicious': 'स्वादिष्ट'
-      },
-      'English-Konkani': {
-        'Hello': 'नमस्कार',
-        'Hi': 'नमस्कार',
-        'How are you?': 'तुमी कशे आसात?',
-        'What is your name?': 'तुझे नांव कितें?',
-        'what is your name': 'तुझे नांव कितें',
-        'What is your name': 'तुझे नांव कितें',
-        'My name is': 'म्हजे नांव',
-        'Nice to meet you': 'तुका भेटून बरे दिसले',
-        'Thank you': 'धन्यवाद',
-        'Thanks': 'धन्यवाद',
-        'Good morning': 'सुप्रभात',
-        'Good afternoon': 'दनपारां बरे',
-        'Good evening': 'सांजे बरे',
-        'Good night': 'शुभ रात्रि',
-        'Welcome': 'स्वागत',
-        'Please': 'कृपया',
-        'Sorry': 'माफ करात',
-        'Excuse me': 'माफ करात',
-        'Yes': 'हांय',
-        'No': 'ना',
-        'Where is': 'कुत्र आसा',
-        'Where are you from?': 'तूं कुत्रां',
-        'How much': 'किती',
-        'How old are you?': 'तुझे वर्स किती?',
-        'I love you': 'हांव तुका मोग करतां',
-        'Beautiful': 'सुंदर',
-        'Delicious': 'रुचीक',
-        'Help': 'आदार',
-        'Water': 'उदक',
-        'Food': 'जेवण',
-        'Beach': 'किनारो',
-        'Hotel': 'धर्मशाळा',
-        'Airport': 'विमानतळ',
-        'Station': 'स्थानक',
-        'Hospital': 'रुग्णालय',
-        'Police': 'पोलीस',
-        'Market': 'बाजार',
-        'Restaurant': 'जेवणघर',
-        'Taxi': 'टॅक्सी',
-        'Bus': 'बस',
-        'Train': 'रेल्व',
-        'Money': 'पैसे',
-        'Time': 'वेळ',
-        'Today': 'आयज',
-        'Tomorrow': 'फाल्यां',
-        'Yesterday': 'काल',
-        // Quick phrases from UI
-        'Good morning': 'सुप्रभात',
-        'How are you?': 'तुमी कशे आसात?',
-        'Where is': 'कुत्र आसा',
-        'How much': 'किती',
-        'Beautiful': 'सुंदर',
-        'Delicious': 'रुचीक'
-      },
-      'English-Marathi': {
-        'Hello': 'नमस्कार',
-        'Hi': 'नमस्कार',
-        'How are you?': 'तुम्ही कसे आहात?',
-        'What is your name?': 'तुमचे नाव काय?',
-        'what is your name': 'तुमचे नाव काय',
-        'What is your name': 'तुमचे नाव काय',
-        'My name is': 'माझे नाव',
-        'Nice to meet you': 'तुम्हाला भेटून आनंद झाला',
-        'Thank you': 'धन्यवाद',
-        'Thanks': 'धन्यवाद', 
-        'Good morning': 'सुप्रभात',
-        'Good afternoon': 'नमस्कार',
-        'Good evening': 'शुभ संध्या',
-        'Good night': 'शुभ रात्रि',
-        'Welcome': 'स्वागत आहे',
-        'Please': 'कृपया',
-        'Sorry': 'माफ करा',
-        'Excuse me': 'माफ करा',
-        'Yes': 'होय',
-        'No': 'नाही',
-        'Where is': 'कुठे आहे',
-        'Where are you from?': 'तुम्ही कुठचे आहात?',
-        'How much': 'किती',
-        'How old are you?': 'तुमचे वय किती?',
-        'I love you': 'मी तुझ्यावर प्रेम करतो',
-        'Beautiful': 'सुंदर',
-        'Delicious': 'चविष्ट',
-        'Help': 'मदत',
-        'Water': 'पाणी',
-        'Food': 'अन्न',
-        'Beach': 'समुद्रकिनारा',
-        'Hotel': 'हॉटेल',
-        'Airport': 'विमानतळ',
-        'Station': 'स्थानक',
-        'Hospital': 'रुग्णालय',
-        'Police': 'पोलीस',
-        'Market': 'बाजार',
-        'Restaurant': 'जेवणघर',
-        'Taxi': 'टॅक्सी',
-        'Bus': 'बस',
-        'Train': 'रेल्वे',
-        'Money': 'पैसे',
-        'Time': 'वेळ',
-        'Today': 'आज',
-        'Tomorrow': 'उद्या',
-        'Yesterday': 'काल',
-        // Quick phrases from UI
-        'Good morning': 'सुप्रभात',
-        'How are you?': 'तुम्ही कसे आहात?',
-        'Where is': 'कुठे आहे',
-        'How much': 'किती',
-        'Beautiful': 'सुंदर',
-        'Delicious': 'चविष्ट'
-      }
-    };
 
-    // Enhanced AI-like translation logic
-    console.log('DEBUG: About to start enhanced translation logic');
-    console.log('DEBUG: Starting enhanced translation logic');
-    const key = `${fromLanguage}-${toLanguage}`;
-    const translationMap = fallbackTranslations[key];
-    
-    let translatedText = text;
-    console.log(`DEBUG: Looking for ${key} translations for "${text}"`);
-    if (translationMap) {
-      // First try exact match
-      if (translationMap[text]) {
-        translatedText = translationMap[text];
-      } else {
-        // Try case-insensitive match
-        const lowerText = text.toLowerCase();
-        const exactKey = Object.keys(translationMap).find(key => key.toLowerCase() === lowerText);
-        if (exactKey) {
-          translatedText = translationMap[exactKey];
-        } else {
-          // Smart AI-like word-by-word translation using patterns
-          const words = text.toLowerCase().split(/\s+/);
-          const translations = [];
-          let hasTranslations = false;
-          
-          for (const word of words) {
-            // Check translation patterns first for more comprehensive coverage
-            const patternKey = `${fromLanguage}-${toLanguage}`;
-            const patterns = translationPatterns[patternKey];
-            console.log(`DEBUG: Checking pattern for "${word}" in ${patternKey}:`, patterns ? 'found' : 'not found');
-            
-            if (patterns && patterns[word]) {
-              console.log(`DEBUG: Found translation for "${word}": ${patterns[word]}`);
-              translations.push(patterns[word]);
-              hasTranslations = true;
-            } else if (translationMap) {
-              // Check if word exists in our fallback translations
-              const foundKey = Object.keys(translationMap).find(key => 
-                key.toLowerCase().includes(word) || word.includes(key.toLowerCase())
-              );
-              if (foundKey) {
-                translations.push(translationMap[foundKey]);
-                hasTranslations = true;
-              } else {
-                translations.push(word);
-              }
-            } else {
-              translations.push(word);
-            }
-          }
-          
-          if (hasTranslations) {
-            translatedText = translations.join(' ');
-          }
-        }
+    const items = texts.map((text, index) => {
+      const result = cached.get(text) || results.get(text);
+      if (!result) {
+        return { index, originalText: text, success: false, error: 'All translation providers failed' };
       }
-    }
+      return {
+        index,
+        originalText: text,
+        success: true,
+        translatedText: result.translatedText,
+        ...(result.fromLanguage && { fromLanguage: result.fromLanguage }),
+        provider: result.provider,
+        cached: cached.has(text),
+        ...translationDetails(result, transliterationScheme),
+        ...(result.fallback && { fallback: true })
+      };
+    });
+
+    const failed = items.filter(item => !item.success).length;
+    console.log(`✅ Batch translation: ${items.length - failed} translated, ${cached.size} from cache, ${failed} failed`);
 
     res.json({
-      success: true,
-      originalText: text,
-      translatedText,
+      success: failed === 0,
       fromLanguage,
       toLanguage,
-      fallback: true,
-      message: providerStatus === 429 ? 'Rate limited. Using fallback translation.' : 'Using fallback translation'
+      total: texts.length,
+      unique: unique.length,
+      cached: cached.size,
+      failed,
+      results: items,
+      attempts
+    });
+  } catch (error) {
+    console.error('Batch translation API Error:', error.message);
+    res.status(502).json({ error: 'Batch translation failed', message: error.message });
+  }
+});
+
+// Transliteration between Devanagari and Latin script (offline).
+// direction: toLatin, toDevanagari or auto (Devanagari input → Latin, anything else → Devanagari)
+app.post('/api/transliterate', (req, res) => {
+  const { text, scheme = 'tourist', direction = 'auto' } = req.body || {};
+
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ error: 'Missing required parameter: text' });
+  }
+  if (!transliteration.SCHEMES.includes(scheme)) {
+    return res.status(400).json({ error: `scheme must be one of: ${transliteration.SCHEMES.join(', ')}` });
+  }
+  if (!['auto', 'toLatin', 'toDevanagari'].includes(direction)) {
+    return res.status(400).json({ error: 'direction must be one of: auto, toLatin, toDevanagari' });
+  }
+
+  const resolvedDirection = direction === 'auto'
+    ? (transliteration.isDevanagari(text) ? 'toLatin' : 'toDevanagari')
+    : direction;
+  if (resolvedDirection === 'toDevanagari') {
+    const invalid = transliteration.invalidSpellings(text, scheme);
+    if (invalid.length) {
+      const otherScheme = transliteration.SCHEMES.find(candidate => (
+        candidate !== scheme && !transliteration.invalidSpellings(text, candidate).length
+      ));
+      return res.status(400).json({
+        error: `Cannot transliterate ${invalid.join(', ')} with the ${scheme} scheme` +
+          (otherScheme ? `; the text looks like the ${otherScheme} scheme` : ''),
+        details: invalid
+      });
+    }
+  }
+  const transliteratedText = resolvedDirection === 'toLatin'
+    ? transliteration.transliterate(text, scheme)
+    : transliteration.toDevanagari(text, scheme);
+
+  res.json({
+    success: true,
+    originalText: text,
+    transliteratedText,
+    scheme,
+    direction: resolvedDirection
+  });
+});
+
+// Weather forecast endpoint (?city= or ?lat=&lon=); registered before /:city so "forecast" isn't read as a city
+app.get('/api/weather/forecast', async (req, res) => {
+  try {
+    const { city, lat, lon } = req.query;
+
+    if (!city && (!lat || !lon)) {
+      return res.status(400).json({
+        error: 'Provide either a city or latitude and longitude (lat, lon)'
+      });
+    }
+
+    const { value: forecast, cache } = await getForecast(city ? { city } : { lat, lon });
+    res.json({ success: true, ...forecast, cache });
+
+  } catch (error) {
+    console.error('Weather API Error (forecast):', error.message);
+
+    if (error.response?.status === 404) {
+      return res.status(404).json({
+        error: 'City not found',
+        message: 'Please check the city name and try again'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to fetch weather forecast',
+      message: 'Please try again later'
     });
   }
 });
@@ -498,26 +352,8 @@ app.get('/api/weather/:city', async (req, res) => {
       });
     }
 
-    const response = await axios.get(
-      `https://api.openweathermap.org/data/2.5/weather?q=${encodeURIComponent(city)}&appid=${process.env.OPENWEATHER_API_KEY}&units=metric`
-    );
-
-    const weatherData = response.data;
-    
-    res.json({
-      success: true,
-      city: weatherData.name,
-      country: weatherData.sys.country,
-      temperature: Math.round(weatherData.main.temp),
-      feelsLike: Math.round(weatherData.main.feels_like),
-      description: weatherData.weather[0].description,
-      icon: weatherData.weather[0].icon,
-      humidity: weatherData.main.humidity,
-      pressure: weatherData.main.pressure,
-      windSpeed: weatherData.wind.speed,
-      clouds: weatherData.clouds.all,
-      timestamp: new Date().toISOString()
-    });
+    const { value: weather, cache } = await getCurrentWeather({ city });
+    res.json({ success: true, ...weather, cache });
 
   } catch (error) {
     console.error('Weather API Error:', error.message);
@@ -547,27 +383,8 @@ app.get('/api/weather/coords/:lat/:lon', async (req, res) => {
       });
     }
 
-    const response = await axios.get(
-      `https://api.openweathermap.org/data/2.5/weather?lat=${lat}&lon=${lon}&appid=${process.env.OPENWEATHER_API_KEY}&units=metric`
-    );
-
-    const weatherData = response.data;
-    
-    res.json({
-      success: true,
-      city: weatherData.name,
-      country: weatherData.sys.country,
-      temperature: Math.round(weatherData.main.temp),
-      feelsLike: Math.round(weatherData.main.feels_like),
-      description: weatherData.weather[0].description,
-      icon: weatherData.weather[0].icon,
-      humidity: weatherData.main.humidity,
-      pressure: weatherData.main.pressure,
-      windSpeed: weatherData.wind.speed,
-      clouds: weatherData.clouds.all,
-      coordinates: { lat: weatherData.coord.lat, lon: weatherData.coord.lon },
-      timestamp: new Date().toISOString()
-    });
+    const { value: weather, cache } = await getCurrentWeather({ lat, lon });
+    res.json({ success: true, ...weather, cache });
 
   } catch (error) {
     console.error('Weather API Error (coordinates):', error.message);
@@ -579,17 +396,33 @@ app.get('/api/weather/coords/:lat/:lon', async (req, res) => {
   }
 });
 
+// Continue the conversation named by `conversationId`, or start a new one
+function resolveConversation(req) {
+  const { message, conversationId } = req.body;
+  if (conversationId) {
+    return conversations.getConversation(conversationId, req.user);
+  }
+  return conversations.createConversation(req.user, message);
+}
+
 // Chatbot API endpoint (removed rate limiter for testing)
-app.post('/api/chatbot', async (req, res) => {
+// Send `conversationId` to continue a conversation; a new one is started otherwise.
+app.post('/api/chatbot', chatbotRateLimiter, async (req, res) => {
   try {
     const { message, context = 'travel' } = req.body;
 
-    if (!message) {
+    if (typeof message !== 'string' || !message.trim()) {
       return res.status(400).json({
         error: 'Message is required'
       });
     }
 
+    const conversation = resolveConversation(req);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    const history = conversations.getHistoryForPrompt(conversation.id);
+
     // Reset cooldown for testing
     chatbotProviderCooldownUntil = 0;
 
@@ -598,284 +431,151 @@ app.post('/api/chatbot', async (req, res) => {
     // Add small delay to respect rate limits
     await new Promise(resolve => setTimeout(resolve, 150));
 
-    // Primary: OpenRouter GPT-5.1-Codex-Max (configurable)
-    if (process.env.OPENROUTER_API_KEY) {
-      const OPENROUTER_MODEL = process.env.OPENROUTER_DEFAULT_MODEL || 'gpt-5.1-codex-max';
-      try {
-        const openrouterResponse = await axios.post(
-          'https://openrouter.ai/api/v1/chat/completions',
-          {
-            model: OPENROUTER_MODEL,
-            messages: [
-              {
-                role: 'system',
-                content: 'You are a Goa Tourism AI Assistant for TourGenious. Only answer about Goa travel and TourGenious app features. Be concise and helpful.'
-              },
-              { role: 'user', content: message }
-            ],
-            max_tokens: 300,
-            temperature: 0.6
-          },
-          {
-            headers: {
-              'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-              'Content-Type': 'application/json',
-              'HTTP-Referer': 'http://localhost:5001',
-              'X-Title': 'TourGenious Chatbot'
-            }
-          }
-        );
-
-        if (openrouterResponse.data?.choices?.[0]?.message?.content) {
-          const botResponse = openrouterResponse.data.choices[0].message.content.trim();
-          return res.json({
-            success: true,
-            message: botResponse,
-            context,
-            provider: `openrouter:${OPENROUTER_MODEL}`,
-            timestamp: new Date().toISOString()
-          });
-        }
-      } catch (orErr) {
-        console.log('OpenRouter chatbot failed, falling back to Gemini:', orErr.response?.data || orErr.message);
-      }
-    }
-
-    // Fallback: Gemini
-    const travelPrompt = `You are a Goa Tourism AI Assistant for TourGenious app. You can ONLY help with:
-    1. Goa tourism, destinations, attractions, beaches, culture, food, weather, and travel tips
-    2. TourGenious app features like booking, emergency services, translator, events, and smart assist modules
-    \nIf someone asks about anything outside of Goa tourism or app features, politely respond: "I'm a Goa Tourism AI Assistant and can only help with Goa-related travel information and TourGenious app features. How can I assist you with your Goa travel plans?"\nKeep responses helpful, concise, and focused only on Goa or app functionality.\nUser message: "${message}"\nResponse:`;
-
-    const response = await axios.post(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${process.env.GEMINI_API_KEY}`,
-      {
-        contents: [ { parts: [ { text: travelPrompt } ] } ],
-        generationConfig: { maxOutputTokens: 200, temperature: 0.7 }
-      },
-      { headers: { 'Content-Type': 'application/json' } }
-    );
-
-    if (response.data?.candidates?.[0]?.content?.parts?.[0]?.text) {
-      const botResponse = response.data.candidates[0].content.parts[0].text.trim();
-      return res.json({ success: true, message: botResponse, context, provider: 'gemini-1.5-flash', timestamp: new Date().toISOString() });
-    }
-    throw new Error('Invalid chatbot response');
-
-  } catch (error) {
-    const providerStatus = error?.response?.status;
-    
-    // Try OpenRouter free models when Gemini fails
-    if (providerStatus === 429 || providerStatus >= 500) {
-      console.warn(`Gemini chatbot failed (${providerStatus}). Trying OpenRouter free models...`);
-      
-      if (process.env.OPENROUTER_API_KEY) {
-        try {
-          const openrouterResponse = await axios.post(
-            'https://openrouter.ai/api/v1/chat/completions',
-            {
-              model: 'mistralai/mistral-7b-instruct:free',
-              messages: [{
-                role: 'system',
-                content: 'You are a helpful Goa Tourism Assistant. Provide information about Goa beaches, culture, food, and attractions. Keep responses concise and helpful.'
-              }, {
-                role: 'user',
-                content: message
-              }],
-              max_tokens: 150,
-              temperature: 0.7
-            },
-            {
-              headers: {
-                'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-                'Content-Type': 'application/json',
-                'HTTP-Referer': 'http://localhost:5001',
-                'X-Title': 'Goa Tourism Chatbot'
-              }
-            }
-          );
-          
-          if (openrouterResponse.data?.choices?.[0]?.message?.content) {
-            const botResponse = openrouterResponse.data.choices[0].message.content.trim();
-            return res.json({
-              success: true,
-              message: botResponse,
-              context,
-              provider: 'openrouter-llama-free',
-              timestamp: new Date().toISOString()
-            });
-          }
-        } catch (openrouterError) {
-          console.log('OpenRouter chatbot error details:', openrouterError.response?.data || openrouterError.message);
-          console.log('OpenRouter chatbot also failed, using fallback responses...');
-        }
-      }
-    }
-    
-    if (providerStatus === 429) {
-      console.warn('Chatbot provider rate limit hit (429). Returning fallback response.');
+    // Ground the answer in live weather, places and events data
+    const sources = await gatherSources(message, req.body.location);
+    const reply = await generateChatbotReply({ message, history, liveData: buildSourcesContext(sources) });
+    if (reply.rateLimited) {
       // Set a short cooldown to avoid hammering the provider
       chatbotProviderCooldownUntil = Date.now() + CHATBOT_PROVIDER_COOLDOWN_MS;
-    } else {
-      console.error('Chatbot API Error:', error.message);
     }
-    
-    const { context = 'travel' } = req.body;
-    const offlineResponse = generateOfflineChatbotResponse(req.body?.message || '');
-    
+
+    conversations.appendMessages(conversation.id, [
+      { role: 'user', content: message },
+      { role: 'assistant', content: reply.message, provider: reply.provider }
+    ]);
+
     res.json({
       success: true,
-      message: offlineResponse,
+      message: reply.message,
       context,
-      fallback: true,
-      rateLimited: providerStatus === 429,
-      provider: 'offline-goa-guide',
+      conversationId: conversation.id,
+      ...(reply.fallback && { fallback: true, rateLimited: Boolean(reply.rateLimited) }),
+      provider: reply.provider,
+      sources,
       timestamp: new Date().toISOString()
     });
+  } catch (error) {
+    console.error('Chatbot API Error:', error.message);
+    res.status(500).json({
+      error: 'Failed to process chatbot message',
+      message: 'Please try again later'
+    });
   }
 });
 
-// Nearby Places API endpoint (using Overpass API - OpenStreetMap)
-app.post('/api/places/nearby', async (req, res) => {
+// Streaming chatbot endpoint (Server-Sent Events)
+// Events: `start` { conversationId }, `token` { text }, `reset` { provider } when a provider
+// failed mid-stream and its partial text must be discarded, then `done` with the same
+// metadata the JSON endpoint returns (or `error`).
+app.post('/api/chatbot/stream', chatbotRateLimiter, async (req, res) => {
+  const { message, context = 'travel' } = req.body;
+
+  if (typeof message !== 'string' || !message.trim()) {
+    return res.status(400).json({
+      error: 'Message is required'
+    });
+  }
+
+  let conversation;
   try {
-    const { latitude, longitude, radius, type } = req.body;
+    conversation = resolveConversation(req);
+  } catch (error) {
+    console.error('Chatbot stream error:', error.message);
+    return res.status(500).json({ error: 'Failed to process chatbot message', message: 'Please try again later' });
+  }
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
 
-    if (!latitude || !longitude) {
-      return res.status(400).json({
-        error: 'Missing required parameters: latitude, longitude'
-      });
-    }
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  const sendEvent = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 
-    // Use radius in meters (default 5000m = 5km)
-    const searchRadius = radius || 5000;
-    
-    // Map category types to OSM tags
-    const typeMapping = {
-      'restaurant': 'amenity=restaurant',
-      'lodging': 'tourism=hotel',
-      'tourist_attraction': 'tourism=attraction',
-      'shopping_mall': 'shop',
-      'hospital': 'amenity=hospital',
-      'transit_station': 'public_transport=station'
-    };
-
-    // Build Overpass query - simplified for speed
-    let osmQuery = '';
-    if (type && type !== 'all' && typeMapping[type]) {
-      const tag = typeMapping[type];
-      osmQuery = `node[${tag}](around:${searchRadius},${latitude},${longitude});
-                  way[${tag}](around:${searchRadius},${latitude},${longitude});`;
-    } else {
-      // Query main amenities only (faster)
-      osmQuery = `node[amenity~"restaurant|cafe|hotel|hospital|atm|bank|pharmacy|fuel"](around:${searchRadius},${latitude},${longitude});
-                  node[tourism~"hotel|attraction|museum|viewpoint"](around:${searchRadius},${latitude},${longitude});
-                  node[shop~"supermarket|mall|convenience"](around:${searchRadius},${latitude},${longitude});`;
-    }
+  // Stop the upstream provider when the client goes away
+  const abortController = new AbortController();
+  res.on('close', () => abortController.abort());
 
-    const overpassQuery = `[out:json][timeout:15];(${osmQuery});out body center 100;`; // Limit to 100 results
-    
-    // Multiple Overpass API endpoints (try in order if one fails)
-    const overpassUrls = [
-      'https://overpass.kumi.systems/api/interpreter',
-      'https://overpass-api.de/api/interpreter',
-      'https://maps.mail.ru/osm/tools/overpass/api/interpreter'
-    ];
-    
-    let response = null;
-    let lastError = null;
-    
-    // Try each Overpass API endpoint
-    for (const overpassUrl of overpassUrls) {
-      try {
-        console.log(`Trying Overpass API: ${overpassUrl}`);
-        response = await axios.post(overpassUrl, `data=${encodeURIComponent(overpassQuery)}`, {
-          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-          timeout: 15000 // 15 second timeout per server
-        });
-        console.log(`✓ Success with ${overpassUrl}`);
-        break; // Success, exit loop
-      } catch (error) {
-        console.log(`✗ Failed with ${overpassUrl}: ${error.message}`);
-        lastError = error;
-        continue; // Try next server
-      }
-    }
-    
-    // If all servers failed, throw the last error
-    if (!response) {
-      throw lastError || new Error('All Overpass API servers failed');
-    }
+  sendEvent('start', { conversationId: conversation.id });
 
-    if (response.data && response.data.elements) {
-      const places = response.data.elements
-        .filter(element => element.tags && element.tags.name)
-        .map(element => {
-          // Calculate distance using Haversine formula
-          const R = 6371; // Earth's radius in km
-          const lat = element.lat || (element.center ? element.center.lat : latitude);
-          const lon = element.lon || (element.center ? element.center.lon : longitude);
-          
-          const dLat = (lat - latitude) * Math.PI / 180;
-          const dLon = (lon - longitude) * Math.PI / 180;
-          const a = 
-            Math.sin(dLat/2) * Math.sin(dLat/2) +
-            Math.cos(latitude * Math.PI / 180) * Math.cos(lat * Math.PI / 180) *
-            Math.sin(dLon/2) * Math.sin(dLon/2);
-          const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-          const distance = R * c;
-
-          // Determine category
-          let category = 'place';
-          if (element.tags.amenity) category = element.tags.amenity;
-          else if (element.tags.tourism) category = element.tags.tourism;
-          else if (element.tags.shop) category = 'shopping';
-
-          return {
-            id: element.id.toString(),
-            name: element.tags.name,
-            category: category,
-            distance: Math.round(distance * 10) / 10,
-            address: element.tags['addr:street'] 
-              ? `${element.tags['addr:street']}${element.tags['addr:housenumber'] ? ' ' + element.tags['addr:housenumber'] : ''}`
-              : element.tags['addr:city'] || 'Near you',
-            lat: lat,
-            lon: lon,
-            phone: element.tags.phone || element.tags['contact:phone'],
-            website: element.tags.website || element.tags['contact:website'],
-            openingHours: element.tags.opening_hours
-          };
-        })
-        .filter(place => place.distance <= (searchRadius / 1000)); // Filter by radius in km
-
-      // Sort by distance and limit to 50 results
-      const sortedPlaces = places
-        .sort((a, b) => a.distance - b.distance)
-        .slice(0, 50);
-
-      res.json({
-        success: true,
-        places: sortedPlaces,
-        total: sortedPlaces.length
-      });
-    } else {
-      res.json({
-        success: true,
-        places: [],
-        total: 0
-      });
+  try {
+    const history = conversations.getHistoryForPrompt(conversation.id);
+    const sources = await gatherSources(message, req.body.location);
+    const reply = await streamChatbotReply({ message, history, liveData: buildSourcesContext(sources) }, {
+      onToken: text => sendEvent('token', { text }),
+      onReset: provider => sendEvent('reset', { provider }),
+      signal: abortController.signal
+    });
+    if (reply.rateLimited) {
+      chatbotProviderCooldownUntil = Date.now() + CHATBOT_PROVIDER_COOLDOWN_MS;
     }
-  } catch (error) {
-    console.error('Nearby places API error:', error.message);
-    console.error('Error details:', error.response?.data || error);
-    
-    res.status(500).json({
-      error: 'Failed to fetch nearby places',
-      message: error.message,
-      details: 'OpenStreetMap Overpass API may be temporarily unavailable. Please try again.'
+
+    conversations.appendMessages(conversation.id, [
+      { role: 'user', content: message },
+      { role: 'assistant', content: reply.message, provider: reply.provider }
+    ]);
+
+    sendEvent('done', {
+      success: true,
+      message: reply.message,
+      context,
+      conversationId: conversation.id,
+      ...(reply.fallback && { fallback: true, rateLimited: Boolean(reply.rateLimited) }),
+      provider: reply.provider,
+      sources,
+      timestamp: new Date().toISOString()
     });
+  } catch (error) {
+    if (!abortController.signal.aborted) {
+      console.error('Chatbot stream error:', error.message);
+      sendEvent('error', { error: 'Failed to process chatbot message', message: 'Please try again later' });
+    }
   }
+  res.end();
 });
 
+// Chatbot conversation history (list, fetch, delete)
+app.use('/api/chatbot/conversations', conversations.router);
+
+// Places API (nearby search with filters and pagination, category taxonomy)
+app.use('/api/places', places.router);
+
+// Geocoding API (place-name search and reverse geocoding)
+app.use('/api', geocoding.router);
+
+// Routing API (road distance and travel time between two points)
+app.use('/api', routing.router);
+
+// Auth API (registration, login and current user)
+app.use('/api/auth', auth.router);
+
+// Bookings API (hotel and activity bookings stored in SQLite)
+app.use('/api/bookings', bookings.router);
+
+// Collections API (saved places, favorites, share links, GeoJSON/KML export)
+app.use('/api/collections', collections.router);
+
+// Itinerary API (trip days, stop ordering with travel times, iCalendar export)
+app.use('/api/itineraries', itineraries.router);
+
+// Itinerary generator (AI day-by-day plans checked against real places and weather)
+app.use('/api/itinerary', itineraryGenerator.router);
+
+// Events API (Goa festivals, concerts and cultural events with RSVP)
+app.use('/api/events', events.router);
+
+// Phrasebook (offline translation data, admin-editable)
+app.use('/api/phrasebook', phrasebook.router);
+
+// Quick phrases by travel scenario, with romanized transliterations
+app.use('/api/phrases', quickPhrases.router);
+
+// Emergency API (helplines, nearby services and alerts to saved contacts)
+app.use('/api/emergency', emergency.router);
+
 // 404 handler
 app.use('*', (req, res) => {
   res.status(404).json({
@@ -0,0 +1,38 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateBooking, parseDate } = require('../bookings');
+
+const HOTEL = { type: 'hotel', itemName: 'Taj Fort Aguada', checkIn: '2099-01-10', checkOut: '2099-01-12', guests: 2 };
+
+test('parseDate only accepts real calendar days', () => {
+  assert.equal(parseDate('2099-01-10').toISOString(), '2099-01-10T00:00:00.000Z');
+  assert.equal(parseDate('2099-02-30'), null);
+  assert.equal(parseDate('10/01/2099'), null);
+  assert.equal(parseDate(20990110), null);
+});
+
+test('a valid hotel booking passes', () => {
+  assert.deepEqual(validateBooking({ ...HOTEL, location: 'Candolim', contactEmail: 'guest@example.com', notes: null }), []);
+});
+
+test('dates, guests and price are checked', () => {
+  assert.deepEqual(validateBooking({ ...HOTEL, checkOut: '2099-01-10', guests: 13, price: -1 }), [
+    'checkOut must be after checkIn',
+    'guests must be a whole number between 1 and 12',
+    'price must be a non-negative number'
+  ]);
+  assert.deepEqual(validateBooking({ ...HOTEL, checkIn: '2000-01-01' }), ['checkIn cannot be in the past']);
+  assert.deepEqual(validateBooking({ ...HOTEL, checkIn: '2000-01-01' }, { checkPast: false }), []);
+});
+
+test('text fields must be strings', () => {
+  assert.deepEqual(validateBooking({ ...HOTEL, itemName: ['Taj'], location: { city: 'Candolim' }, notes: 5, contactEmail: ['a@b.co'] }), [
+    'itemName is required',
+    'location must be text',
+    'contactEmail must be text',
+    'notes must be text'
+  ]);
+  assert.deepEqual(validateBooking({ ...HOTEL, contactEmail: 'not-an-email' }), ['contactEmail is not a valid email address']);
+});
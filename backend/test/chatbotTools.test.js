@@ -0,0 +1,29 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectToolCalls } = require('../chatbotTools');
+
+const HERE = { latitude: 15.5, longitude: 73.8 };
+
+test('"near me" questions search around the user', () => {
+  const calls = detectToolCalls('Any good restaurants near me?', HERE);
+  assert.deepEqual(calls, [{ tool: 'places', type: 'restaurant', point: { ...HERE, name: 'your location' } }]);
+});
+
+test('a named town is searched without the user\'s location', () => {
+  const [call] = detectToolCalls('Hotels in Calangute', null);
+  assert.equal(call.tool, 'places');
+  assert.equal(call.type, 'hotel');
+  assert.equal(call.point.name, 'Calangute');
+});
+
+test('"in" alone does not make a question about nearby places', () => {
+  assert.deepEqual(detectToolCalls('I am interested in food', HERE), []);
+  assert.deepEqual(detectToolCalls('What is in a fish thali, food-wise?', HERE), []);
+});
+
+test('weather and events questions', () => {
+  assert.deepEqual(detectToolCalls('Will it rain tomorrow?', null).map(call => [call.tool, call.point.name]), [['weather', 'Panaji']]);
+  assert.deepEqual(detectToolCalls('Any festivals this week?', HERE).map(call => call.tool), ['events']);
+});
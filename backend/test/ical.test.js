@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toICalendar } = require('../ical');
+
+const unfold = text => text.replace(/\r\n /g, '');
+
+test('timed and all-day events', () => {
+  const calendar = toICalendar({
+    name: 'Goa trip',
+    events: [
+      { uid: 'a@tourgenious', title: 'Fort Aguada', start: new Date('2026-10-20T03:30:00Z'), end: new Date('2026-10-20T05:00:00Z'), lat: 15.49, lon: 73.77 },
+      { uid: 'b@tourgenious', title: 'Beach day', allDay: '2026-10-31' }
+    ]
+  });
+  const lines = calendar.split('\r\n');
+  assert.equal(lines[0], 'BEGIN:VCALENDAR');
+  assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+  assert.ok(lines.includes('X-WR-CALNAME:Goa trip'));
+  assert.ok(lines.includes('DTSTART:20261020T033000Z'));
+  assert.ok(lines.includes('DTEND:20261020T050000Z'));
+  assert.ok(lines.includes('GEO:15.49;73.77'));
+  // All-day events end on the next day, across month ends too
+  assert.ok(lines.includes('DTSTART;VALUE=DATE:20261031'));
+  assert.ok(lines.includes('DTEND;VALUE=DATE:20261101'));
+});
+
+test('text is escaped', () => {
+  const calendar = toICalendar({
+    events: [{ uid: 'a', title: 'Fish, rice; curry', allDay: '2026-10-20', description: 'Line one\nC:\\temp' }]
+  });
+  assert.ok(calendar.includes('SUMMARY:Fish\\, rice\\; curry'));
+  assert.ok(calendar.includes('DESCRIPTION:Line one\\nC:\\\\temp'));
+});
+
+test('long lines are folded at 75 octets without splitting characters', () => {
+  const title = 'बीच '.repeat(30);
+  const calendar = toICalendar({ events: [{ uid: 'a', title, allDay: '2026-10-20' }] });
+  for (const line of calendar.split('\r\n')) {
+    assert.ok(Buffer.byteLength(line) <= 75, line);
+    assert.ok(!line.includes('�'));
+  }
+  assert.ok(unfold(calendar).includes(`SUMMARY:${title}`));
+});
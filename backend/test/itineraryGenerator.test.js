@@ -0,0 +1,105 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseGenerateRequest, validatePlan } = require('../itineraryGenerator');
+
+const DATES = ['2026-10-20', '2026-10-21'];
+const CANDIDATES = [
+  { id: 'guide/baga', name: 'Baga Beach', category: 'beach', lat: 15.5553, lon: 73.7517, openingHours: null, note: null },
+  { id: 'node/1', name: 'Fort Aguada', category: 'historic', lat: 15.4925, lon: 73.7737, openingHours: null, note: null },
+  { id: 'node/2', name: 'Britto\'s', category: 'restaurant', lat: 15.5560, lon: 73.7520, openingHours: null, note: null }
+];
+
+function plan(days) {
+  return validatePlan({ days }, { dates: DATES, candidates: CANDIDATES, used: new Set() });
+}
+
+test('a minimal request gets the defaults', () => {
+  const { request, errors } = parseGenerateRequest({ startDate: '2026-10-20' });
+  assert.deepEqual(errors, []);
+  assert.equal(request.endDate, '2026-10-20');
+  assert.equal(request.area.label, 'North Goa');
+  assert.equal(request.budget, 'moderate');
+  assert.deepEqual(request.interests, ['beaches', 'culture', 'food']);
+  assert.equal(request.group, 'couple');
+  assert.equal(request.mode, 'scooter');
+  assert.equal(request.save, false);
+});
+
+test('areas, lists and modes are normalized', () => {
+  const { request, errors } = parseGenerateRequest({
+    startDate: '2026-10-20',
+    endDate: '2026-10-22',
+    area: 'South Goa',
+    interests: 'Beaches, food,beaches',
+    group: 'family',
+    title: '  Family trip  '
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(request.area.label, 'South Goa');
+  assert.deepEqual(request.interests, ['beaches', 'food']);
+  assert.equal(request.mode, 'car');
+  assert.equal(request.title, 'Family trip');
+});
+
+test('invalid requests list every problem', () => {
+  const { errors } = parseGenerateRequest({
+    startDate: '2026-10-22',
+    endDate: '2026-10-20',
+    area: 'constructor',
+    budget: 'free',
+    interests: ['toString'],
+    group: 'crowd',
+    mode: 'constructor',
+    title: 42
+  });
+  assert.equal(errors.length, 7);
+  assert.equal(parseGenerateRequest({ startDate: '2026-10-01', endDate: '2026-10-08' }).errors.length, 1);
+});
+
+test('unknown, repeated and out-of-range stops are dropped', () => {
+  const { days, warnings } = plan([
+    { date: DATES[0], theme: 'Forts', stops: [
+      { placeId: 'node/1', startTime: '10:00', durationMinutes: 90, note: ' Go early ' },
+      { placeId: 'node/999', startTime: '11:00', durationMinutes: 60, note: '' },
+      { placeId: 'node/1', startTime: '12:00', durationMinutes: 60, note: '' }
+    ] },
+    { date: '2026-11-01', theme: 'Later', stops: [] }
+  ]);
+  assert.equal(days.length, 2);
+  assert.deepEqual(days[0].stops.map(stop => [stop.name, stop.startTime, stop.durationMinutes, stop.fixed, stop.note]), [['Fort Aguada', '10:00', 90, false, 'Go early']]);
+  assert.deepEqual(days[1], { date: DATES[1], theme: null, stops: [] });
+  assert.equal(warnings.length, 3);
+});
+
+test('meals keep their time and bad times or durations fall back', () => {
+  const { days } = plan([{ date: DATES[0], theme: null, stops: [
+    { placeId: 'node/2', startTime: '13:00', durationMinutes: 5, note: '' },
+    { placeId: 'guide/baga', startTime: '25:00', durationMinutes: 120, note: '' }
+  ] }]);
+  assert.deepEqual(days[0].stops.map(stop => [stop.name, stop.startTime, stop.durationMinutes, stop.fixed]), [
+    ['Britto\'s', '13:00', 75, true],
+    ['Baga Beach', null, 120, false]
+  ]);
+});
+
+test('outdoor stops are dropped on days with rain or storm warnings', () => {
+  const used = new Set();
+  const weather = new Map([[DATES[0], { description: 'heavy rain', advisories: [{ type: 'heavy-rain', message: 'Heavy rain' }] }]]);
+  const { days, warnings } = validatePlan({ days: [
+    { date: DATES[0], theme: null, stops: [
+      { placeId: 'guide/baga', startTime: '16:00', durationMinutes: 120, note: '' },
+      { placeId: 'node/2', startTime: '13:00', durationMinutes: 60, note: '' }
+    ] },
+    { date: DATES[1], theme: null, stops: [] }
+  ] }, { dates: DATES, candidates: CANDIDATES, used, weather });
+  assert.deepEqual(days[0].stops.map(stop => stop.name), ['Britto\'s']);
+  assert.match(warnings[0], /Baga Beach, an outdoor place/);
+  // Still free for a dry day
+  assert.equal(used.has('guide/baga'), false);
+});
+
+test('a plan without days is rejected', () => {
+  assert.throws(() => plan(undefined), /no days/);
+});
@@ -0,0 +1,105 @@
+process.env.DATABASE_PATH = ':memory:';
+// Nothing listens here, so travel times fall back to straight-line estimates
+process.env.OSRM_URL = 'http://127.0.0.1:9';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Fallback warnings are expected here; keep them out of the test report
+test.mock.method(console, 'log', () => {});
+const { writeCache, cacheKey, roundCoordinate } = require('../cache');
+const { planDay, parseTime, formatTime, goaDateTime } = require('../itineraryPlanner');
+
+const DATE = '2026-10-20'; // a Tuesday
+const BAGA = { latitude: 15.5553, longitude: 73.7517 };
+
+function stop(id, lat, lon, overrides = {}) {
+  return { id, name: id, lat, lon, category: 'attraction', openingHours: null, startTime: null, durationMinutes: 60, fixed: false, outdoor: false, ...overrides };
+}
+
+// The planner reads the forecast near the first located stop; seed it so no request goes out
+async function seedForecast(lat, lon, advisories = []) {
+  const forecast = {
+    days: [{ date: DATE, description: 'light rain', minTemp: 24, maxTemp: 30, rainProbability: 80 }],
+    advisories: advisories.map(advisory => ({ date: DATE, severity: 'high', message: advisory, type: advisory }))
+  };
+  await writeCache(cacheKey('forecast', roundCoordinate(lat), roundCoordinate(lon)), forecast, 60 * 1000);
+}
+
+test('parseTime and formatTime convert HH:MM', () => {
+  assert.equal(parseTime('09:30'), 570);
+  assert.equal(parseTime('24:00'), null);
+  assert.equal(parseTime('9:30'), null);
+  assert.equal(formatTime(570), '09:30');
+  assert.equal(formatTime(-5), '00:00');
+});
+
+test('goaDateTime converts Goa local time to UTC', () => {
+  assert.equal(goaDateTime(DATE, 9 * 60).toISOString(), '2026-10-20T03:30:00.000Z');
+});
+
+test('flexible stops are ordered by travel time from the start', async () => {
+  await seedForecast(15.2832, 73.9862);
+  const stops = [
+    stop('Margao', 15.2832, 73.9862),
+    stop('Panaji', 15.4909, 73.8278),
+    stop('Calangute', 15.5439, 73.7553)
+  ];
+  const plan = await planDay({ stops, date: DATE, origin: BAGA });
+  assert.deepEqual(plan.stops.map(planned => planned.id), ['Calangute', 'Panaji', 'Margao']);
+  assert.ok(plan.travel.afterMinutes < plan.travel.beforeMinutes);
+  assert.equal(plan.travel.estimated, true);
+  assert.equal(plan.stops[0].startTime, formatTime(parseTime('09:00') + plan.stops[0].travelMinutesFromPrevious));
+});
+
+test('a fixed stop comes first when a flexible one would make it late', async () => {
+  await seedForecast(15.3144, 74.3143);
+  const stops = [
+    stop('Dudhsagar', 15.3144, 74.3143, { durationMinutes: 240 }),
+    stop('Show', 15.5553, 73.7517, { startTime: '10:00', fixed: true })
+  ];
+  const plan = await planDay({ stops, date: DATE, dayStart: '08:00' });
+  assert.deepEqual(plan.stops.map(planned => [planned.id, planned.startTime]).slice(0, 1), [['Show', '10:00']]);
+  assert.equal(plan.stops[1].id, 'Dudhsagar');
+  assert.deepEqual(plan.conflicts, []);
+});
+
+test('late arrivals at fixed stops are reported, not moved', async () => {
+  await seedForecast(15.5553, 73.7517);
+  const stops = [stop('Show', 15.5553, 73.7517, { startTime: '08:15', fixed: true })];
+  const plan = await planDay({ stops, date: DATE, dayStart: '08:00', origin: { latitude: 15.3144, longitude: 74.3143 } });
+  assert.ok(parseTime(plan.stops[0].startTime) > parseTime('08:15'));
+  assert.deepEqual(plan.conflicts.map(conflict => [conflict.type, conflict.stopId]), [['late', 'Show']]);
+});
+
+test('stops wait for opening time and report closed hours', async () => {
+  await seedForecast(15.5009, 73.9116);
+  const stops = [
+    stop('Basilica', 15.5009, 73.9116, { openingHours: 'Mo-Su 10:00-18:00' }),
+    stop('Museum', 15.5009, 73.9116, { openingHours: 'Tu 09:00-09:30', durationMinutes: 90 })
+  ];
+  const plan = await planDay({ stops, date: DATE, dayStart: '08:00' });
+  const basilica = plan.stops.find(planned => planned.id === 'Basilica');
+  assert.equal(basilica.startTime, '10:00');
+  assert.equal(basilica.waitsForOpening, true);
+  assert.deepEqual(plan.conflicts.map(conflict => [conflict.type, conflict.stopId]), [['closed', 'Museum']]);
+});
+
+test('outdoor stops on a heavy-rain day are flagged', async () => {
+  await seedForecast(15.5553, 73.7517, ['heavy-rain']);
+  const stops = [
+    stop('Baga Beach', 15.5553, 73.7517, { category: 'beach', outdoor: true }),
+    stop('Cafe', 15.5553, 73.7517, { category: 'cafe' })
+  ];
+  const plan = await planDay({ stops, date: DATE });
+  assert.equal(plan.weather.available, true);
+  assert.deepEqual(plan.conflicts.map(conflict => [conflict.type, conflict.stopId]), [['weather', 'Baga Beach']]);
+});
+
+test('stops without coordinates are scheduled and reported', async () => {
+  await seedForecast(15.5553, 73.7517);
+  const stops = [stop('Baga', 15.5553, 73.7517), stop('Somewhere', null, null)];
+  const plan = await planDay({ stops, date: DATE });
+  assert.equal(plan.stops.length, 2);
+  assert.deepEqual(plan.conflicts.map(conflict => conflict.type), ['no-location']);
+});
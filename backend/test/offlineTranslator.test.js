@@ -0,0 +1,65 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { translateOffline, tokenize } = require('../offlineTranslator');
+
+test('tokenize keeps contractions and accented words whole', () => {
+  assert.deepEqual(tokenize('Where\'s the café?').map(token => token.text), ['Where\'s', 'the', 'café', '?']);
+  assert.deepEqual(tokenize('Where’s').map(token => token.text), ['Where\'s']);
+});
+
+test('known phrases translate with full confidence', () => {
+  const result = translateOffline('Thank you', 'English', 'Hindi');
+  assert.equal(result.translatedText, 'धन्यवाद');
+  assert.equal(result.matchType, 'phrase');
+  assert.equal(result.confidence, 1);
+});
+
+test('questions are reordered for the target language', () => {
+  assert.equal(translateOffline('Where is the beach?', 'English', 'Hindi').translatedText, 'समुद्र तट कहाँ है?');
+  assert.equal(translateOffline('Where is the hospital?', 'English', 'Konkani').translatedText, 'रुग्णालय खंय आसा?');
+});
+
+test('dative verbs take the dative subject', () => {
+  const hindi = translateOffline('I want water', 'English', 'Hindi');
+  assert.equal(hindi.translatedText, 'मुझे पानी चाहिए');
+  assert.equal(hindi.matchType, 'grammar');
+  assert.equal(translateOffline('I want water', 'English', 'Marathi').translatedText, 'मला पाणी हवे');
+});
+
+test('sentences are translated one by one with the target full stop', () => {
+  const result = translateOffline('Thank you. Where is the beach?', 'English', 'Hindi');
+  assert.equal(result.translatedText, 'धन्यवाद। समुद्र तट कहाँ है?');
+  assert.ok(result.confidence < 1 && result.confidence > 0.8);
+});
+
+test('unknown words are reported and left as they are', () => {
+  const result = translateOffline('xyzzy plugh', 'English', 'Hindi');
+  assert.equal(result.translatedText, 'xyzzy plugh');
+  assert.equal(result.matchType, 'none');
+  assert.equal(result.confidence, 0);
+  assert.deepEqual(result.unknownWords, ['xyzzy', 'plugh']);
+});
+
+test('unsupported languages are not translated', () => {
+  assert.equal(translateOffline('Thank you', 'English', 'Klingon').matchType, 'none');
+});
+
+test('Indian languages translate back to English', () => {
+  assert.equal(translateOffline('धन्यवाद', 'Hindi', 'English').translatedText, 'Thank you');
+  const result = translateOffline('मुझे पानी चाहिए', 'Hindi', 'English');
+  assert.equal(result.translatedText, 'I need water');
+  assert.equal(result.matchType, 'grammar');
+});
+
+test('pairs without a direct table pivot through English', () => {
+  const result = translateOffline('धन्यवाद', 'Hindi', 'Konkani');
+  assert.equal(result.pivot, 'English');
+  assert.equal(result.matchType, 'phrase');
+  assert.equal(result.translatedText, 'धन्यवाद');
+});
+
+test('translating a language into itself is not supported', () => {
+  assert.equal(translateOffline('धन्यवाद', 'Hindi', 'Hindi').matchType, 'none');
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOpeningHours, isOpenAt, openIntervalsOn } = require('../openingHours');
+
+// Goa is UTC+05:30: 2026-10-19 is a Monday
+const goaTime = (date, time) => new Date(`${date}T${time}:00+05:30`);
+
+test('parses day ranges and times', () => {
+  const parsed = parseOpeningHours('Mo-Fr 09:00-17:00; Sa 10:00-14:00');
+  assert.deepEqual(parsed.schedule.Mo, [{ open: '09:00', close: '17:00' }]);
+  assert.deepEqual(parsed.schedule.Sa, [{ open: '10:00', close: '14:00' }]);
+  assert.deepEqual(parsed.schedule.Su, []);
+  assert.equal(parsed.alwaysOpen, false);
+});
+
+test('24/7 is always open', () => {
+  const parsed = parseOpeningHours('24/7');
+  assert.equal(parsed.alwaysOpen, true);
+  assert.equal(isOpenAt(parsed, goaTime('2026-10-19', '03:00')), true);
+});
+
+test('a time list without days applies to every day', () => {
+  const parsed = parseOpeningHours('10:00-13:00,14:00-18:00');
+  assert.deepEqual(parsed.schedule.Su, [{ open: '10:00', close: '13:00' }, { open: '14:00', close: '18:00' }]);
+});
+
+test('comma-separated rules are parsed as additional rules', () => {
+  const parsed = parseOpeningHours('Mo-Fr 09:00-13:00, Sa 10:00-14:00');
+  assert.deepEqual(parsed.schedule.Fr, [{ open: '09:00', close: '13:00' }]);
+  assert.deepEqual(parsed.schedule.Sa, [{ open: '10:00', close: '14:00' }]);
+
+  const split = parseOpeningHours('Mo-Sa 09:00-13:00, Fr 16:00-19:00');
+  assert.deepEqual(split.schedule.Fr, [{ open: '09:00', close: '13:00' }, { open: '16:00', close: '19:00' }]);
+  assert.deepEqual(split.schedule.Th, [{ open: '09:00', close: '13:00' }]);
+});
+
+test('commas inside day lists and time lists are not rule separators', () => {
+  const parsed = parseOpeningHours('Mo,We,Fr 18:00-02:00');
+  assert.deepEqual(parsed.schedule.We, [{ open: '18:00', close: '02:00' }]);
+  assert.deepEqual(parsed.schedule.Tu, []);
+});
+
+test('off closes a day, also as an additional rule', () => {
+  const parsed = parseOpeningHours('Mo-Fr 09:00-17:00, We off');
+  assert.deepEqual(parsed.schedule.We, []);
+  assert.deepEqual(parsed.schedule.Th, [{ open: '09:00', close: '17:00' }]);
+});
+
+test('public and school holidays are dropped from day lists', () => {
+  const parsed = parseOpeningHours('Mo-Fr 09:00-17:00; Su,PH off');
+  assert.deepEqual(parsed.schedule.Fr, [{ open: '09:00', close: '17:00' }]);
+  assert.deepEqual(parsed.schedule.Su, []);
+
+  const holidayOnly = parseOpeningHours('Mo-Sa 10:00-20:00; PH,SH 10:00-14:00');
+  assert.deepEqual(holidayOnly.schedule.Sa, [{ open: '10:00', close: '20:00' }]);
+  assert.equal(parseOpeningHours('PH off'), null);
+});
+
+test('unsupported values parse to null', () => {
+  assert.equal(parseOpeningHours('Jan-Mar Mo-Fr 09:00-17:00'), null);
+  assert.equal(parseOpeningHours('sunrise-sunset'), null);
+  assert.equal(parseOpeningHours(''), null);
+  assert.equal(isOpenAt(null), null);
+});
+
+test('overnight intervals continue into the next day', () => {
+  const parsed = parseOpeningHours('Fr 20:00-02:00');
+  assert.deepEqual(openIntervalsOn(parsed, 'Sa'), [{ open: 0, close: 120 }]);
+  assert.equal(isOpenAt(parsed, goaTime('2026-10-24', '01:30')), true);
+  assert.equal(isOpenAt(parsed, goaTime('2026-10-24', '02:30')), false);
+});
+
+test('isOpenAt uses Goa local time', () => {
+  const parsed = parseOpeningHours('Mo 09:00-17:00');
+  assert.equal(isOpenAt(parsed, goaTime('2026-10-19', '09:00')), true);
+  assert.equal(isOpenAt(parsed, goaTime('2026-10-19', '17:00')), false);
+  assert.equal(isOpenAt(parsed, goaTime('2026-10-20', '10:00')), false);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  PLACE_CATEGORIES,
+  PLACE_CATEGORY_GROUPS,
+  CATEGORY_ALIASES,
+  DEFAULT_CATEGORIES,
+  resolveCategories,
+  categoryTagFilters,
+  categorizeTags
+} = require('../placeCategories');
+
+test('resolves category ids, lists and aliases', () => {
+  assert.deepEqual(resolveCategories('restaurant, Cafe').ids, ['restaurant', 'cafe']);
+  assert.deepEqual(resolveCategories(['hotel']).ids, ['hotel']);
+  assert.deepEqual(resolveCategories('lodging').ids, ['hotel']);
+  assert.deepEqual(resolveCategories('shopping_mall').ids, ['shops']);
+});
+
+test('group ids expand to every category in the group', () => {
+  assert.deepEqual(resolveCategories('food').ids, ['restaurant', 'cafe', 'fast_food']);
+  assert.deepEqual(resolveCategories('shopping').ids, ['market', 'shops']);
+});
+
+test('every group can be searched as a group', () => {
+  const categoryIds = new Set(PLACE_CATEGORIES.map(category => category.id));
+  for (const group of PLACE_CATEGORY_GROUPS) {
+    assert.ok(!categoryIds.has(group.id), `${group.id} is both a group and a category`);
+    assert.ok(!(group.id in CATEGORY_ALIASES), `${group.id} is both a group and an alias`);
+  }
+});
+
+test('missing or "all" categories fall back to the defaults', () => {
+  assert.deepEqual(resolveCategories(undefined).ids, DEFAULT_CATEGORIES);
+  assert.deepEqual(resolveCategories('all').ids, DEFAULT_CATEGORIES);
+});
+
+test('unknown names are reported', () => {
+  const { ids, unknown } = resolveCategories('cafe,spaceport');
+  assert.deepEqual(ids, ['cafe']);
+  assert.deepEqual(unknown, ['spaceport']);
+});
+
+test('builds distinct Overpass tag filters', () => {
+  assert.deepEqual(categoryTagFilters(['restaurant', 'restaurant', 'cafe']), ['amenity=restaurant', 'amenity=cafe']);
+});
+
+test('categorizes OSM tags, preferring the searched categories', () => {
+  const tags = { tourism: 'hotel', amenity: 'restaurant' };
+  assert.equal(categorizeTags(tags).id, 'restaurant');
+  assert.equal(categorizeTags(tags, ['hotel']).id, 'hotel');
+  assert.equal(categorizeTags({ shop: 'gift' }).id, 'shops');
+  assert.equal(categorizeTags({ building: 'yes' }), null);
+});
@@ -0,0 +1,87 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSearch, matchesFilters, searchFingerprint, encodeCursor, decodeCursor } = require('../places');
+
+const GOA = { latitude: 15.5553, longitude: 73.7517 };
+
+function place(overrides = {}) {
+  return { cuisine: [], priceLevel: null, stars: null, openNow: null, ...overrides };
+}
+
+test('parseSearch fills in the defaults', () => {
+  const { search, errors } = parseSearch(GOA);
+  assert.deepEqual(errors, []);
+  assert.equal(search.radius, 5000);
+  assert.equal(search.limit, 20);
+  assert.equal(search.openNow, false);
+  assert.deepEqual(search.cuisine, []);
+});
+
+test('parseSearch reads radius units, lists and booleans', () => {
+  const { search, errors } = parseSearch({
+    ...GOA,
+    radius: '2km',
+    categories: 'cafe,restaurant',
+    cuisine: 'Seafood, goan',
+    priceLevel: ['budget'],
+    openNow: 'true',
+    travelMode: ' Car '
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(search.radius, 2000);
+  assert.deepEqual(search.categories, ['cafe', 'restaurant']);
+  assert.deepEqual(search.cuisine, ['seafood', 'goan']);
+  assert.deepEqual(search.priceLevels, ['budget']);
+  assert.equal(search.openNow, true);
+  assert.equal(search.travelMode, 'car');
+});
+
+test('parseSearch rejects invalid values', () => {
+  const { errors } = parseSearch({
+    latitude: 'north',
+    longitude: 73.7,
+    radius: '50km',
+    categories: 'spaceport',
+    priceLevel: 'cheap',
+    minStars: 9,
+    openNow: 'maybe',
+    travelMode: 'constructor',
+    limit: 500
+  });
+  assert.equal(errors.length, 8);
+});
+
+test('cuisine matches any listed cuisine', () => {
+  const filters = parseSearch({ ...GOA, cuisine: 'seafood,goan' }).search;
+  assert.equal(matchesFilters(place({ cuisine: ['goan', 'indian'] }), filters), true);
+  assert.equal(matchesFilters(place({ cuisine: ['pizza'] }), filters), false);
+  assert.equal(matchesFilters(place(), filters), false);
+});
+
+test('price, stars and open now filter out places without the tag', () => {
+  const filters = parseSearch({ ...GOA, priceLevel: 'free,budget', minStars: 3, openNow: true }).search;
+  assert.equal(matchesFilters(place({ priceLevel: 'budget', stars: 3, openNow: true }), filters), true);
+  assert.equal(matchesFilters(place({ priceLevel: 'expensive', stars: 5, openNow: true }), filters), false);
+  assert.equal(matchesFilters(place({ priceLevel: 'free', stars: null, openNow: true }), filters), false);
+  assert.equal(matchesFilters(place({ priceLevel: 'free', stars: 4, openNow: null }), filters), false);
+});
+
+test('a cursor round-trips for the same search', () => {
+  const fingerprint = searchFingerprint(parseSearch({ ...GOA, categories: 'cafe' }).search);
+  assert.equal(decodeCursor(encodeCursor(40, fingerprint), fingerprint), 40);
+});
+
+test('page size and travel mode do not change the fingerprint', () => {
+  const base = searchFingerprint(parseSearch({ ...GOA, categories: 'cafe' }).search);
+  assert.equal(searchFingerprint(parseSearch({ ...GOA, categories: 'cafe', limit: 50, travelMode: 'walk' }).search), base);
+});
+
+test('a cursor from another search or a malformed cursor is rejected', () => {
+  const cafes = searchFingerprint(parseSearch({ ...GOA, categories: 'cafe' }).search);
+  const bars = searchFingerprint(parseSearch({ ...GOA, categories: 'bar' }).search);
+  assert.equal(decodeCursor(encodeCursor(20, cafes), bars), null);
+  assert.equal(decodeCursor('not-a-cursor', cafes), null);
+  assert.equal(decodeCursor(encodeCursor(-1, cafes), cafes), null);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Fallback warnings are expected here; keep them out of the test report
+test.mock.method(console, 'log', () => {});
+const http = require('node:http');
+
+const PANAJI = { latitude: 15.4909, longitude: 73.8278 };
+const BAGA = { latitude: 15.5553, longitude: 73.7517 };
+const MARGAO = { latitude: 15.2832, longitude: 73.9862 };
+
+// A stand-in OSRM server answering every request with `reply(pointCount)`
+async function withOsrm(reply, run) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const points = decodeURIComponent(req.url.split('/')[4].split('?')[0]).split(';').length;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(reply(points)));
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  process.env.OSRM_URL = `http://localhost:${server.address().port}`;
+  try {
+    await run(requests);
+  } finally {
+    delete process.env.OSRM_URL;
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+const { getTravelMatrix } = require('../routing');
+
+test('the travel matrix comes from a single table request', async () => {
+  const square = points => Array.from({ length: points }, (_, row) => Array.from({ length: points }, (_, column) => Math.abs(row - column) * 600));
+  await withOsrm(points => ({ code: 'Ok', durations: square(points), distances: square(points) }), async requests => {
+    const matrix = await getTravelMatrix([PANAJI, BAGA, MARGAO], 'car');
+    assert.equal(requests.length, 1);
+    assert.match(requests[0], /^\/table\/v1\/driving\/[^?]+\?annotations=duration,distance$/);
+    assert.deepEqual(matrix.map(row => row.map(cell => cell.durationMinutes)), [[0, 10, 20], [10, 0, 10], [20, 10, 0]]);
+    assert.ok(matrix.flat().every(cell => cell.source === 'osrm'));
+  });
+});
+
+test('cells missing from a short table reply fall back to the estimate', async () => {
+  await withOsrm(() => ({ code: 'Ok', durations: [[0, 600]], distances: [[0]] }), async () => {
+    const matrix = await getTravelMatrix([PANAJI, BAGA], 'car');
+    assert.equal(matrix[0][1].source, 'heuristic');
+    assert.equal(matrix[1][0].source, 'heuristic');
+    assert.ok(matrix[1][0].durationMinutes > 0);
+  });
+});
+
+test('an engine error falls back to estimates for every pair', async () => {
+  await withOsrm(() => ({ code: 'InvalidQuery', message: 'Too many coordinates' }), async () => {
+    const matrix = await getTravelMatrix([PANAJI, BAGA], 'scooter');
+    assert.ok(matrix.flat().every(cell => cell.source === 'heuristic' && cell.mode === 'scooter'));
+  });
+});
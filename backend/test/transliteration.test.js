@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { transliterate, toDevanagari, invalidSpellings, isDevanagari } = require('../transliteration');
+
+test('tourist romanization drops silent vowels', () => {
+  assert.equal(transliterate('धन्यवाद'), 'dhanyavaad');
+  assert.equal(transliterate('रहते'), 'rahte');
+  assert.equal(transliterate('समझता'), 'samajhtaa');
+  assert.equal(transliterate('रुपये'), 'rupaye');
+  assert.equal(transliterate('अंबा'), 'ambaa');
+});
+
+test('tourist romanization keeps the final vowel after a conjunct', () => {
+  assert.equal(transliterate('समुद्र'), 'samudra');
+  assert.equal(transliterate('मित्र'), 'mitra');
+  assert.equal(transliterate('सत्य'), 'satya');
+  assert.equal(transliterate('पत्रकार'), 'patrakaar');
+});
+
+test('ISO 15919 romanization round-trips', () => {
+  for (const word of ['धन्यवाद', 'समुद्र', 'स्वागत', 'गोंयांत']) {
+    assert.equal(toDevanagari(transliterate(word, 'iso'), 'iso'), word);
+  }
+  assert.equal(transliterate('धन्यवाद', 'iso'), 'dhanyavāda');
+});
+
+test('digits and the danda are converted, other text passes through', () => {
+  assert.equal(transliterate('१२ रुपये।'), '12 rupaye.');
+  assert.equal(transliterate('Baga बीच'), 'Baga beech');
+});
+
+test('tourist spellings convert to Devanagari', () => {
+  assert.equal(toDevanagari('namaste'), 'नमस्ते');
+  assert.equal(toDevanagari('hindi'), 'हिंदी');
+  assert.equal(toDevanagari('kya'), 'क्या');
+  assert.equal(toDevanagari('paani'), 'पानी');
+  assert.equal(toDevanagari('samudra'), 'समुद्र');
+});
+
+test('input written in the other scheme is reported', () => {
+  assert.deepEqual(invalidSpellings('dhanyavāda', 'tourist'), ['ā']);
+  assert.deepEqual(invalidSpellings('dhanyavaad', 'iso'), ['aa']);
+  assert.deepEqual(invalidSpellings('dhanyavaad', 'tourist'), []);
+  assert.deepEqual(invalidSpellings('dhanyavāda', 'iso'), []);
+  assert.deepEqual(invalidSpellings('wow', 'iso'), ['w']);
+});
+
+test('isDevanagari looks for any Devanagari letter', () => {
+  assert.equal(isDevanagari('Baga बीच'), true);
+  assert.equal(isDevanagari('Baga'), false);
+  assert.equal(isDevanagari(null), false);
+});
@@ -0,0 +1,179 @@
+// Grammar rules for the offline translator (English → Hindi / Marathi / Konkani).
+// Covers the sentence shapes tourists actually type: "I want water", "Where is the beach?",
+// "Do you speak English?", "The food is delicious". Everything else falls back to
+// phrase and word lookup.
+
+// English pronouns → person keys used by the tables below ('3sf' is feminine singular)
+const SUBJECT_PRONOUNS = { i: '1s', you: '2', he: '3s', she: '3sf', it: '3s', we: '1p', they: '3p' };
+const OBJECT_PRONOUNS = { me: '1s', you: '2', him: '3s', her: '3sf', it: '3s', us: '1p', them: '3p' };
+
+const BE_VERBS = ['am', 'is', 'are'];
+const ARTICLES = ['a', 'an', 'the'];
+
+const CONTRACTIONS = {
+  "i'm": 'i am',
+  "you're": 'you are',
+  "we're": 'we are',
+  "they're": 'they are',
+  "he's": 'he is',
+  "she's": 'she is',
+  "it's": 'it is',
+  "what's": 'what is',
+  "where's": 'where is',
+  "who's": 'who is',
+  "how's": 'how is',
+  "don't": 'do not',
+  "doesn't": 'does not',
+  "isn't": 'is not',
+  "aren't": 'are not',
+  "can't": 'can not'
+};
+
+// English verb forms → stems/infinitives per language.
+// `motion` verbs drop "to" before a destination ("go to the beach" → "beach go").
+// `case` is the postposition a pronoun object takes (default: dative).
+const VERBS = [
+  { en: ['go', 'goes', 'going'], motion: true, Hindi: { stem: 'जा', inf: 'जाना' }, Marathi: { stem: 'जा', inf: 'जायचे' }, Konkani: { stem: 'व', inf: 'वचपाक' } },
+  { en: ['come', 'comes', 'coming'], motion: true, Hindi: { stem: 'आ', inf: 'आना' }, Marathi: { stem: 'ये', inf: 'यायचे' }, Konkani: { stem: 'ये', inf: 'येवपाक' } },
+  { en: ['eat', 'eats', 'eating'], Hindi: { stem: 'खा', inf: 'खाना' }, Marathi: { stem: 'खा', inf: 'खायचे' }, Konkani: { stem: 'खा', inf: 'खावपाक' } },
+  { en: ['drink', 'drinks', 'drinking'], Hindi: { stem: 'पी', inf: 'पीना' }, Marathi: { stem: 'पि', inf: 'प्यायचे' }, Konkani: { stem: 'पि', inf: 'पियेवपाक' } },
+  { en: ['see', 'sees', 'seeing', 'watch', 'watches', 'watching'], Hindi: { stem: 'देख', inf: 'देखना' }, Marathi: { stem: 'बघ', inf: 'बघायचे' }, Konkani: { stem: 'पळय', inf: 'पळोवपाक' } },
+  { en: ['speak', 'speaks', 'speaking', 'talk', 'talks', 'talking'], Hindi: { stem: 'बोल', inf: 'बोलना' }, Marathi: { stem: 'बोल', inf: 'बोलायचे' }, Konkani: { stem: 'उलय', inf: 'उलोवपाक' } },
+  { en: ['understand', 'understands', 'understanding'], Hindi: { stem: 'समझ', inf: 'समझना' }, Marathi: { stem: 'समज', inf: 'समजायचे' }, Konkani: { stem: 'समज', inf: 'समजपाक' } },
+  { en: ['stay', 'stays', 'staying', 'live', 'lives', 'living'], Hindi: { stem: 'रह', inf: 'रहना' }, Marathi: { stem: 'राह', inf: 'राहायचे' }, Konkani: { stem: 'राव', inf: 'रावपाक' } },
+  { en: ['buy', 'buys', 'buying'], Hindi: { stem: 'खरीद', inf: 'खरीदना' }, Marathi: { stem: 'विकत घे', inf: 'विकत घ्यायचे' }, Konkani: { stem: 'विकतें घे', inf: 'विकतें घेवपाक' } },
+  { en: ['love', 'loves', 'loving'], Hindi: { stem: 'प्यार कर', inf: 'प्यार करना', case: 'से' }, Marathi: { stem: 'प्रेम कर', inf: 'प्रेम करायचे', case: 'वर' }, Konkani: { stem: 'मोग कर', inf: 'मोग करपाक' } }
+];
+
+// Verbs whose subject becomes dative: "I want water" → "मुझे पानी चाहिए"
+const DATIVE_VERBS = {
+  want: 'want', wants: 'want', need: 'want', needs: 'want',
+  like: 'like', likes: 'like'
+};
+
+const QUESTION_WORDS = ['where', 'what', 'who', 'when', 'how much', 'how many', 'how'];
+
+// Prepositions become postpositions after their noun phrase
+const PREPOSITIONS = ['in', 'at', 'on', 'to', 'from', 'with', 'for', 'near', 'by'];
+
+const languages = {
+  Hindi: {
+    subject: { '1s': 'मैं', '2': 'आप', '3s': 'वह', '3sf': 'वह', '1p': 'हम', '3p': 'वे' },
+    cases: {
+      dative: { '1s': 'मुझे', '2': 'आपको', '3s': 'उसे', '3sf': 'उसे', '1p': 'हमें', '3p': 'उन्हें' },
+      'से': { '1s': 'मुझसे', '2': 'आपसे', '3s': 'उससे', '3sf': 'उससे', '1p': 'हमसे', '3p': 'उनसे' }
+    },
+    copula: { '1s': 'हूँ', '2': 'हैं', '3s': 'है', '3sf': 'है', '1p': 'हैं', '3p': 'हैं' },
+    postpositions: { in: 'में', at: 'पर', on: 'पर', to: 'को', from: 'से', with: 'के साथ', for: 'के लिए', near: 'के पास', by: 'से' },
+    questionWords: { where: 'कहाँ', what: 'क्या', who: 'कौन', when: 'कब', how: 'कैसे', 'how much': 'कितना', 'how many': 'कितने' },
+    negation: 'नहीं',
+    dative: { want: 'चाहिए', like: 'पसंद है' },
+    dativeNegative: { want: 'नहीं चाहिए', like: 'पसंद नहीं है' },
+    fullStop: '।',
+    be(person, negative) {
+      return negative ? `नहीं ${this.copula[person]}` : this.copula[person];
+    },
+    // Habitual present: मैं जाता हूँ, वह जाती है, आप जाते हैं
+    present(stem, person, negative) {
+      const suffix = { '1s': 'ता', '3s': 'ता', '3sf': 'ती' }[person] || 'ते';
+      return negative ? `नहीं ${stem}${suffix}` : `${stem}${suffix} ${this.copula[person]}`;
+    },
+    // मैं समुद्र तट जाना चाहता हूँ
+    wantTo({ subject, person, rest, verb, negative }) {
+      return [subject, rest, verb.inf, this.present('चाह', person, negative)];
+    },
+    yesNoQuestion: words => ['क्या', ...words],
+    questionParticle: { word: 'क्या', position: 'start' },
+    lexicon: {
+      my: 'मेरा', your: 'आपका', his: 'उसका', her: 'उसका', our: 'हमारा', their: 'उनका',
+      very: 'बहुत', this: 'यह', that: 'वह', here: 'यहाँ', there: 'वहाँ', not: 'नहीं', and: 'और', or: 'या',
+      english: 'अंग्रेज़ी', hindi: 'हिंदी', marathi: 'मराठी', konkani: 'कोंकणी', goa: 'गोवा'
+    }
+  },
+
+  Marathi: {
+    subject: { '1s': 'मी', '2': 'तुम्ही', '3s': 'तो', '3sf': 'ती', '1p': 'आम्ही', '3p': 'ते' },
+    cases: {
+      dative: { '1s': 'मला', '2': 'तुम्हाला', '3s': 'त्याला', '3sf': 'तिला', '1p': 'आम्हाला', '3p': 'त्यांना' },
+      'वर': { '1s': 'माझ्यावर', '2': 'तुमच्यावर', '3s': 'त्याच्यावर', '3sf': 'तिच्यावर', '1p': 'आमच्यावर', '3p': 'त्यांच्यावर' }
+    },
+    copula: { '1s': 'आहे', '2': 'आहात', '3s': 'आहे', '3sf': 'आहे', '1p': 'आहोत', '3p': 'आहेत' },
+    postpositions: { in: 'मध्ये', at: 'ला', on: 'वर', to: 'ला', from: 'पासून', with: 'बरोबर', for: 'साठी', near: 'जवळ', by: 'ने' },
+    questionWords: { where: 'कुठे', what: 'काय', who: 'कोण', when: 'कधी', how: 'कसे', 'how much': 'किती', 'how many': 'किती' },
+    negation: 'नाही',
+    dative: { want: 'हवे', like: 'आवडते' },
+    dativeNegative: { want: 'नको', like: 'आवडत नाही' },
+    fullStop: '.',
+    be(person, negative) {
+      return negative ? this.negation : this.copula[person];
+    },
+    // मी जातो, ती जाते, तुम्ही जाता, ते जातात; negative: मी जात नाही
+    present(stem, person, negative) {
+      if (negative) return `${stem}त ${this.negation}`;
+      const suffix = { '1s': 'तो', '2': 'ता', '3s': 'तो', '3sf': 'ते', '1p': 'तो', '3p': 'तात' }[person];
+      return `${stem}${suffix}`;
+    },
+    // मला समुद्रकिनारा जायचे आहे
+    wantTo({ person, rest, verb, negative }) {
+      return [this.cases.dative[person], rest, verb.inf, negative ? this.negation : 'आहे'];
+    },
+    yesNoQuestion: words => [...words, 'का'],
+    questionParticle: { word: 'का', position: 'end' },
+    lexicon: {
+      my: 'माझे', your: 'तुमचे', his: 'त्याचे', her: 'तिचे', our: 'आमचे', their: 'त्यांचे',
+      very: 'खूप', this: 'हे', that: 'ते', here: 'इथे', there: 'तिथे', not: 'नाही', and: 'आणि', or: 'किंवा',
+      english: 'इंग्रजी', hindi: 'हिंदी', marathi: 'मराठी', konkani: 'कोंकणी', goa: 'गोवा'
+    }
+  },
+
+  Konkani: {
+    subject: { '1s': 'हांव', '2': 'तुमी', '3s': 'तो', '3sf': 'ती', '1p': 'आमी', '3p': 'ते' },
+    cases: {
+      dative: { '1s': 'म्हाका', '2': 'तुमकां', '3s': 'ताका', '3sf': 'तिका', '1p': 'आमकां', '3p': 'तांकां' }
+    },
+    copula: { '1s': 'आसां', '2': 'आसात', '3s': 'आसा', '3sf': 'आसा', '1p': 'आसात', '3p': 'आसात' },
+    postpositions: { in: 'त', at: 'कडेन', on: 'वयर', to: 'क', from: 'सावन', with: 'वांगडा', for: 'खातीर', near: 'लागीं', by: 'वरवीं' },
+    questionWords: { where: 'खंय', what: 'कितें', who: 'कोण', when: 'केन्ना', how: 'कशें', 'how much': 'किती', 'how many': 'कितले' },
+    negation: 'ना',
+    dative: { want: 'जाय', like: 'आवडटा' },
+    dativeNegative: { want: 'नाका', like: 'आवडना' },
+    fullStop: '.',
+    be(person, negative) {
+      return negative ? this.negation : this.copula[person];
+    },
+    // हांव खातां, तो खाता, तुमी खातात
+    present(stem, person, negative) {
+      const suffix = { '1s': 'तां', '3s': 'ता', '3sf': 'ता' }[person] || 'तात';
+      return negative ? `${this.negation} ${stem}${suffix}` : `${stem}${suffix}`;
+    },
+    // म्हाका किनारो वचपाक जाय
+    wantTo({ person, rest, verb, negative }) {
+      return [this.cases.dative[person], rest, verb.inf, negative ? 'नाका' : 'जाय'];
+    },
+    yesNoQuestion: words => words,
+    questionParticle: null,
+    lexicon: {
+      my: 'म्हजें', your: 'तुमचें', his: 'ताचें', her: 'तिचें', our: 'आमचें', their: 'तांचें',
+      very: 'खूब', this: 'हें', that: 'तें', here: 'हांगा', there: 'थंय', not: 'ना', and: 'आनी', or: 'वा',
+      english: 'इंग्लीश', hindi: 'हिंदी', marathi: 'मराठी', konkani: 'कोंकणी', goa: 'गोंय'
+    }
+  }
+};
+
+function findVerb(word) {
+  return VERBS.find(verb => verb.en.includes(word)) || null;
+}
+
+module.exports = {
+  SUBJECT_PRONOUNS,
+  OBJECT_PRONOUNS,
+  BE_VERBS,
+  ARTICLES,
+  CONTRACTIONS,
+  DATIVE_VERBS,
+  QUESTION_WORDS,
+  PREPOSITIONS,
+  VERBS,
+  languages,
+  findVerb
+};
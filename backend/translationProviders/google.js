@@ -0,0 +1,27 @@
+// Google Translate free API (ESM-only package: use dynamic import when needed)
+// NOTE: Do NOT call at top-level with require() — it returns an object and breaks at runtime.
+async function gtranslate(text, options) {
+  const mod = await import('@vitalets/google-translate-api');
+  const translate = mod.translate || mod.default;
+  return translate(text, options);
+}
+
+module.exports = {
+  name: 'google',
+  isEnabled: () => true,
+  // detectSource asks Google to detect the language; its guess is returned as detectedCode
+  async translate({ text, fromCode, toCode, detectSource }) {
+    const result = await gtranslate(text, { from: detectSource ? 'auto' : fromCode, to: toCode });
+    if (!result?.text) {
+      throw new Error('No translation result from AI');
+    }
+    return {
+      translatedText: result.text.trim(),
+      provider: 'google-translate-ai',
+      ...(detectSource && result.raw?.src && {
+        detectedCode: result.raw.src,
+        detectedConfidence: result.raw.ld_result?.srclangs_confidences?.[0] ?? result.raw.confidence
+      })
+    };
+  }
+};
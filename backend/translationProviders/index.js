@@ -0,0 +1,262 @@
+const google = require('./google');
+const openrouter = require('./openrouter');
+const libretranslate = require('./libretranslate');
+const mymemory = require('./mymemory');
+const offline = require('./offline');
+const { detectLanguage } = require('../languageDetection');
+
+// Language code mapping for providers
+const languageMap = {
+  'English': 'en',
+  'Hindi': 'hi',
+  'Konkani': 'gom',
+  'Marathi': 'mr'
+};
+
+// fromLanguage "auto" detects the source language
+const AUTO_LANGUAGE = 'auto';
+
+// Google reports Konkani as gom or kok
+const detectedCodeMap = { ...Object.fromEntries(Object.entries(languageMap).map(([name, code]) => [code, name])), kok: 'Konkani' };
+
+function isSupportedLanguage(language, { allowAuto = false } = {}) {
+  return Boolean(languageMap[language]) || (allowAuto && language === AUTO_LANGUAGE);
+}
+
+const DEFAULT_PROVIDER_ORDER = ['google', 'openrouter', 'libretranslate', 'mymemory', 'offline'];
+
+// Every provider implements { name, isEnabled(), translate(request) } and resolves to
+// { translatedText, provider, fallback? }, throwing when it cannot translate.
+// Providers that accept several inputs per call also implement translateBatch({ texts, ... }),
+// resolving to { translations: [{ translatedText, provider }] } in input order, and may set maxBatchSize.
+const builtInProviders = { google, openrouter, libretranslate, mymemory, offline };
+const providers = { ...builtInProviders };
+
+// Replace a provider (e.g. with a local stand-in in tests) or add a new one
+function registerTranslationProvider(provider) {
+  if (!provider?.name || typeof provider.translate !== 'function') {
+    throw new Error('Translation provider needs a name and a translate() function');
+  }
+  providers[provider.name] = provider;
+}
+
+function resetTranslationProviders() {
+  Object.keys(providers).forEach(name => delete providers[name]);
+  Object.assign(providers, builtInProviders);
+}
+
+// Order and enablement come from TRANSLATION_PROVIDERS (comma separated);
+// providers that are left out of the list are not attempted.
+function getProviderOrder() {
+  const configured = (process.env.TRANSLATION_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  return configured.length ? configured : DEFAULT_PROVIDER_ORDER;
+}
+
+function buildRequest({ fromLanguage, toLanguage }) {
+  return {
+    fromLanguage,
+    toLanguage,
+    fromCode: languageMap[fromLanguage] || 'en',
+    toCode: languageMap[toLanguage] || 'hi'
+  };
+}
+
+function failureDetails(error) {
+  return {
+    reason: error.message,
+    ...(error.response?.status && { httpStatus: error.response.status })
+  };
+}
+
+// Prefer Google's detection when it named a supported language, otherwise the offline guess
+function resolveDetection(result, offlineDetection) {
+  const language = detectedCodeMap[String(result.detectedCode || '').toLowerCase().split('-')[0]];
+  if (language) {
+    const confidence = Number(result.detectedConfidence);
+    return { language, confidence: Number.isFinite(confidence) ? Math.round(confidence * 100) / 100 : null, source: 'google' };
+  }
+  return { language: offlineDetection.language, confidence: offlineDetection.confidence, source: 'offline' };
+}
+
+function stripDetectionFields({ detectedCode, detectedConfidence, ...result }) {
+  return result;
+}
+
+async function translateWithProviders({ text, fromLanguage, toLanguage }) {
+  // With "auto", providers get the offline guess; Google is asked to detect for itself
+  const detectSource = fromLanguage === AUTO_LANGUAGE;
+  const offlineDetection = detectSource ? detectLanguage(text) : null;
+  const sourceLanguage = detectSource ? offlineDetection.language || 'English' : fromLanguage;
+  const request = { ...buildRequest({ fromLanguage: sourceLanguage, toLanguage }), text, detectSource };
+  const attempts = [];
+
+  for (const name of getProviderOrder()) {
+    const provider = providers[name];
+
+    if (!provider) {
+      attempts.push({ provider: name, status: 'skipped', reason: 'Unknown provider' });
+      continue;
+    }
+    if (provider.isEnabled && !provider.isEnabled()) {
+      attempts.push({ provider: name, status: 'skipped', reason: provider.disabledReason || 'Provider disabled' });
+      continue;
+    }
+
+    try {
+      const result = await provider.translate(request);
+      attempts.push({ provider: name, status: 'success' });
+      if (!detectSource) {
+        return { ...result, provider: result.provider || name, attempts };
+      }
+      const detectedLanguage = resolveDetection(result, offlineDetection);
+      return {
+        ...stripDetectionFields(result),
+        provider: result.provider || name,
+        fromLanguage: detectedLanguage.language,
+        detectedLanguage,
+        attempts
+      };
+    } catch (error) {
+      console.log(`🔄 ${name} translation failed:`, error.response?.data || error.message);
+      attempts.push({ provider: name, status: 'failed', ...failureDetails(error) });
+    }
+  }
+
+  const error = new Error('All translation providers failed');
+  error.attempts = attempts;
+  throw error;
+}
+
+const DEFAULT_MAX_BATCH_SIZE = 25;
+const PER_ITEM_CONCURRENCY = 4;
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Send every pending text to a batch-capable provider, a chunk per call.
+// A failed chunk leaves the rest of the texts for the next provider.
+async function translateChunks(provider, name, request, pending, results, attempts) {
+  for (const texts of chunk(pending, provider.maxBatchSize || DEFAULT_MAX_BATCH_SIZE)) {
+    try {
+      const { translations } = await provider.translateBatch({ ...request, texts });
+      if (!Array.isArray(translations) || translations.length !== texts.length) {
+        throw new Error(`Expected ${texts.length} translations, got ${translations?.length ?? 0}`);
+      }
+      texts.forEach((text, index) => {
+        results.set(text, { ...translations[index], provider: translations[index].provider || name });
+      });
+      attempts.push({ provider: name, status: 'success', mode: 'batch', items: texts.length });
+    } catch (error) {
+      console.log(`🔄 ${name} batch translation failed:`, error.response?.data || error.message);
+      attempts.push({ provider: name, status: 'failed', mode: 'batch', items: texts.length, ...failureDetails(error) });
+      return;
+    }
+  }
+}
+
+// Translate pending texts one at a time (a few in parallel). The first text is sent alone:
+// if it fails the provider is treated as unavailable and skipped for the rest of the batch.
+async function translateItems(provider, name, request, pending, results, attempts) {
+  let translated = 0;
+  let lastError = null;
+
+  const translateOne = async text => {
+    try {
+      const result = await provider.translate({ ...request, text });
+      results.set(text, { ...result, provider: result.provider || name });
+      translated++;
+    } catch (error) {
+      lastError = error;
+    }
+  };
+
+  await translateOne(pending[0]);
+  if (translated) {
+    for (const texts of chunk(pending.slice(1), PER_ITEM_CONCURRENCY)) {
+      await Promise.all(texts.map(translateOne));
+    }
+  } else {
+    console.log(`🔄 ${name} translation failed:`, lastError.response?.data || lastError.message);
+  }
+
+  attempts.push({
+    provider: name,
+    status: translated ? 'success' : 'failed',
+    mode: 'item',
+    items: translated,
+    ...(translated < pending.length && lastError && failureDetails(lastError))
+  });
+}
+
+async function translateGroup(texts, request, results, attempts) {
+  for (const name of getProviderOrder()) {
+    const pending = texts.filter(text => !results.has(text));
+    if (!pending.length) break;
+
+    const provider = providers[name];
+    if (!provider) {
+      attempts.push({ provider: name, status: 'skipped', reason: 'Unknown provider' });
+      continue;
+    }
+    if (provider.isEnabled && !provider.isEnabled()) {
+      attempts.push({ provider: name, status: 'skipped', reason: provider.disabledReason || 'Provider disabled' });
+      continue;
+    }
+
+    if (provider.translateBatch) {
+      await translateChunks(provider, name, request, pending, results, attempts);
+    } else {
+      await translateItems(provider, name, request, pending, results, attempts);
+    }
+  }
+}
+
+// Translate many texts through the provider chain. Texts are de-duplicated; each provider
+// only receives the texts earlier providers could not translate. With fromLanguage "auto"
+// each text's language is detected offline and texts are sent in groups per language.
+// Resolves to { results: Map(text -> result), attempts }; texts no provider translated are missing from the map.
+async function translateBatchWithProviders({ texts, fromLanguage, toLanguage }) {
+  const unique = [...new Set(texts)];
+  const results = new Map();
+  const attempts = [];
+
+  if (fromLanguage !== AUTO_LANGUAGE) {
+    await translateGroup(unique, buildRequest({ fromLanguage, toLanguage }), results, attempts);
+    return { results, attempts };
+  }
+
+  const detections = new Map(unique.map(text => [text, detectLanguage(text)]));
+  const groups = new Map();
+  for (const text of unique) {
+    const language = detections.get(text).language || 'English';
+    groups.set(language, [...(groups.get(language) || []), text]);
+  }
+  for (const [language, groupTexts] of groups) {
+    await translateGroup(groupTexts, buildRequest({ fromLanguage: language, toLanguage }), results, attempts);
+  }
+
+  for (const [text, result] of results) {
+    const { language, confidence } = detections.get(text);
+    results.set(text, { ...result, fromLanguage: language || 'English', detectedLanguage: { language, confidence, source: 'offline' } });
+  }
+  return { results, attempts };
+}
+
+module.exports = {
+  languageMap,
+  AUTO_LANGUAGE,
+  isSupportedLanguage,
+  translateWithProviders,
+  translateBatchWithProviders,
+  registerTranslationProvider,
+  resetTranslationProviders,
+  getProviderOrder
+};
@@ -0,0 +1,37 @@
+const axios = require('axios');
+
+// Free translation provider (no API key required)
+const DEFAULT_LIBRETRANSLATE_URL = 'https://libretranslate.com/translate';
+
+function requestTranslation(q, fromCode, toCode) {
+  return axios.post(
+    process.env.LIBRETRANSLATE_URL || DEFAULT_LIBRETRANSLATE_URL,
+    { q, source: fromCode, target: toCode, format: 'text' },
+    { headers: { 'Content-Type': 'application/json' }, timeout: 15000 }
+  );
+}
+
+module.exports = {
+  name: 'libretranslate',
+  isEnabled: () => true,
+  maxBatchSize: 50,
+  async translate({ text, fromCode, toCode }) {
+    console.log('Attempting LibreTranslate fallback...');
+    const response = await requestTranslation(text, fromCode, toCode);
+    const translatedText = response.data?.translatedText;
+    if (!translatedText) {
+      throw new Error('Empty response from LibreTranslate');
+    }
+    return { translatedText: translatedText.trim(), provider: 'libretranslate' };
+  },
+  // LibreTranslate accepts an array for q and answers with an array in the same order
+  async translateBatch({ texts, fromCode, toCode }) {
+    console.log(`Attempting LibreTranslate batch of ${texts.length}...`);
+    const response = await requestTranslation(texts, fromCode, toCode);
+    const translated = response.data?.translatedText;
+    if (!Array.isArray(translated) || translated.some(text => !text)) {
+      throw new Error('Incomplete batch response from LibreTranslate');
+    }
+    return { translations: translated.map(text => ({ translatedText: text.trim(), provider: 'libretranslate' })) };
+  }
+};
@@ -0,0 +1,21 @@
+const axios = require('axios');
+
+// Free translation provider (no API key required)
+const DEFAULT_MYMEMORY_URL = 'https://api.mymemory.translated.net/get';
+
+module.exports = {
+  name: 'mymemory',
+  isEnabled: () => true,
+  async translate({ text, fromCode, toCode }) {
+    console.log('Attempting MyMemory fallback...');
+    const response = await axios.get(process.env.MYMEMORY_URL || DEFAULT_MYMEMORY_URL, {
+      params: { q: text, langpair: `${fromCode}|${toCode}` },
+      timeout: 15000
+    });
+    const translatedText = response.data?.responseData?.translatedText;
+    if (!translatedText) {
+      throw new Error('Empty response from MyMemory');
+    }
+    return { translatedText: translatedText.trim(), provider: 'mymemory' };
+  }
+};
@@ -0,0 +1,20 @@
+const { translateOffline } = require('../offlineTranslator');
+
+// Last resort: the offline phrase/grammar engine. Always answers, with a confidence
+// score so clients can tell a known phrase from a word-by-word guess.
+module.exports = {
+  name: 'offline',
+  isEnabled: () => true,
+  async translate({ text, fromLanguage, toLanguage }) {
+    const { translatedText, confidence, matchType, unknownWords, pivot } = translateOffline(text, fromLanguage, toLanguage);
+    return {
+      translatedText,
+      provider: 'offline-engine',
+      fallback: true,
+      confidence,
+      matchType,
+      unknownWords,
+      ...(pivot && { pivot })
+    };
+  }
+};
@@ -0,0 +1,69 @@
+const axios = require('axios');
+
+const OPENROUTER_URL = 'https://openrouter.ai/api/v1/chat/completions';
+
+function getModel() {
+  return process.env.OPENROUTER_DEFAULT_MODEL || 'gpt-5.1-codex-max';
+}
+
+async function complete(content, maxTokens) {
+  const response = await axios.post(
+    OPENROUTER_URL,
+    {
+      model: getModel(),
+      messages: [{ role: 'user', content }],
+      max_tokens: maxTokens,
+      temperature: 0.2
+    },
+    {
+      headers: {
+        'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
+        'Content-Type': 'application/json',
+        'HTTP-Referer': 'http://localhost:5001',
+        'X-Title': 'TourGenious Translator'
+      }
+    }
+  );
+  const reply = response.data?.choices?.[0]?.message?.content;
+  if (!reply) {
+    throw new Error('Empty response from OpenRouter');
+  }
+  return reply.trim();
+}
+
+// The model is asked for a JSON array; tolerate code fences or text around it
+function parseJsonArray(reply) {
+  const match = reply.match(/\[[\s\S]*\]/);
+  if (!match) {
+    throw new Error('OpenRouter batch reply is not a JSON array');
+  }
+  return JSON.parse(match[0]);
+}
+
+module.exports = {
+  name: 'openrouter',
+  isEnabled: () => Boolean(process.env.OPENROUTER_API_KEY),
+  disabledReason: 'OPENROUTER_API_KEY not set',
+  maxBatchSize: 20,
+  async translate({ text, fromLanguage, toLanguage }) {
+    console.log(`Attempting OpenRouter translation with model: ${getModel()}`);
+    const translatedText = await complete(
+      `Translate this text from ${fromLanguage} to ${toLanguage}. Only return the translation, with no extra words: "${text}"`,
+      128
+    );
+    return { translatedText, provider: `openrouter:${getModel()}` };
+  },
+  async translateBatch({ texts, fromLanguage, toLanguage }) {
+    console.log(`Attempting OpenRouter batch of ${texts.length} with model: ${getModel()}`);
+    const reply = await complete(
+      `Translate each string in this JSON array from ${fromLanguage} to ${toLanguage}. ` +
+      `Reply with only a JSON array of the translations, in the same order and with the same length:\n${JSON.stringify(texts)}`,
+      64 + 96 * texts.length
+    );
+    const translated = parseJsonArray(reply);
+    if (translated.length !== texts.length || translated.some(text => typeof text !== 'string' || !text.trim())) {
+      throw new Error('OpenRouter batch reply does not match the input');
+    }
+    return { translations: translated.map(text => ({ translatedText: text.trim(), provider: `openrouter:${getModel()}` })) };
+  }
+};
@@ -0,0 +1,280 @@
+// Devanagari ⇄ Latin transliteration for Hindi, Marathi and Konkani. Two schemes:
+// - tourist: spelled the way travellers read it, "धन्यवाद" → "dhanyavaad", "समझता" → "samajhtaa"
+// - iso: ISO 15919, letter for letter with diacritics, "धन्यवाद" → "dhanyavāda"
+
+const SCHEMES = ['tourist', 'iso'];
+
+// [Devanagari, tourist, ISO 15919]
+const VOWELS = [
+  ['अ', 'a', 'a'], ['आ', 'aa', 'ā'], ['इ', 'i', 'i'], ['ई', 'ee', 'ī'], ['उ', 'u', 'u'], ['ऊ', 'oo', 'ū'],
+  ['ऋ', 'ri', 'r̥'], ['ए', 'e', 'ē'], ['ऐ', 'ai', 'ai'], ['ओ', 'o', 'ō'], ['औ', 'au', 'au'],
+  ['ऍ', 'e', 'ê'], ['ऑ', 'o', 'ô'], ['ॲ', 'a', 'ê']
+];
+
+const VOWEL_SIGNS = [
+  ['ा', 'aa', 'ā'], ['ि', 'i', 'i'], ['ी', 'ee', 'ī'], ['ु', 'u', 'u'], ['ू', 'oo', 'ū'], ['ृ', 'ri', 'r̥'],
+  ['े', 'e', 'ē'], ['ै', 'ai', 'ai'], ['ो', 'o', 'ō'], ['ौ', 'au', 'au'], ['ॅ', 'e', 'ê'], ['ॉ', 'o', 'ô']
+];
+
+const CONSONANTS = [
+  ['क', 'k', 'k'], ['ख', 'kh', 'kh'], ['ग', 'g', 'g'], ['घ', 'gh', 'gh'], ['ङ', 'ng', 'ṅ'],
+  ['च', 'ch', 'c'], ['छ', 'chh', 'ch'], ['ज', 'j', 'j'], ['झ', 'jh', 'jh'], ['ञ', 'ny', 'ñ'],
+  ['ट', 't', 'ṭ'], ['ठ', 'th', 'ṭh'], ['ड', 'd', 'ḍ'], ['ढ', 'dh', 'ḍh'], ['ण', 'n', 'ṇ'],
+  ['त', 't', 't'], ['थ', 'th', 'th'], ['द', 'd', 'd'], ['ध', 'dh', 'dh'], ['न', 'n', 'n'],
+  ['प', 'p', 'p'], ['फ', 'ph', 'ph'], ['ब', 'b', 'b'], ['भ', 'bh', 'bh'], ['म', 'm', 'm'],
+  ['य', 'y', 'y'], ['र', 'r', 'r'], ['ल', 'l', 'l'], ['ळ', 'l', 'ḷ'], ['व', 'v', 'v'],
+  ['श', 'sh', 'ś'], ['ष', 'sh', 'ṣ'], ['स', 's', 's'], ['ह', 'h', 'h']
+];
+
+// Consonant + nukta (़): borrowed Persian/English sounds
+const NUKTA_CONSONANTS = [
+  ['क', 'q', 'q'], ['ख', 'kh', 'k͟h'], ['ग', 'gh', 'ġ'], ['ज', 'z', 'z'], ['ड', 'r', 'ṛ'], ['ढ', 'rh', 'ṛh'], ['फ', 'f', 'f']
+];
+
+const DIGITS = ['०', '१', '२', '३', '४', '५', '६', '७', '८', '९'];
+
+const NUKTA = '़';
+const VIRAMA = '्';
+const ANUSVARA = 'ं';
+const CHANDRABINDU = 'ँ';
+const VISARGA = 'ः';
+const AVAGRAHA = 'ऽ';
+const LABIALS = ['p', 'ph', 'b', 'bh', 'm'];
+
+// Signs with a fixed spelling; the tourist anusvara depends on the next letter
+const SIGNS = {
+  tourist: { [CHANDRABINDU]: 'n', [VISARGA]: 'h', [AVAGRAHA]: '' },
+  iso: { [ANUSVARA]: 'ṁ', [CHANDRABINDU]: 'm̐', [VISARGA]: 'ḥ', [AVAGRAHA]: '\'' }
+};
+
+const DEVANAGARI_WORD = /[ऀ-ॿ]+/g;
+const DEVANAGARI_LETTER = /[ऀ-ॿ]/;
+const LATIN_WORD = /[\p{Script=Latin}\p{M}:']+/gu;
+// Latin letters and diacritics the scheme had no spelling for are copied through as-is
+const UNCONVERTED = /[\p{Script=Latin}\p{Script=Inherited}]/gu;
+// Doubled vowels are tourist spellings; ISO writes long vowels with a macron ("aa" is "ā")
+const ISO_INVALID = /aa|ii|uu|ee|oo/g;
+
+function column(scheme) {
+  return scheme === 'iso' ? 2 : 1;
+}
+
+function table(rows, scheme) {
+  return Object.fromEntries(rows.map(row => [row[0], row[column(scheme)]]));
+}
+
+const TO_LATIN = Object.fromEntries(SCHEMES.map(scheme => [scheme, {
+  vowels: table(VOWELS, scheme),
+  vowelSigns: table(VOWEL_SIGNS, scheme),
+  consonants: table(CONSONANTS, scheme),
+  nuktaConsonants: table(NUKTA_CONSONANTS, scheme)
+}]));
+
+// Split a word into consonant (C), vowel (V), nasal (N) and other (X) units.
+// Consonants carry their vowel; `inherent` marks the implicit "a" that may be dropped.
+function parseWord(word, scheme) {
+  const letters = TO_LATIN[scheme];
+  const units = [];
+  const last = () => units[units.length - 1];
+
+  for (const char of word) {
+    if (letters.consonants[char]) {
+      units.push({ type: 'C', char, latin: letters.consonants[char], vowel: 'a', inherent: true });
+    } else if (char === NUKTA && last()?.type === 'C') {
+      last().latin = letters.nuktaConsonants[last().char] || last().latin;
+    } else if (letters.vowelSigns[char] && last()?.type === 'C') {
+      Object.assign(last(), { vowel: letters.vowelSigns[char], inherent: false });
+    } else if (char === VIRAMA && last()?.type === 'C') {
+      Object.assign(last(), { vowel: '', inherent: false });
+    } else if (letters.vowels[char]) {
+      units.push({ type: 'V', latin: letters.vowels[char] });
+    } else if (char === ANUSVARA && scheme === 'tourist') {
+      units.push({ type: 'N' });
+    } else if (SIGNS[scheme][char] !== undefined) {
+      units.push({ type: 'X', latin: SIGNS[scheme][char] });
+    } else {
+      units.push({ type: 'X', latin: DIGITS.includes(char) ? String(DIGITS.indexOf(char)) : char });
+    }
+  }
+
+  return units;
+}
+
+function hasVowel(unit) {
+  return unit && (unit.type === 'V' || (unit.type === 'C' && unit.vowel !== ''));
+}
+
+// Hindi-style schwa deletion, applied right to left: drop the inherent "a" at the end of a
+// word and between a vowel and a consonant+vowel ("रहते" → "rahte"), never in the first syllable,
+// never after a conjunct ("समुद्र" → "samudra") and never before "y", which is written as a
+// conjunct when meant ("रुपये" → "rupaye").
+function deleteSchwas(units) {
+  const letters = units.filter(unit => unit.type === 'C' || unit.type === 'V');
+  const syllables = letters.filter(hasVowel).length;
+
+  for (let i = letters.length - 1; i >= 1; i--) {
+    const unit = letters[i];
+    if (unit.type !== 'C' || !unit.inherent) continue;
+
+    const next = letters[i + 1];
+    const previous = letters[i - 1];
+    const wordFinal = !next && syllables > 1 && hasVowel(previous);
+    const medial = next?.type === 'C' && next.latin !== 'y' && hasVowel(next) && hasVowel(previous);
+    if (wordFinal || medial) {
+      unit.vowel = '';
+    }
+  }
+}
+
+// ISO 15919 separates letters with ":" where they would otherwise read as one ("क्ह" → "k:h", "अइ" → "a:i")
+const ISO_CONSONANTS = new Set(CONSONANTS.map(row => row[2]));
+
+function needsIsoSeparator(previous, unit) {
+  if (!previous || !unit) return false;
+  if (previous.type === 'C' && previous.vowel === '' && unit.type === 'C') {
+    return unit.latin.startsWith('h') && ISO_CONSONANTS.has(previous.latin + 'h');
+  }
+  const endsWithA = (previous.type === 'C' && previous.vowel === 'a') || (previous.type === 'V' && previous.latin === 'a');
+  return endsWithA && unit.type === 'V' && ['i', 'u'].includes(unit.latin[0]);
+}
+
+function romanizeWord(word, scheme) {
+  const units = parseWord(word, scheme);
+  if (scheme === 'tourist') deleteSchwas(units);
+
+  return units.map((unit, index) => {
+    const separator = scheme === 'iso' && needsIsoSeparator(units[index - 1], unit) ? ':' : '';
+    if (unit.type === 'C') return separator + unit.latin + unit.vowel;
+    if (unit.type === 'N') {
+      // Anusvara sounds like "m" before p/b/m: "अंबा" → "ambaa"
+      const next = units[index + 1];
+      return next?.type === 'C' && LABIALS.includes(next.latin) ? 'm' : 'n';
+    }
+    return separator + unit.latin;
+  }).join('');
+}
+
+// Latin → Devanagari spellings, longest first. Where a tourist spelling is ambiguous the
+// common letter wins: "t" is त not ट, "n" is न not ण, "sh" is श not ष.
+const TOURIST_SKIPPED = ['ङ', 'ञ', 'ट', 'ठ', 'ड', 'ढ', 'ण', 'ळ', 'ष', 'ऋ', 'ृ', 'ऍ', 'ऑ', 'ॲ', 'ॅ', 'ॉ'];
+
+function buildFromLatin(scheme) {
+  const tokens = new Map();
+  const add = (latin, token) => {
+    if (latin && !tokens.has(latin)) tokens.set(latin, token);
+  };
+  const keep = row => scheme !== 'tourist' || !TOURIST_SKIPPED.includes(row[0]);
+  const signFor = Object.fromEntries(VOWEL_SIGNS.filter(keep).map(row => [row[column(scheme)], row[0]]));
+
+  CONSONANTS.filter(keep).forEach(row => add(row[column(scheme)], { type: 'C', text: row[0] }));
+  NUKTA_CONSONANTS.forEach(row => add(row[column(scheme)], { type: 'C', text: row[0] + NUKTA }));
+  VOWELS.filter(keep).forEach(row => {
+    const latin = row[column(scheme)];
+    add(latin, { type: 'V', text: row[0], sign: latin === 'a' ? '' : signFor[latin] });
+  });
+  Object.entries(SIGNS[scheme]).forEach(([sign, latin]) => add(latin, { type: 'X', text: sign }));
+
+  // Common ways of typing without the scheme's exact spelling
+  if (scheme === 'tourist') {
+    add('ii', { type: 'V', text: 'ई', sign: 'ी' });
+    add('uu', { type: 'V', text: 'ऊ', sign: 'ू' });
+    add('w', { type: 'C', text: 'व' });
+    add('cch', { type: 'C', text: 'च्छ' });
+    add('x', { type: 'C', text: 'क्स' });
+    add('c', { type: 'C', text: 'क' });
+  } else {
+    add('ṃ', { type: 'X', text: ANUSVARA });
+    add('e', { type: 'V', text: 'ए', sign: 'े' });
+    add('o', { type: 'V', text: 'ओ', sign: 'ो' });
+    add(':', { type: 'S' });
+  }
+
+  return [...tokens.entries()].sort((a, b) => b[0].length - a[0].length);
+}
+
+const FROM_LATIN = Object.fromEntries(SCHEMES.map(scheme => [scheme, buildFromLatin(scheme)]));
+
+function tokenizeLatin(word, scheme) {
+  const tokens = [];
+  let index = 0;
+  while (index < word.length) {
+    const match = FROM_LATIN[scheme].find(([latin]) => word.startsWith(latin, index));
+    if (match) {
+      tokens.push(match[1]);
+      index += match[0].length;
+    } else {
+      tokens.push({ type: 'X', text: word[index] });
+      index++;
+    }
+  }
+  return tokens;
+}
+
+// A tourist "n" before a stop or sibilant is written as an anusvara: "hindi" → "हिंदी"
+const ANUSVARA_BEFORE = ['क', 'ख', 'ग', 'घ', 'च', 'छ', 'ज', 'झ', 'त', 'थ', 'द', 'ध', 'प', 'फ', 'ब', 'भ', 'स', 'श'];
+// Tourist spelling drops the final inherent "a", so a typed final "a" or "i" is long: "kya" → "क्या", "paani" → "पानी"
+// except a final "a" after a conjunct, which romanizing keeps: "samudra" → "समुद्र" (but "kya" → "क्या")
+const TOURIST_FINAL_SIGNS = { 'अ': 'ा', 'इ': 'ी' };
+
+function devanagariWord(word, scheme) {
+  const tokens = tokenizeLatin(word.toLowerCase(), scheme);
+  let output = '';
+  let openConsonant = false; // last letter is a consonant still waiting for its vowel
+
+  tokens.forEach((token, index) => {
+    const next = tokens[index + 1];
+    if (token.type === 'C') {
+      const nasal = scheme === 'tourist' && token.text === 'न' && index > 0 && !openConsonant &&
+        next?.type === 'C' && ANUSVARA_BEFORE.includes(next.text[0]);
+      if (nasal) {
+        output += ANUSVARA;
+        return;
+      }
+      output += (openConsonant ? VIRAMA : '') + token.text;
+      openConsonant = true;
+    } else if (token.type === 'V') {
+      const afterConjunct = token.text === 'अ' && tokens[index - 2]?.type === 'C' &&
+        tokens.slice(0, index - 2).some(earlier => earlier.type === 'V');
+      const final = scheme === 'tourist' && index === tokens.length - 1 && !afterConjunct && TOURIST_FINAL_SIGNS[token.text];
+      output += openConsonant ? final || token.sign : token.text;
+      openConsonant = false;
+    } else if (token.type === 'X') {
+      output += token.text;
+      openConsonant = false;
+    }
+  });
+
+  // ISO spells every vowel, so a bare final consonant carries a virama; tourist spelling drops the final "a"
+  if (openConsonant && scheme === 'iso') output += VIRAMA;
+  return output;
+}
+
+function isDevanagari(text) {
+  return DEVANAGARI_LETTER.test(String(text || ''));
+}
+
+// Romanize every Devanagari word in the text; other characters pass through ("।" becomes ".")
+function transliterate(text, scheme = 'tourist') {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/।/g, '.')
+    .replace(DEVANAGARI_WORD, word => romanizeWord(word, scheme))
+    .normalize('NFC');
+}
+
+// Romanized input back to Devanagari: "namaste" → "नमस्ते"
+function toDevanagari(text, scheme = 'tourist') {
+  return String(text || '')
+    .normalize('NFC')
+    .replace(LATIN_WORD, word => devanagariWord(word, scheme));
+}
+
+// Spellings that aren't valid input for the scheme: characters toDevanagari can't convert
+// (ISO diacritics with tourist: "dhanyavāda" → ['ā']) and tourist spellings with ISO ("dhanyavaad" → ['aa'])
+function invalidSpellings(text, scheme = 'tourist') {
+  const unconverted = toDevanagari(text, scheme).match(UNCONVERTED) || [];
+  const touristOnly = scheme === 'iso' ? String(text || '').normalize('NFC').toLowerCase().match(ISO_INVALID) || [] : [];
+  return [...new Set([...unconverted, ...touristOnly])];
+}
+
+module.exports = { SCHEMES, transliterate, toDevanagari, invalidSpellings, isDevanagari };
@@ -0,0 +1,190 @@
+const axios = require('axios');
+const { withCache, cacheKey, roundCoordinate, getCacheTtl } = require('./cache');
+
+const OPENWEATHER_URL = 'https://api.openweathermap.org/data/2.5';
+
+// Thresholds for travel advisories derived from the forecast
+const HEAVY_RAIN_MM = 50; // per day
+const MODERATE_RAIN_MM = 10;
+const BEACH_UNSAFE_WIND_MS = 10; // ~36 km/h sustained
+const BEACH_UNSAFE_GUST_MS = 14;
+const HEAT_TEMP_C = 35;
+const MONSOON_MONTHS = [6, 7, 8, 9];
+
+// Query by city name or by coordinates
+function locationParams({ city, lat, lon }) {
+  return city ? { q: city } : { lat, lon };
+}
+
+async function callOpenWeather(endpoint, location) {
+  const response = await axios.get(`${OPENWEATHER_URL}/${endpoint}`, {
+    params: { ...locationParams(location), appid: process.env.OPENWEATHER_API_KEY, units: 'metric' }
+  });
+  return response.data;
+}
+
+// Response shape shared by the current-weather and forecast endpoints
+function formatConditions(entry) {
+  return {
+    temperature: Math.round(entry.main.temp),
+    feelsLike: Math.round(entry.main.feels_like),
+    description: entry.weather[0].description,
+    icon: entry.weather[0].icon,
+    humidity: entry.main.humidity,
+    pressure: entry.main.pressure,
+    windSpeed: entry.wind.speed,
+    clouds: entry.clouds.all
+  };
+}
+
+async function fetchCurrentWeather(location) {
+  const weatherData = await callOpenWeather('weather', location);
+  return {
+    city: weatherData.name,
+    country: weatherData.sys.country,
+    ...formatConditions(weatherData),
+    coordinates: { lat: weatherData.coord.lat, lon: weatherData.coord.lon },
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Local calendar day of a forecast entry (OpenWeather gives the city's UTC offset in seconds)
+function localDate(unixSeconds, timezoneOffset) {
+  return new Date((unixSeconds + timezoneOffset) * 1000).toISOString().slice(0, 10);
+}
+
+function localHour(unixSeconds, timezoneOffset) {
+  return new Date((unixSeconds + timezoneOffset) * 1000).getUTCHours();
+}
+
+function summarizeDay(date, entries, timezoneOffset) {
+  // The entry closest to midday describes the day best
+  const midday = entries.reduce((best, entry) =>
+    Math.abs(localHour(entry.dt, timezoneOffset) - 12) < Math.abs(localHour(best.dt, timezoneOffset) - 12) ? entry : best
+  );
+  const rainMm = entries.reduce((total, entry) => total + (entry.rain?.['3h'] || 0), 0);
+
+  return {
+    date,
+    minTemp: Math.round(Math.min(...entries.map(entry => entry.main.temp_min))),
+    maxTemp: Math.round(Math.max(...entries.map(entry => entry.main.temp_max))),
+    rainProbability: Math.round(Math.max(...entries.map(entry => entry.pop || 0)) * 100),
+    rainMm: Math.round(rainMm * 10) / 10,
+    maxWindSpeed: Math.max(...entries.map(entry => entry.wind.speed)),
+    maxWindGust: Math.max(...entries.map(entry => entry.wind.gust || entry.wind.speed)),
+    thunderstorm: entries.some(entry => entry.weather[0].id >= 200 && entry.weather[0].id < 300),
+    description: midday.weather[0].description,
+    icon: midday.weather[0].icon,
+    hourly: entries.map(entry => ({
+      time: new Date(entry.dt * 1000).toISOString(),
+      ...formatConditions(entry),
+      rainProbability: Math.round((entry.pop || 0) * 100),
+      rainMm: entry.rain?.['3h'] || 0
+    }))
+  };
+}
+
+function groupForecastByDay(list, timezoneOffset = 0) {
+  const byDay = new Map();
+  for (const entry of list) {
+    const date = localDate(entry.dt, timezoneOffset);
+    if (!byDay.has(date)) byDay.set(date, []);
+    byDay.get(date).push(entry);
+  }
+  return [...byDay.entries()].map(([date, entries]) => summarizeDay(date, entries, timezoneOffset));
+}
+
+// Travel advisories for Goa: monsoon downpours, beach-unsafe wind, storms and heat
+function deriveAdvisories(days) {
+  const advisories = [];
+
+  for (const day of days) {
+    const month = Number(day.date.slice(5, 7));
+    const monsoon = MONSOON_MONTHS.includes(month);
+
+    if (day.rainMm >= HEAVY_RAIN_MM || (monsoon && day.rainMm >= MODERATE_RAIN_MM && day.rainProbability >= 80)) {
+      advisories.push({
+        date: day.date,
+        type: 'heavy-rain',
+        severity: 'warning',
+        message: `${monsoon ? 'Monsoon heavy rain' : 'Heavy rain'} expected (${day.rainMm} mm). Avoid swimming, waterfalls like Dudhsagar and ghat roads; expect waterlogging and ferry delays.`
+      });
+    } else if (day.rainMm >= MODERATE_RAIN_MM) {
+      advisories.push({
+        date: day.date,
+        type: 'rain',
+        severity: 'advisory',
+        message: `Rain likely (${day.rainProbability}% chance, ${day.rainMm} mm). Carry a rain jacket and plan indoor options.`
+      });
+    }
+
+    if (day.maxWindSpeed >= BEACH_UNSAFE_WIND_MS || day.maxWindGust >= BEACH_UNSAFE_GUST_MS) {
+      advisories.push({
+        date: day.date,
+        type: 'beach-unsafe-wind',
+        severity: 'warning',
+        message: `Strong winds (gusts up to ${Math.round(day.maxWindGust * 3.6)} km/h). Sea swimming and water sports are unsafe – follow lifeguard flags.`
+      });
+    }
+
+    if (day.thunderstorm) {
+      advisories.push({
+        date: day.date,
+        type: 'thunderstorm',
+        severity: 'warning',
+        message: 'Thunderstorms forecast. Leave the beach and avoid open areas when you hear thunder.'
+      });
+    }
+
+    if (day.maxTemp >= HEAT_TEMP_C) {
+      advisories.push({
+        date: day.date,
+        type: 'heat',
+        severity: 'advisory',
+        message: `Hot day (up to ${day.maxTemp}°C). Stay hydrated and avoid the midday sun between 12 and 3 pm.`
+      });
+    }
+  }
+
+  return advisories;
+}
+
+// 5-day / 3-hour forecast grouped by local day, with advisories
+async function fetchForecast(location) {
+  const forecastData = await callOpenWeather('forecast', location);
+  const days = groupForecastByDay(forecastData.list || [], forecastData.city.timezone || 0);
+
+  return {
+    city: forecastData.city.name,
+    country: forecastData.city.country,
+    coordinates: { lat: forecastData.city.coord.lat, lon: forecastData.city.coord.lon },
+    days,
+    advisories: deriveAdvisories(days),
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Cache keys: normalized city name, or coordinates snapped to a ~1 km grid cell
+function locationCacheKey(namespace, { city, lat, lon }) {
+  return city
+    ? cacheKey(namespace, city)
+    : cacheKey(namespace, roundCoordinate(lat), roundCoordinate(lon));
+}
+
+// Cached lookups; resolve to { value, cache } (see cache.withCache)
+function getCurrentWeather(location) {
+  return withCache(locationCacheKey('weather', location), getCacheTtl('weather'), () => fetchCurrentWeather(location));
+}
+
+function getForecast(location) {
+  return withCache(locationCacheKey('forecast', location), getCacheTtl('forecast'), () => fetchForecast(location));
+}
+
+module.exports = {
+  fetchCurrentWeather,
+  fetchForecast,
+  getCurrentWeather,
+  getForecast,
+  groupForecastByDay,
+  deriveAdvisories
+};